@@ -0,0 +1,275 @@
+/**
+ * Brand Voice
+ * Named voice and style-guide profiles: tone, vocabulary to use and avoid, example copy
+ * and formatting rules. A profile is added to the system prompt of every LLM call, and
+ * checkBrandVoice() reports where generated text breaks its rules
+ *
+ * Profile shape:
+ *   { id, label, tone, vocabulary: { use, avoid }, examples,
+ *     rules: { secondPerson, exclamations, trademarks, maxGradeLevel } }
+ *
+ * `secondPerson` / `exclamations` false forbid "you" language / exclamation marks;
+ * `trademarks` lists marks as they must appear ("FUEL™"), checked on the first mention;
+ * `maxGradeLevel` is the highest Flesch-Kincaid grade allowed.
+ *
+ * Violation shape:
+ *   { rule, text, start, end, sentence, message }
+ */
+
+/* eslint-disable no-console, no-restricted-syntax */
+
+import { sentenceAt } from './fact-check.js';
+import { escapeRegExp } from './spec-units.js';
+
+// How long the `Brand Voices` file may take before the built-in profiles are used
+const LOAD_TIMEOUT = 10000;
+
+export const DEFAULT_VOICE_ID = 'knowledgeable-friend';
+
+export const BRAND_VOICES = [
+  {
+    // The tone the narrative prompt already asks for, so it adds nothing to the prompts
+    id: DEFAULT_VOICE_ID,
+    label: 'Knowledgeable Friend',
+    tone: 'Warm and conversational, like an expert friend giving honest advice',
+    vocabulary: {
+      use: [],
+      avoid: ['cutting-edge', 'revolutionary', 'game-changer', 'game-changing', 'best-in-class', 'world-class', 'synergy'],
+    },
+    examples: [],
+    rules: { secondPerson: true, exclamations: true, trademarks: [] },
+  },
+  {
+    id: 'technical-expert',
+    label: 'Technical Expert',
+    tone: 'Precise, neutral and specification-led; explains what the numbers mean without selling',
+    vocabulary: {
+      use: ['rated', 'measured', 'designed for'],
+      avoid: ['amazing', 'awesome', 'incredible', 'cutting-edge', 'revolutionary', 'game-changer', 'must-have', 'unbeatable'],
+    },
+    examples: [
+      'The drill delivers 650 in-lbs of torque from an 18 V battery, enough to drive 3-inch lag screws into framing lumber.',
+    ],
+    rules: {
+      secondPerson: false, exclamations: false, trademarks: [], maxGradeLevel: 12,
+    },
+  },
+  {
+    id: 'plain-language',
+    label: 'Plain Language',
+    tone: 'Short sentences and everyday words for a general audience; friendly but never pushy',
+    vocabulary: {
+      use: [],
+      avoid: ['leverage', 'utilize', 'optimal', 'robust', 'seamless', 'state-of-the-art', 'cutting-edge'],
+    },
+    examples: [
+      'This drill is light enough to hold overhead. One battery charge lasts a full day of small jobs.',
+    ],
+    rules: {
+      secondPerson: true, exclamations: false, trademarks: [], maxGradeLevel: 8,
+    },
+  },
+];
+
+// "You" language: you, you're, your, yours, yourself...
+export const SECOND_PERSON = /\b(?:you(?:'(?:re|ll|ve|d))?|your(?:s|self|selves)?)\b/gi;
+const TRADEMARK_SYMBOLS = /[®™℠]/g;
+
+/**
+ * Profile by id from a list of profiles, falling back to the default voice
+ * @param {string} id - Profile id
+ * @param {Array<Object>} voices - Profiles to look in (default: BRAND_VOICES)
+ */
+export function brandVoice(id, voices = BRAND_VOICES) {
+  return voices.find((voice) => voice.id === id)
+    || voices.find((voice) => voice.id === DEFAULT_VOICE_ID)
+    || BRAND_VOICES[0];
+}
+
+/**
+ * Fill in missing fields of a profile loaded from a file
+ */
+function normalizeVoice(voice) {
+  return {
+    id: String(voice.id),
+    label: voice.label || String(voice.id),
+    tone: voice.tone || '',
+    vocabulary: {
+      use: voice.vocabulary?.use || [],
+      avoid: voice.vocabulary?.avoid || [],
+    },
+    examples: voice.examples || [],
+    rules: {
+      secondPerson: voice.rules?.secondPerson !== false,
+      exclamations: voice.rules?.exclamations !== false,
+      trademarks: voice.rules?.trademarks || [],
+      maxGradeLevel: voice.rules?.maxGradeLevel,
+    },
+  };
+}
+
+/**
+ * Built-in profiles plus the ones in a JSON file (the `Brand Voices` block config row):
+ * an array of profiles, or { voices: [...] }; a file profile replaces a built-in one
+ * with the same id. A file that fails to load in time leaves the built-in profiles
+ * @param {string} source - URL of the JSON file
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadBrandVoices(source) {
+  if (!source) return BRAND_VOICES;
+  try {
+    const response = await fetch(source, { signal: AbortSignal.timeout(LOAD_TIMEOUT) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const json = await response.json();
+    const loaded = (Array.isArray(json) ? json : json.voices || [])
+      .filter((voice) => voice && voice.id)
+      .map(normalizeVoice);
+    return [
+      ...BRAND_VOICES.filter((voice) => !loaded.some((item) => item.id === voice.id)),
+      ...loaded,
+    ];
+  } catch (error) {
+    console.warn(`[BrandVoice] Failed to load brand voices from ${source}:`, error);
+    return BRAND_VOICES;
+  }
+}
+
+/**
+ * Voice guide for a system prompt, or '' for the default voice (the prompts are
+ * written in it already)
+ */
+export function brandVoiceInstructions(voice) {
+  if (!voice || voice.id === DEFAULT_VOICE_ID) return '';
+  const { vocabulary, rules } = voice;
+  const lines = [
+    `Brand voice: ${voice.label}. These rules take precedence over any tone or style instructions elsewhere in this conversation.`,
+    voice.tone ? `Tone: ${voice.tone}` : '',
+    vocabulary.use.length > 0 ? `Preferred vocabulary: ${vocabulary.use.join(', ')}` : '',
+    vocabulary.avoid.length > 0 ? `Never use these words: ${vocabulary.avoid.join(', ')}` : '',
+    rules.secondPerson ? '' : 'Do not address the reader as "you"; write in the third person.',
+    rules.exclamations ? '' : 'Do not use exclamation marks.',
+    rules.trademarks.length > 0 ? `Write these marks with their symbol at first mention: ${rules.trademarks.join(', ')}` : '',
+    rules.maxGradeLevel ? `Keep the reading level at or below US grade ${rules.maxGradeLevel}: short sentences, common words.` : '',
+    ...voice.examples.map((example, index) => `${index === 0 ? 'Example of the voice:\n' : ''}"${example}"`),
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Add a voice guide to rendered chat messages: appended to the system message, with
+ * a reminder at the end of the user message so it wins over the template's own tone
+ * Follow-up templates without a system message are left alone; they continue a
+ * conversation whose system message already has the guide
+ * @param {Array<Object>} messages - Chat messages from renderPrompt()
+ * @param {Object} voice - Brand voice profile
+ * @returns {Array<Object>} New messages
+ */
+export function applyBrandVoice(messages, voice) {
+  const instructions = brandVoiceInstructions(voice);
+  if (!instructions || messages[0]?.role !== 'system') return messages;
+  const lastUser = messages.map((message) => message.role).lastIndexOf('user');
+  return messages.map((message, index) => {
+    if (index === 0) return { ...message, content: `${message.content}\n\n${instructions}` };
+    if (index === lastUser) {
+      return { ...message, content: `${message.content}\n\nFollow the ${voice.label} brand voice rules in the system prompt.` };
+    }
+    return message;
+  });
+}
+
+/**
+ * Rough English syllable count (vowel groups, silent endings dropped)
+ */
+function syllables(word) {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!clean) return 0;
+  if (clean.length <= 3) return 1;
+  const groups = clean.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(groups ? groups.length : 1, 1);
+}
+
+/**
+ * Flesch-Kincaid grade level of a text; markdown headings and list items count as
+ * sentences. null for text without words
+ */
+export function readingGrade(text = '') {
+  const plain = text.replace(/[#*_`>]+/g, ' ');
+  const sentences = plain.split(/[.!?]+(?:\s|$)|\n+/).filter((sentence) => /[a-z]/i.test(sentence));
+  const words = plain.match(/[A-Za-z][A-Za-z'-]*/g) || [];
+  if (words.length === 0 || sentences.length === 0) return null;
+  const syllableCount = words.reduce((sum, word) => sum + syllables(word), 0);
+  const wordsPerSentence = words.length / sentences.length;
+  const grade = 0.39 * wordsPerSentence + 11.8 * (syllableCount / words.length) - 15.59;
+  return Math.max(Math.round(grade * 10) / 10, 0);
+}
+
+/**
+ * Case-insensitive pattern for a word or phrase on its own, so "seamless" doesn't match
+ * "seamlessly" and "cutting-edge" isn't found inside a longer hyphenated word
+ */
+export function phrasePattern(phrase) {
+  return new RegExp(`(?<![\\w-])${escapeRegExp(phrase)}(?![\\w-])`, 'gi');
+}
+
+/**
+ * Check text against a brand voice's rules
+ * @param {string} text - Narrative or format text (markdown)
+ * @param {Object} voice - Brand voice profile
+ * @returns {{voice: string, label: string, violations: Array<Object>, gradeLevel: number|null}}
+ */
+export function checkBrandVoice(text, voice) {
+  const content = text || '';
+  const { vocabulary, rules } = voice;
+  const violations = [];
+  const add = (rule, match, message) => violations.push({
+    rule,
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+    sentence: sentenceAt(content, match.index),
+    message,
+  });
+
+  vocabulary.avoid.forEach((word) => {
+    for (const match of content.matchAll(phrasePattern(word))) add('avoid-word', match, `"${word}" is on the avoid list`);
+  });
+
+  if (rules.secondPerson === false) {
+    for (const match of content.matchAll(SECOND_PERSON)) add('second-person', match, '"you" language is not allowed');
+  }
+
+  if (rules.exclamations === false) {
+    for (const match of content.matchAll(/!/g)) add('exclamation', match, 'Exclamation marks are not allowed');
+  }
+
+  rules.trademarks.forEach((mark) => {
+    const term = mark.replace(TRADEMARK_SYMBOLS, '').trim();
+    const first = new RegExp(`\\b${escapeRegExp(term)}\\b`).exec(content);
+    if (first && !content.slice(first.index).startsWith(mark)) {
+      add('trademark', first, `First mention must be written ${mark}`);
+    }
+  });
+
+  const gradeLevel = readingGrade(content);
+  if (rules.maxGradeLevel && gradeLevel !== null && gradeLevel > rules.maxGradeLevel) {
+    violations.push({
+      rule: 'reading-level',
+      text: `grade ${gradeLevel}`,
+      start: null,
+      end: null,
+      sentence: null,
+      message: `Reading level is grade ${gradeLevel}; the limit is ${rules.maxGradeLevel}`,
+    });
+  }
+
+  violations.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+  console.log(`[BrandVoice] ${violations.length} ${voice.label} voice violations`);
+  return {
+    voice: voice.id,
+    label: voice.label,
+    violations,
+    gradeLevel,
+  };
+}
+
+export default checkBrandVoice;
@@ -0,0 +1,150 @@
+/**
+ * Buyer FAQ
+ * Realistic buyer questions with short answers grounded in the extracted specs,
+ * features, pros and cons, published as a schema.org FAQPage next to the Product
+ *
+ * FAQ item shape:
+ *   { question, answer }
+ *
+ * Answers from the model are fact-checked against the extracted data (fact-check.js);
+ * an answer with a claim the data doesn't back is dropped rather than published.
+ * Questions built from the data fill the FAQ up to FAQ_RANGE.min, and a FAQ that still
+ * falls short is left out of the page and the structured data.
+ */
+
+import { fitLength } from './narrative-formats.js';
+import { checkNarrative, describeClaim } from './fact-check.js';
+import { comparisonSpecKeys, specLabel } from './comparison-matrix.js';
+
+// Questions in a published FAQ
+export const FAQ_RANGE = { min: 5, max: 10 };
+
+// Answers longer than this are cut back at a sentence end
+const MAX_ANSWER_WORDS = 60;
+
+// Spec questions in the template FAQ
+const TEMPLATE_SPEC_QUESTIONS = 4;
+
+/**
+ * Keep the grounded, distinct questions with tidy, short answers
+ * @param {Array<Object>} items - { question, answer } from the model or the template
+ * @param {Object} data - Extracted product data
+ * @returns {{items: Array<Object>, dropped: Array<Object>}} Kept items, and the dropped
+ *   ones as { question, answer, claims } with the claims the data doesn't back
+ */
+export function groundFaq(items, data) {
+  const seen = new Set();
+  const kept = [];
+  const dropped = [];
+
+  (items || []).forEach((item) => {
+    const asked = fitLength(item.question, { singleLine: true }).text.replace(/[.:!]+$/, '');
+    const question = !asked || asked.endsWith('?') ? asked : `${asked}?`;
+    const rules = { maxWords: MAX_ANSWER_WORDS, singleLine: true };
+    const { text: answer } = fitLength(item.answer, rules);
+    const key = question.toLowerCase();
+    if (!question || !answer || seen.has(key)) return;
+    seen.add(key);
+
+    const unsupported = checkNarrative(answer, data).claims.filter((claim) => !claim.supported);
+    if (unsupported.length > 0) {
+      dropped.push({ question, answer, claims: unsupported.map(describeClaim) });
+    } else {
+      kept.push({ question, answer });
+    }
+  });
+
+  return { items: kept.slice(0, FAQ_RANGE.max), dropped };
+}
+
+/**
+ * FAQ built from the extracted data alone, for when the model is unavailable
+ * @param {Object} data - Extracted product data
+ * @returns {Array<Object>} { question, answer } items; empty when the data has nothing
+ */
+export function templateFaq(data) {
+  const name = `the ${data.name}`;
+  const list = (items) => `${items.slice(0, 3).map((item) => item.replace(/\.$/, '')).join('; ')}.`;
+  const { rating } = data;
+
+  const specQuestions = comparisonSpecKeys(data)
+    .slice(0, TEMPLATE_SPEC_QUESTIONS)
+    .map((key) => {
+      const label = specLabel(data, key).toLowerCase();
+      return {
+        question: `What is the ${label} of ${name}?`,
+        answer: `The ${data.name} has a ${label} of ${data.specs[key]}.`,
+      };
+    });
+
+  return [
+    ...specQuestions,
+    data.features?.length > 0 ? { question: `What are the main features of ${name}?`, answer: list(data.features) } : null,
+    data.useCases?.length > 0 ? { question: `What is ${name} good for?`, answer: list(data.useCases) } : null,
+    data.pros?.length > 0 ? { question: `What do buyers like about ${name}?`, answer: list(data.pros) } : null,
+    data.cons?.length > 0 ? { question: `What are the drawbacks of ${name}?`, answer: list(data.cons) } : null,
+    rating?.score ? {
+      question: `How do customers rate ${name}?`,
+      answer: `It is rated ${rating.score}/${rating.maxScore} from ${rating.reviewCount} reviews.`,
+    } : null,
+  ].filter(Boolean);
+}
+
+/**
+ * Fill grounded items up to FAQ_RANGE.min with template questions (templateFaq) not
+ * already asked; a FAQ that still falls short is omitted, with the reason
+ * @param {Object} grounded - groundFaq() result
+ * @param {Object} data - Extracted product data
+ * @returns {{items: Array<Object>, dropped: Array<Object>, added: number,
+ *   omitted: string|null}} items is empty when omitted; added counts template questions
+ */
+export function completeFaq(grounded, data) {
+  const asked = new Set(grounded.items.map((item) => item.question.toLowerCase()));
+  const missing = Math.max(FAQ_RANGE.min - grounded.items.length, 0);
+  const added = groundFaq(templateFaq(data), data).items
+    .filter((item) => !asked.has(item.question.toLowerCase()))
+    .slice(0, missing);
+  const items = [...grounded.items, ...added];
+
+  if (items.length < FAQ_RANGE.min) {
+    return {
+      items: [],
+      dropped: grounded.dropped,
+      added: 0,
+      omitted: `Only ${items.length} question${items.length === 1 ? '' : 's'} could be answered from the page data; a FAQ needs at least ${FAQ_RANGE.min}`,
+    };
+  }
+  return {
+    items,
+    dropped: grounded.dropped,
+    added: added.length,
+    omitted: null,
+  };
+}
+
+/**
+ * schema.org FAQPage for FAQ items
+ */
+export function faqPageNode(items) {
+  return {
+    '@type': 'FAQPage',
+    mainEntity: items.map((item) => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: item.answer,
+      },
+    })),
+  };
+}
+
+/**
+ * The Product (or ProductGroup) node of structured data, whether it stands alone or
+ * comes first in an @graph with a FAQPage (see generateStructuredData)
+ */
+export function productNode(structuredData) {
+  return structuredData?.['@graph'] ? structuredData['@graph'][0] : structuredData;
+}
+
+export default groundFaq;
@@ -0,0 +1,112 @@
+/**
+ * Comparison Matrix
+ * Lines the product's specs up against its competitors' on canonical spec keys,
+ * marking where each value came from
+ *
+ * Matrix shape:
+ *   { columns: [{ name, positioning }], rows: [{ key, label, cells: [{ value, source,
+ *     converted }] }] }
+ *
+ * The first column is the product itself. `source` is 'page' (extracted from the product
+ * page), 'model' (the LLM's answer), 'database' (built-in competitor list) or 'unknown';
+ * `converted` is the value in the product's unit when the competitor's differs.
+ */
+
+import { canonicalLabel } from './spec-vocabulary.js';
+import { parseQuantity, convertQuantity } from './spec-units.js';
+import { isIdentifierSpec } from './product-identifiers.js';
+
+export const SPEC_SOURCES = {
+  page: 'From the product page',
+  model: 'AI-sourced, not from the competitor\'s page',
+  database: 'From the built-in competitor list',
+  unknown: 'Unknown',
+};
+
+// Rows in the matrix (and keys sent to the model); vocabulary keys come first
+const MAX_MATRIX_SPECS = 12;
+
+// Answers that mean the model did not know the value
+const UNKNOWN_VALUE = /^(?:unknown|n\/?a|not (?:available|published|specified)|-+|—|\?)$/i;
+
+/**
+ * Whether a competitor spec value is a real value rather than "unknown"
+ */
+export function isKnownValue(value) {
+  return value !== undefined && value !== null && !UNKNOWN_VALUE.test(String(value).trim());
+}
+
+/**
+ * Spec keys to compare: the product's canonical keys, vocabulary keys first;
+ * identifiers (UPC, model number) are left out
+ * @param {Object} data - Extracted product data
+ * @returns {Array<string>}
+ */
+export function comparisonSpecKeys(data) {
+  const keys = Object.keys(data.specs || {})
+    .filter((key) => String(data.specs[key]).trim() !== '' && !isIdentifierSpec(key));
+  const known = keys.filter((key) => canonicalLabel(key, data.specVocabulary));
+  const other = keys.filter((key) => !known.includes(key));
+  return [...known, ...other].slice(0, MAX_MATRIX_SPECS);
+}
+
+/**
+ * Display label for a spec key
+ */
+export function specLabel(data, key) {
+  return canonicalLabel(key, data.specVocabulary) || data.specLabels?.[key]
+    || key.replace(/_/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase());
+}
+
+/**
+ * A competitor's value converted to the product's unit, as text, when the units differ
+ */
+function convertedValue(value, ours, key) {
+  const theirs = parseQuantity(value, key);
+  if (!ours?.unitCode || !theirs?.unitCode || theirs.unitCode === ours.unitCode) return null;
+  const converted = convertQuantity(theirs, ours.unitCode);
+  if (converted === null) return null;
+  return `${Number(converted.toFixed(converted >= 100 ? 0 : 2))} ${ours.unitText}`;
+}
+
+/**
+ * Build the comparison matrix for a product and its cross-brand competitors
+ * @param {Object} data - Extracted product data with crossBrandCompetitors
+ * @returns {Object|null} Matrix, or null without competitors or specs
+ */
+export function buildComparisonMatrix(data) {
+  const competitors = data.crossBrandCompetitors || [];
+  const keys = comparisonSpecKeys(data);
+  if (competitors.length === 0 || keys.length === 0) return null;
+
+  return {
+    columns: [
+      { name: [data.brand, data.name].filter(Boolean).join(' '), positioning: null },
+      ...competitors.map((competitor) => ({
+        name: `${competitor.brand} ${competitor.model}`.trim(),
+        positioning: competitor.positioning || null,
+      })),
+    ],
+    rows: keys.map((key) => {
+      const ours = data.specValues?.[key] || parseQuantity(data.specs[key], key);
+      return {
+        key,
+        label: specLabel(data, key),
+        cells: [
+          { value: String(data.specs[key]), source: 'page', converted: null },
+          ...competitors.map((competitor) => {
+            const value = competitor.specs?.[key];
+            if (!isKnownValue(value)) return { value: null, source: 'unknown', converted: null };
+            return {
+              value: String(value),
+              source: competitor.specSource || 'model',
+              converted: convertedValue(value, ours, key),
+            };
+          }),
+        ],
+      };
+    }),
+  };
+}
+
+export default buildComparisonMatrix;
@@ -0,0 +1,206 @@
+/**
+ * Copy Linter
+ * Rule-based check of the conversational narrative against what the narrative prompt
+ * asks for: no banned or hype phrases, its word range, "you" language, readable
+ * sentences, its opening ("Looking for...") and no leftover markdown
+ *
+ * Issue shape:
+ *   { rule, severity, message, text, start, end, sentence }
+ *
+ * `severity` is 'error' (the prompt forbids it) or 'warning' (style); `start`/`end` are
+ * null for issues about the whole text (length, "you" ratio). lintFixInstruction()
+ * turns an issue into a refinement instruction for the "fix with AI" action.
+ *
+ * The word range and opening are read from the narrative prompt template in use
+ * (narrativeLintRules), so an edited prompt is linted against what it now asks for.
+ *
+ * Banned and hype phrases on the brand voice's avoid list are left to the brand voice
+ * check (brand-voice.js) so each one is reported once.
+ */
+
+/* eslint-disable no-console, no-restricted-syntax */
+
+import { countWords } from './narrative-formats.js';
+import { sentenceAt } from './fact-check.js';
+import { SECOND_PERSON, phrasePattern } from './brand-voice.js';
+import { escapeRegExp } from './spec-units.js';
+
+export const LINT_RULES = {
+  'banned-phrase': 'Banned phrase',
+  hype: 'Marketing hype',
+  'word-count': 'Length',
+  'second-person': '"You" language',
+  'sentence-length': 'Long sentence',
+  opening: 'Opening',
+  markdown: 'Leftover markdown',
+};
+
+// Phrases the narrative prompt names explicitly
+const BANNED_PHRASES = ['cutting-edge', 'cutting edge', 'revolutionary'];
+
+// Hype and corporate speak the prompt asks to avoid in general terms
+const HYPE_PHRASES = [
+  'game-changer', 'game-changing', 'best-in-class', 'world-class', 'state-of-the-art',
+  'industry-leading', 'next-level', 'unparalleled', 'unmatched', 'second to none',
+  'must-have', 'synergy', 'leverage', 'paradigm', 'seamless', 'innovative solution',
+];
+
+// "you"/"your" per word: below MIN it isn't conversational, above MAX it nags
+const SECOND_PERSON_RATIO = { min: 0.02, max: 0.12 };
+
+const MAX_SENTENCE_WORDS = 35;
+
+const MARKDOWN_PATTERNS = [
+  { pattern: /\*\*[^*\n]+\*\*|__[^_\n]+__/g, label: 'Bold markers' },
+  { pattern: /^#{1,6}\s.*$/gm, label: 'A heading' },
+  { pattern: /^\s*[-*+]\s.*$/gm, label: 'A list bullet' },
+  { pattern: /`[^`\n]+`/g, label: 'Code formatting' },
+  { pattern: /\[[^\]\n]+\]\([^)\n]+\)/g, label: 'A markdown link' },
+];
+
+/**
+ * Sentences with their position; headings and list items end at the line break
+ */
+function sentences(text) {
+  return [...text.matchAll(/[^.!?\n]+(?:[.!?]+|$)/gm)]
+    .filter((match) => match[0].trim())
+    .map((match) => {
+      const offset = match[0].length - match[0].trimStart().length;
+      return { text: match[0].trim(), start: match.index + offset };
+    });
+}
+
+/**
+ * Word range and openings the narrative prompt asks for, read from its text:
+ * "(250-350 words)" and the line starting "Opens with", e.g.
+ * 'Opens with "Looking for..." or "If you need..."'
+ * @param {Object} template - The narrative prompt template (see prompt-templates.js)
+ * @returns {{words: Object|null, openings: Array<string>}} words is { min, max }, null
+ *   when the prompt gives no range; openings is empty when it names none
+ */
+export function narrativeLintRules(template) {
+  const text = `${template?.system || ''}\n${template?.user || ''}`;
+  const range = text.match(/(\d+)\s*[-–]\s*(\d+)\s*words/i);
+  const opening = text.match(/\bopens? with\b(.*)/i);
+  return {
+    words: range ? { min: Number(range[1]), max: Number(range[2]) } : null,
+    openings: opening
+      ? [...opening[1].matchAll(/"([^"]+?)(?:\.{3}|…)?"/g)].map((match) => match[1].trim())
+      : [],
+  };
+}
+
+function openingList(openings) {
+  return openings.map((opening) => `"${opening}..."`).join(' or ');
+}
+
+/**
+ * Lint a conversational narrative
+ * The "you" ratio and opening rules are skipped when the brand voice forbids "you"
+ * language, and phrases on its avoid list are left to the brand voice check
+ * (see brand-voice.js). Without rules from the prompt, length and opening aren't checked.
+ * @param {string} narrative - Narrative text
+ * @param {Object} options - { voice } brand voice profile; { rules } from narrativeLintRules()
+ * @returns {{issues: Array<Object>, errors: number, warnings: number, words: number,
+ *   rules: Object}}
+ */
+export function lintNarrative(narrative, options = {}) {
+  const text = narrative || '';
+  const rules = { words: null, openings: [], ...options.rules };
+  const issues = [];
+  const add = (rule, severity, message, match = null) => issues.push({
+    rule,
+    severity,
+    message,
+    text: match ? match[0] : null,
+    start: match ? match.index : null,
+    end: match ? match.index + match[0].length : null,
+    sentence: match ? sentenceAt(text, match.index) : null,
+  });
+
+  const avoid = options.voice?.vocabulary?.avoid || [];
+  const avoided = new Set(avoid.map((word) => word.toLowerCase()));
+  const phraseMatches = (word) => [...text.matchAll(phrasePattern(word))]
+    .filter((match) => !avoided.has(match[0].toLowerCase()));
+
+  BANNED_PHRASES.forEach((word) => {
+    for (const match of phraseMatches(word)) add('banned-phrase', 'error', `"${match[0]}" is banned by the narrative prompt`, match);
+  });
+  HYPE_PHRASES.forEach((word) => {
+    for (const match of phraseMatches(word)) add('hype', 'warning', `"${match[0]}" reads as marketing hype`, match);
+  });
+
+  const words = countWords(text);
+  const range = rules.words;
+  if (range && (words < range.min || words > range.max)) {
+    add('word-count', 'warning', `${words} words; the prompt asks for ${range.min}-${range.max}`);
+  }
+
+  const secondPersonAllowed = options.voice?.rules?.secondPerson !== false;
+  if (secondPersonAllowed && words > 0) {
+    const ratio = [...text.matchAll(SECOND_PERSON)].length / words;
+    const percent = `${Math.round(ratio * 1000) / 10}%`;
+    if (ratio < SECOND_PERSON_RATIO.min) {
+      add('second-person', 'warning', `"You"/"your" are ${percent} of the words; the narrative should speak to the reader`);
+    } else if (ratio > SECOND_PERSON_RATIO.max) {
+      add('second-person', 'warning', `"You"/"your" are ${percent} of the words; it reads as repetitive`);
+    }
+  }
+
+  sentences(text).forEach((sentence) => {
+    const count = countWords(sentence.text);
+    if (count > MAX_SENTENCE_WORDS) {
+      add('sentence-length', 'warning', `${count}-word sentence; keep sentences under ${MAX_SENTENCE_WORDS} words`, { 0: sentence.text, index: sentence.start });
+    }
+  });
+
+  const opening = new RegExp(`^\\s*(?:${rules.openings.map(escapeRegExp).join('|')})\\b`, 'i');
+  if (secondPersonAllowed && rules.openings.length > 0 && text.trim() && !opening.test(text)) {
+    add('opening', 'warning', `Does not open with ${openingList(rules.openings)}`);
+  }
+
+  MARKDOWN_PATTERNS.forEach(({ pattern, label }) => {
+    for (const match of text.matchAll(pattern)) add('markdown', 'error', `${label} left in the text`, match);
+  });
+
+  issues.sort((a, b) => (a.start ?? -1) - (b.start ?? -1));
+  const errors = issues.filter((issue) => issue.severity === 'error').length;
+  console.log(`[CopyLinter] ${errors} errors, ${issues.length - errors} warnings`);
+  return {
+    issues,
+    errors,
+    warnings: issues.length - errors,
+    words,
+    rules,
+  };
+}
+
+/**
+ * Refinement instruction that fixes one issue and nothing else
+ * @param {Object} issue - Issue from lintNarrative()
+ * @param {Object} rules - The rules it was linted with (lintNarrative()'s `rules`)
+ * @returns {string}
+ */
+export function lintFixInstruction(issue, rules = {}) {
+  switch (issue.rule) {
+    case 'banned-phrase':
+    case 'hype':
+      return `Replace "${issue.text}" with plain, specific wording in this sentence: ${issue.sentence}`;
+    case 'word-count':
+      return `Bring the length to between ${rules.words.min} and ${rules.words.max} words (${issue.message.split(';')[0]} now) without adding facts`;
+    case 'second-person':
+      return issue.message.includes('repetitive')
+        ? 'Use "you" and "your" less often so it does not sound repetitive'
+        : 'Address the reader directly with "you" and "your" throughout';
+    case 'sentence-length':
+      return `Split this sentence into shorter ones: ${issue.sentence}`;
+    case 'opening':
+      return `Open the description with ${openingList(rules.openings)}`;
+    case 'markdown':
+      return `Remove the markdown formatting (${issue.text.trim()}) and write it as plain prose`;
+    default:
+      return issue.message;
+  }
+}
+
+export default lintNarrative;
@@ -0,0 +1,493 @@
+/**
+ * Embedded State Extractor
+ * Finds product data in hydration payloads that headless storefronts ship
+ * instead of server-rendered markup (__NEXT_DATA__, __NUXT__, Nuxt 3 __NUXT_DATA__,
+ * Apollo caches, Shopify product JSON, window.__PRELOADED_STATE__ ...).
+ *
+ * Page scripts are never executed: payloads are located by pattern, sliced
+ * out as literals and parsed as JSON.
+ */
+
+/* eslint-disable no-restricted-syntax, no-console */
+
+import { normalizeVariant } from './variant-extractor.js';
+
+const MAX_SEARCH_DEPTH = 14;
+const MAX_SEARCH_NODES = 50000;
+
+/**
+ * JSON script tags that hold hydration data
+ * `centPrices` marks payloads that store prices as integer cents; `devalue` marks
+ * payloads that must be decoded first (see decodeDevalue)
+ */
+const JSON_SCRIPT_SOURCES = [
+  { id: '__NEXT_DATA__', selector: 'script#__NEXT_DATA__' },
+  { id: 'shopify-product-json', selector: 'script[type="application/json"][data-product-json], script[id^="ProductJson"]', centPrices: true },
+  { id: '__NUXT_DATA__', selector: 'script#__NUXT_DATA__', devalue: true },
+  { id: 'application/json', selector: 'script[type="application/json"]:not(#__NEXT_DATA__):not(#__NUXT_DATA__):not([data-product-json]):not([id^="ProductJson"])' },
+];
+
+/**
+ * Global assignments in inline scripts that hold hydration data
+ */
+const ASSIGNMENT_SOURCES = [
+  'window.__NUXT__',
+  'window.__APOLLO_STATE__',
+  'window.__PRELOADED_STATE__',
+  'window.__INITIAL_STATE__',
+  'window.__INITIAL_DATA__',
+  'window.__STATE__',
+  'window.__APP_STATE__',
+];
+
+const NAME_KEYS = ['name', 'title', 'productName', 'product_name', 'displayName'];
+
+const PRODUCT_SIGNAL_KEYS = [
+  'price', 'prices', 'priceRange', 'price_range', 'offers', 'variants', 'sku', 'brand', 'vendor',
+  'description', 'images', 'image', 'media', 'gtin', 'upc', 'ean', 'barcode', 'specifications',
+  'attributes', 'features', 'rating', 'averageRating', 'reviews', 'reviewCount',
+];
+
+/**
+ * Slice a balanced JSON object or array literal starting at `start`
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening brace or bracket
+ * @returns {string|null} The literal, or null if unbalanced
+ */
+export function sliceBalancedJson(text, start) {
+  const open = text[start];
+  const close = open === '{' ? '}' : ']';
+  if (open !== '{' && open !== '[') return null;
+
+  let depth = 0;
+  let inString = false;
+  let quote = '';
+
+  for (let i = start; i < text.length; i += 1) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        inString = false;
+      }
+    } else if (char === '"' || char === "'") {
+      inString = true;
+      quote = char;
+    } else if (char === open) {
+      depth += 1;
+    } else if (char === close) {
+      depth -= 1;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert common JavaScript-only literal syntax to JSON
+ * (unquoted keys, single-quoted strings, `undefined`, minified `!0` / `!1`)
+ * without evaluating anything
+ */
+function jsLiteralToJson(literal) {
+  let out = '';
+  let i = 0;
+
+  while (i < literal.length) {
+    const char = literal[i];
+
+    if (char === '"' || char === "'") {
+      // Copy the string, re-quoting single-quoted strings
+      let j = i + 1;
+      let content = '';
+      while (j < literal.length && literal[j] !== char) {
+        if (literal[j] === '\\') {
+          content += literal.slice(j, j + 2);
+          j += 2;
+        } else {
+          content += char === "'" && literal[j] === '"' ? '\\"' : literal[j];
+          j += 1;
+        }
+      }
+      out += `"${char === "'" ? content.replace(/\\'/g, "'") : content}"`;
+      i = j + 1;
+    } else if (/[A-Za-z_$]/.test(char) && /[{,]\s*$/.test(out)) {
+      // Unquoted object key
+      const [identifier] = literal.slice(i).match(/^[A-Za-z_$][\w$]*/);
+      const rest = literal.slice(i + identifier.length);
+      out += /^\s*:/.test(rest) ? `"${identifier}"` : identifier;
+      i += identifier.length;
+    } else if (literal.startsWith('undefined', i)) {
+      out += 'null';
+      i += 9;
+    } else if (literal.startsWith('!0', i)) {
+      out += 'true';
+      i += 2;
+    } else if (literal.startsWith('!1', i)) {
+      out += 'false';
+      i += 2;
+    } else {
+      out += char;
+      i += 1;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Parse a JSON (or JSON-like JavaScript) literal; returns null when it cannot be parsed safely
+ */
+export function parseLiteral(literal) {
+  if (!literal) return null;
+  try {
+    return JSON.parse(literal);
+  } catch {
+    try {
+      return JSON.parse(jsLiteralToJson(literal));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// devalue's negative references: undefined, array hole, NaN, ±Infinity, -0
+const DEVALUE_SPECIALS = {
+  '-1': null, '-2': null, '-3': NaN, '-4': Infinity, '-5': -Infinity, '-6': -0,
+};
+
+/**
+ * Decode a devalue payload (Nuxt 3's __NUXT_DATA__): a flat array whose first entry is
+ * the root, where numbers inside objects and arrays are indexes into the array and an
+ * array starting with a string is a tagged value (["Reactive", 3], ["Date", "..."])
+ * Nuxt's ref/reactive wrappers are unwrapped; dates and bigints become strings, Sets
+ * arrays and Maps objects
+ * @param {Array} values - Parsed payload
+ * @returns {*} Decoded root, or null when it isn't a devalue array
+ */
+export function decodeDevalue(values) {
+  if (!Array.isArray(values) || values.length === 0) return null;
+  const decoded = new Map();
+
+  const hydrate = (index) => {
+    if (typeof index !== 'number') return null;
+    if (index < 0) return DEVALUE_SPECIALS[index] ?? null;
+    if (decoded.has(index)) return decoded.get(index);
+
+    const value = values[index];
+    if (!value || typeof value !== 'object') {
+      decoded.set(index, value ?? null);
+      return value ?? null;
+    }
+
+    if (Array.isArray(value) && typeof value[0] === 'string') {
+      const [type, ...args] = value;
+      let result;
+      if (type === 'Date' || type === 'BigInt') {
+        [result] = args;
+      } else if (type === 'Set') {
+        result = args.map(hydrate);
+      } else if (type === 'Map' || type === 'null') {
+        result = {};
+        for (let i = 0; i + 1 < args.length; i += 2) {
+          const key = type === 'Map' ? hydrate(args[i]) : args[i];
+          result[String(key)] = hydrate(args[i + 1]);
+        }
+      } else {
+        // Reactive, ShallowReactive, Ref, ShallowRef... wrap a single reference
+        result = hydrate(args[0]);
+      }
+      decoded.set(index, result);
+      return result;
+    }
+
+    // Registered before filling so shared and circular references resolve
+    const result = Array.isArray(value) ? [] : {};
+    decoded.set(index, result);
+    Object.entries(value).forEach(([key, reference]) => {
+      result[key] = hydrate(reference);
+    });
+    return result;
+  };
+
+  return hydrate(0);
+}
+
+/**
+ * Concatenate inline script contents
+ */
+function inlineScripts(doc) {
+  return Array.from(doc.querySelectorAll('script:not([src])'))
+    .map((script) => script.textContent)
+    .join('\n');
+}
+
+/**
+ * Read a literal assigned to a global in an inline script, e.g. `var BCData = {...};`
+ * @param {Document} doc - The HTML document to parse
+ * @param {string} name - Assignment target (`window.` prefix optional in the page)
+ * @returns {*} Parsed value, or null when absent or not a plain literal
+ */
+export function readJsonAssignment(doc, name) {
+  const source = inlineScripts(doc);
+  const bare = name.replace(/^window\./, '');
+  const escaped = bare.replace(/[.$]/g, '\\$&');
+  const pattern = new RegExp(`(?:window\\.|var\\s+|let\\s+|const\\s+|\\b)${escaped}\\s*=\\s*`);
+  const match = pattern.exec(source);
+  if (!match) return null;
+
+  // Function-wrapped payloads (e.g. minified Nuxt IIFEs) are skipped rather than executed
+  const literal = sliceBalancedJson(source, match.index + match[0].length);
+  return parseLiteral(literal);
+}
+
+/**
+ * Score how product-like an object is
+ */
+function productScore(node) {
+  const nameKey = NAME_KEYS.find((key) => typeof node[key] === 'string' && node[key].trim());
+  if (!nameKey) return 0;
+
+  let score = 0;
+  // eslint-disable-next-line no-underscore-dangle
+  const type = String(node.__typename || node['@type'] || node.type || '').toLowerCase();
+  if (type.includes('product')) score += 2;
+  PRODUCT_SIGNAL_KEYS.forEach((key) => {
+    if (node[key] !== undefined && node[key] !== null && node[key] !== '') score += 1;
+  });
+  return score;
+}
+
+/**
+ * Depth-first search for product-shaped objects
+ * @param {*} root - Parsed payload
+ * @returns {Array<{node: Object, path: string, score: number}>} Candidates, best first
+ */
+export function findProductObjects(root) {
+  const candidates = [];
+  const stack = [{ value: root, path: '$', depth: 0 }];
+  let visited = 0;
+
+  while (stack.length > 0 && visited < MAX_SEARCH_NODES) {
+    const { value, path, depth } = stack.pop();
+    visited += 1;
+
+    if (value && typeof value === 'object' && depth <= MAX_SEARCH_DEPTH) {
+      if (!Array.isArray(value)) {
+        const score = productScore(value);
+        if (score >= 3) candidates.push({ node: value, path, score });
+      }
+
+      Object.entries(value).forEach(([key, child]) => {
+        if (child && typeof child === 'object') {
+          const childPath = Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`;
+          stack.push({ value: child, path: childPath, depth: depth + 1 });
+        }
+      });
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Read a display string from a value that may be text or an object
+ */
+function asText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return asText(value[0]);
+  if (typeof value === 'object') return asText(value.name || value.title || value.value || value.label);
+  return String(value).trim();
+}
+
+/**
+ * Read a numeric price from the many shapes stores use
+ */
+function readPrice(value, centPrices) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') {
+    return readPrice(
+      value.amount ?? value.value ?? value.current ?? value.price ?? value.minVariantPrice?.amount,
+      centPrices,
+    );
+  }
+  const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(amount)) return null;
+  return centPrices && Number.isInteger(amount) ? amount / 100 : amount;
+}
+
+/**
+ * Read a currency code next to a price
+ */
+function readCurrency(node) {
+  const price = node.price && typeof node.price === 'object' ? node.price : {};
+  return asText(node.currency || node.currencyCode || node.priceCurrency
+    || price.currency || price.currencyCode || price.minVariantPrice?.currencyCode
+    || node.priceRange?.minVariantPrice?.currencyCode);
+}
+
+/**
+ * Collect image URLs from strings, {url|src|originalSrc} objects or GraphQL edges
+ */
+function readImages(value) {
+  const list = Array.isArray(value)
+    ? value
+    : [].concat(value?.edges || value?.nodes || value || []);
+  return list
+    .map((img) => {
+      if (typeof img === 'string') return img;
+      const item = img?.node || img;
+      return item?.url || item?.src || item?.originalSrc || item?.image?.url || '';
+    })
+    .filter((url) => typeof url === 'string' && url)
+    .map((url) => (url.startsWith('//') ? `https:${url}` : url));
+}
+
+/**
+ * Read specs from arrays of {name, value} or plain key/value maps
+ */
+function readSpecs(value) {
+  const specs = {};
+  if (!value || typeof value !== 'object') return specs;
+
+  const addSpec = (label, raw) => {
+    const text = Array.isArray(raw) ? raw.map(asText).join(', ') : asText(raw);
+    if (label && text && typeof label === 'string') {
+      specs[label.trim().toLowerCase().replace(/[\s[\]]/g, '_').replace(/_+/g, '_')] = text;
+    }
+  };
+
+  if (Array.isArray(value)) {
+    value.forEach((item) => {
+      if (item && typeof item === 'object') {
+        addSpec(item.name || item.label || item.key || item.attribute, item.value ?? item.values);
+      }
+    });
+  } else {
+    Object.entries(value).forEach(([key, raw]) => {
+      if (typeof raw !== 'object' || Array.isArray(raw)) addSpec(key, raw);
+    });
+  }
+  return specs;
+}
+
+/**
+ * Strip HTML tags from description strings
+ */
+function stripTags(text) {
+  return String(text || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Map a product-shaped object onto the generator's data shape
+ * @param {Object} node - Product-like object found in a payload
+ * @param {Object} options - { centPrices } when the payload stores integer cents
+ * @returns {Object} Partial product data
+ */
+export function mapStateProduct(node, options = {}) {
+  const nameKey = NAME_KEYS.find((key) => typeof node[key] === 'string' && node[key].trim());
+  const variants = Array.isArray(node.variants) ? node.variants : node.variants?.nodes || [];
+  const firstVariant = variants.find((v) => v && v.available !== false) || variants[0] || {};
+  const price = readPrice(
+    node.price ?? node.prices ?? node.priceRange ?? firstVariant.price,
+    options.centPrices,
+  );
+  const images = readImages(node.images || node.media || node.image || node.featuredImage);
+  const ratingValue = parseFloat(asText(
+    node.averageRating ?? node.rating?.average ?? node.rating?.value ?? node.rating,
+  ));
+  const features = [].concat(node.features || node.highlights || node.bullets || [])
+    .map(asText)
+    .filter((text) => text.length > 10 && text.length < 500);
+
+  const result = {
+    name: nameKey ? node[nameKey].trim() : '',
+    brand: asText(node.brand || node.vendor || node.manufacturer),
+    tagline: stripTags(node.shortDescription || node.description || node.body_html).slice(0, 300),
+    category: asText(node.category || node.productType || node.product_type),
+    images,
+    image: images[0] || null,
+    sku: asText(node.sku || firstVariant.sku),
+    mpn: asText(node.mpn),
+    gtin: asText(node.gtin || node.gtin13 || node.upc || node.ean || node.barcode
+      || firstVariant.barcode),
+    specs: readSpecs(node.specifications || node.specs || node.attributes),
+    features,
+    rating: Number.isFinite(ratingValue) && ratingValue > 0 ? {
+      score: ratingValue,
+      maxScore: 5,
+      reviewCount: parseInt(asText(
+        node.reviewCount ?? node.reviewsCount ?? node.rating?.count ?? 0,
+      ), 10) || 0,
+    } : null,
+    variants: variants
+      .map((variant) => normalizeVariant(variant, {
+        optionNames: node.options,
+        centPrices: options.centPrices,
+        currency: readCurrency(node),
+      }))
+      .filter(Boolean),
+    offers: price !== null ? [{
+      type: 'Offer',
+      source: 'embedded-state',
+      price: String(price),
+      priceCurrency: readCurrency(node),
+      availability: node.available === false || firstVariant.available === false ? 'OutOfStock' : '',
+    }] : [],
+  };
+
+  return result;
+}
+
+/**
+ * Collect every hydration payload on the page
+ * @param {Document} doc - The HTML document to parse
+ * @returns {Array<{id: string, data: *, centPrices: boolean}>} Parsed payloads
+ */
+export function findEmbeddedPayloads(doc) {
+  const payloads = [];
+
+  JSON_SCRIPT_SOURCES.forEach(({
+    id, selector, centPrices, devalue,
+  }) => {
+    doc.querySelectorAll(selector).forEach((script) => {
+      const parsed = parseLiteral(script.textContent.trim());
+      const data = devalue ? decodeDevalue(parsed) : parsed;
+      if (data) payloads.push({ id, data, centPrices: !!centPrices });
+    });
+  });
+
+  ASSIGNMENT_SOURCES.forEach((name) => {
+    const data = readJsonAssignment(doc, name);
+    if (data) payloads.push({ id: name.replace(/^window\./, ''), data, centPrices: false });
+  });
+
+  return payloads;
+}
+
+/**
+ * Extract product fields from embedded JavaScript state
+ * @param {Document} doc - The HTML document to parse
+ * @returns {Object|null} Partial product data with `sources`, or null when none found
+ */
+export function extractEmbeddedProduct(doc) {
+  const payloads = findEmbeddedPayloads(doc);
+  if (payloads.length === 0) return null;
+
+  let best = null;
+  payloads.forEach((payload) => {
+    const [candidate] = findProductObjects(payload.data);
+    if (candidate && (!best || candidate.score > best.score)) {
+      best = { ...candidate, payload };
+    }
+  });
+
+  if (!best) return null;
+
+  console.log(`[EmbeddedState] Found product in ${best.payload.id} at ${best.path}`);
+  const product = mapStateProduct(best.node, { centPrices: best.payload.centPrices });
+  product.sources = [{ source: best.payload.id, path: best.path }];
+  return product;
+}
+
+export default extractEmbeddedProduct;
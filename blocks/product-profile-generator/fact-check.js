@@ -0,0 +1,226 @@
+/**
+ * Fact Check
+ * Grounds a narrative in the extracted data: pulls numeric claims (amounts with units,
+ * prices, ratings, review counts) and claim-prone terms ("warranty", "waterproof",
+ * "Bluetooth") out of the text and looks for each in the specs, features, rating,
+ * price and other extracted fields
+ *
+ * Claim shape:
+ *   { text, kind, start, end, sentence, supported, evidence }
+ *
+ * `kind` is 'number', 'price', 'rating' or 'term'; `evidence` is the field that backs a
+ * supported claim, e.g. "specs.max_torque" or "features[2]"
+ */
+
+/* eslint-disable no-console, no-restricted-syntax */
+
+import { parseQuantity, convertQuantity } from './spec-units.js';
+
+/**
+ * Terms a narrative tends to invent; each must be backed by `evidence`
+ * (default: the pattern itself) somewhere in the extracted data
+ */
+export const CLAIM_TERMS = [
+  { term: 'warranty', pattern: /\b(?:lifetime\s+)?warrant(?:y|ies)\b|\bguarantee[ds]?\b/gi, evidence: /warrant|guarantee/i },
+  { term: 'waterproof', pattern: /\bwater[- ]?(?:proof|resistant|resistance)\b/gi, evidence: /water|\bip[x\d]\d/i },
+  { term: 'dustproof', pattern: /\bdust[- ]?(?:proof|resistant|resistance)\b/gi, evidence: /dust|\bip\d[x\d]/i },
+  { term: 'Bluetooth', pattern: /\bbluetooth\b/gi },
+  { term: 'Wi-Fi', pattern: /\bwi-?fi\b/gi, evidence: /wi-?fi|wireless|wlan/i },
+  { term: 'certification', pattern: /\b(?:certified|certification|energy star|ul[- ]listed)\b/gi, evidence: /certif|energy star|\bul\b|\bce\b|\betl\b/i },
+  { term: 'award', pattern: /\baward(?:s|-winning)?\b/gi },
+  { term: 'patent', pattern: /\bpatent(?:s|ed)?\b/gi },
+  { term: 'origin', pattern: /\bmade in (?:the )?[A-Z][a-z]+/g, evidence: /made in|manufactured in|country of origin/i },
+  { term: 'BPA-free', pattern: /\bbpa[- ]free\b/gi, evidence: /bpa/i },
+  { term: 'dishwasher-safe', pattern: /\bdishwasher[- ]safe\b/gi, evidence: /dishwasher/i },
+  { term: 'sustainability', pattern: /\b(?:recycled|recyclable|eco-friendly|sustainabl[ey])\b/gi, evidence: /recycl|sustainab|eco/i },
+];
+
+// Relative difference allowed after a unit conversion ("2.6 lb" for "1.2 kg")
+const CONVERSION_TOLERANCE = 0.02;
+
+// A number not glued to a word ("M18", "v2"), with an optional currency sign
+// and an optional "/ 5" for ratings
+const NUMBER_REGEX = /(?<![\w.,])([$€£]\s?)?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s?\/\s?(\d+(?:\.\d+)?))?/g;
+const UNIT_TEXT_REGEX = /^\s?-?[^\s,;:!?)]+/;
+const LIST_MARKER_REGEX = /^\s*\d+\.\s/;
+
+const toNumber = (text) => parseFloat(text.replace(/,/g, ''));
+
+/**
+ * Numeric tokens in text, with the quantity when a known unit follows
+ */
+function numbersIn(text) {
+  return [...text.matchAll(NUMBER_REGEX)].map((match) => {
+    const [whole, currency, digits, outOf] = match;
+    const quantity = outOf ? null : parseQuantity(text.slice(match.index + (currency || '').length, match.index + whole.length + 16));
+    let end = match.index + whole.length;
+    if (quantity?.unitCode) end += text.slice(end).match(UNIT_TEXT_REGEX)[0].replace(/\.$/, '').length;
+
+    return {
+      value: toNumber(digits),
+      outOf: outOf ? toNumber(outOf) : null,
+      quantity: quantity?.unitCode ? quantity : null,
+      currency: Boolean(currency),
+      start: match.index,
+      end,
+    };
+  });
+}
+
+/**
+ * Everything the narrative may draw on, as { field, text, numbers }
+ */
+function factSources(data) {
+  const sources = [];
+  const add = (field, value) => {
+    if (value === undefined || value === null || value === '') return;
+    const text = typeof value === 'object' ? value.name || JSON.stringify(value) : String(value);
+    // "4.5/5" backs both 4.5 and 5
+    const numbers = numbersIn(text).flatMap((number) => (number.outOf === null
+      ? [number]
+      : [number, { value: number.outOf, quantity: null }]));
+    sources.push({ field, text, numbers });
+  };
+
+  ['name', 'brand', 'category', 'tagline', 'description', 'gtin', 'sku', 'mpn'].forEach((field) => add(field, data[field]));
+  Object.entries(data.specs || {}).forEach(([key, value]) => add(`specs.${key}`, `${key.replace(/_/g, ' ')}: ${value}`));
+  ['features', 'useCases', 'pros', 'cons', 'compatibility', 'variants'].forEach((field) => {
+    (data[field] || []).forEach((item, index) => add(`${field}[${index}]`, item));
+  });
+
+  const { rating, price } = data;
+  if (rating) add('rating', `${rating.score}/${rating.maxScore} from ${rating.reviewCount} reviews`);
+  if (price) {
+    add('price', ['value', 'listPrice', 'salePrice', 'lowPrice', 'highPrice']
+      .filter((key) => typeof price[key] === 'number')
+      .map((key) => price[key])
+      .join(' '));
+  }
+  // Competitor names appear in comparisons; their specs are not product facts
+  (data.crossBrandCompetitors || []).forEach((competitor, index) => {
+    add(`crossBrandCompetitors[${index}]`, `${competitor.brand} ${competitor.model}`);
+  });
+
+  return sources;
+}
+
+/**
+ * Whether a fact's number backs a claim's: equal, or within tolerance once converted
+ * to the claim's unit (inside the range for "0-2,000 RPM", any side for "L x W x H")
+ */
+function sameValue(claim, fact) {
+  if (!claim.quantity || !fact.quantity) return claim.value === fact.value;
+  if (claim.quantity.dimension !== fact.quantity.dimension) return false;
+
+  const { unitCode } = claim.quantity;
+  const convert = (value) => convertQuantity({ ...fact.quantity, value }, unitCode);
+  const { values, minValue, maxValue } = fact.quantity;
+  const inRange = minValue !== undefined
+    && claim.value >= convert(minValue) && claim.value <= convert(maxValue);
+  if (inRange) return true;
+  return (values || [fact.quantity.value])
+    .map(convert)
+    .some((value) => value !== null
+      && Math.abs(value - claim.value) <= Math.abs(value) * CONVERSION_TOLERANCE);
+}
+
+/**
+ * Field whose numbers back a numeric claim, or null
+ */
+function numberEvidence(claim, sources) {
+  const wanted = claim.outOf === null ? [claim] : [claim, { value: claim.outOf, quantity: null }];
+  const source = sources.find((candidate) => wanted
+    .every((number) => candidate.numbers.some((fact) => sameValue(number, fact))));
+  return source ? source.field : null;
+}
+
+/**
+ * Sentence around a character offset
+ */
+export function sentenceAt(text, index) {
+  const before = text.slice(0, index);
+  const start = Math.max(before.search(/[^.!?\n]*$/), 0);
+  const after = text.slice(index).search(/[.!?](\s|$)|\n/);
+  const end = after === -1 ? text.length : index + after + 1;
+  return text.slice(start, end).trim();
+}
+
+/**
+ * Pull claims out of a narrative
+ * @param {string} narrative - Narrative text (markdown)
+ * @returns {Array<Object>} Claims without the `supported`/`evidence` verdict, in text order
+ */
+export function extractClaims(narrative = '') {
+  const claims = numbersIn(narrative)
+    .filter((number) => {
+      // "1. " opening a line is a list marker, not a claim
+      const lineStart = narrative.lastIndexOf('\n', number.start) + 1;
+      return !(narrative.slice(lineStart, number.start).trim() === ''
+        && LIST_MARKER_REGEX.test(narrative.slice(lineStart)));
+    })
+    .map((number) => {
+      let kind = 'number';
+      if (number.currency) kind = 'price';
+      else if (number.outOf !== null) kind = 'rating';
+      return { ...number, kind, text: narrative.slice(number.start, number.end) };
+    });
+
+  CLAIM_TERMS.forEach(({ term, pattern }) => {
+    for (const match of narrative.matchAll(pattern)) {
+      claims.push({
+        kind: 'term',
+        term,
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  });
+
+  return claims
+    .sort((a, b) => a.start - b.start)
+    .map((claim) => ({ ...claim, sentence: sentenceAt(narrative, claim.start) }));
+}
+
+/**
+ * Check every claim in a narrative against the extracted product data
+ * @param {string} narrative - Narrative text
+ * @param {Object} data - Extracted product data
+ * @returns {{claims: Array<Object>, checked: number, supported: number, unsupported: number}}
+ */
+export function checkNarrative(narrative, data) {
+  const sources = factSources(data);
+
+  const claims = extractClaims(narrative).map(({
+    value, outOf, quantity, currency, ...claim
+  }) => {
+    let evidence;
+    if (claim.kind === 'term') {
+      const { pattern, evidence: evidencePattern } = CLAIM_TERMS
+        .find(({ term }) => term === claim.term);
+      const test = evidencePattern || new RegExp(pattern.source, 'i');
+      evidence = sources.find((source) => test.test(source.text))?.field || null;
+    } else {
+      evidence = numberEvidence({ value, outOf, quantity }, sources);
+    }
+    return { ...claim, supported: Boolean(evidence), evidence };
+  });
+
+  const supported = claims.filter((claim) => claim.supported).length;
+  console.log(`[FactCheck] ${claims.length} claims, ${claims.length - supported} not found in ${sources.length} extracted fields`);
+  return {
+    claims,
+    checked: claims.length,
+    supported,
+    unsupported: claims.length - supported,
+  };
+}
+
+/**
+ * One-line description of a flagged claim for a revision prompt
+ */
+export function describeClaim(claim) {
+  return `"${claim.text}" in: ${claim.sentence}`;
+}
+
+export default checkNarrative;
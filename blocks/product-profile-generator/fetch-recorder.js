@@ -0,0 +1,316 @@
+/**
+ * Fetch Recorder
+ * Record/replay for the generator's network calls (page proxies and LLM APIs), for
+ * offline demos and regression runs
+ *
+ *   live    calls go out as usual
+ *   record  calls go out and each request/response pair is kept, to save as a fixture
+ *   replay  calls are answered from a fixture; a request that was not recorded fails
+ *           with code 'replay-miss' instead of reaching the network, and every call
+ *           fails with code 'replay-no-fixture' when no fixture is set or it won't load
+ *
+ * Only cross-origin requests go through the recorder (the worker, proxies and LLM
+ * providers); the block's own files such as prompt templates load normally. Request
+ * headers are never stored, and key/token query parameters are redacted.
+ *
+ * Fixture shape:
+ *   { format, version, recordedAt, entries: [{ key, request: { method, url, body },
+ *     response: { status, statusText, headers, body } }] }
+ */
+
+/* eslint-disable no-console */
+
+import { hashCacheKey } from './llm-cache.js';
+import { sleep } from './llm-retry.js';
+
+export const RECORDER_MODES = ['live', 'record', 'replay'];
+
+const FIXTURE_FORMAT = 'llm-product-profiler-recording';
+const FIXTURE_VERSION = 1;
+const FIXTURE_DIR = new URL('./fixtures/recordings/', import.meta.url).href;
+// File name a recording is saved under when no fixture is set
+const DEFAULT_RECORDING = 'recording';
+// Fixtures are file names under FIXTURE_DIR; URLs and paths are refused so a shared
+// link can't replay page and LLM responses from another site
+const FIXTURE_NAME = /^[\w-]+$/;
+const SECRET_PARAM = /key|token|secret|signature/i;
+
+/**
+ * URL with secret-looking query parameters replaced
+ */
+export function redactUrl(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.forEach((value, name) => {
+    if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+  });
+  return parsed.href;
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string') return body ?? null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Where a fixture loads from: a name under fixtures/recordings/ ("drill-demo" or
+ * "drill-demo.json"), or null when it is a URL, a path or otherwise not a plain name
+ */
+export function fixtureUrl(fixture) {
+  const name = String(fixture || '').replace(/\.json$/, '');
+  return FIXTURE_NAME.test(name) ? `${FIXTURE_DIR}${name}.json` : null;
+}
+
+/**
+ * Why replay can't answer anything from this fixture setting, or null
+ */
+function fixtureError(mode, fixture) {
+  if (mode !== 'replay') return null;
+  if (!fixture) return 'Replay mode needs a recording: set the Recorder Fixture row or ?recorder-fixture=<name> (a file in fixtures/recordings/)';
+  if (!fixtureUrl(fixture)) return `"${fixture}" is not a recording name: use the name of a file in fixtures/recordings/ (URLs and paths are not accepted)`;
+  return null;
+}
+
+/**
+ * Recorder settings from the `Recorder Mode` / `Recorder Fixture` block config rows,
+ * overridden by the `recorder-mode` / `recorder-fixture` query parameters
+ * An unknown mode is ignored (live)
+ * @param {Object} blockConfig - readBlockConfig() result
+ * @param {string} search - location.search
+ * @returns {{mode: string, fixture: string}} fixture is empty when not set
+ */
+export function readRecorderConfig(blockConfig = {}, search = '') {
+  const params = new URLSearchParams(search);
+  let mode = String(params.get('recorder-mode') || blockConfig['recorder-mode'] || 'live').trim().toLowerCase();
+  if (!RECORDER_MODES.includes(mode)) {
+    console.warn(`[Recorder] Unknown recorder mode "${mode}" (use ${RECORDER_MODES.join(', ')}); staying live`);
+    mode = 'live';
+  }
+  return {
+    mode,
+    fixture: String(params.get('recorder-fixture') || blockConfig['recorder-fixture'] || '').trim(),
+  };
+}
+
+/**
+ * Cross-origin http(s) requests are recorded; same-origin files pass through
+ */
+function isRecordable(url) {
+  const target = new URL(url, window.location.href);
+  return /^https?:$/.test(target.protocol) && target.origin !== window.location.origin;
+}
+
+export class FetchRecorder {
+  /**
+   * @param {Object} options - { mode, fixture } (see readRecorderConfig); replay needs
+   *   a fixture name, recording saves as "recording" without a valid one;
+   *   { chunkDelay } ms between replayed stream events (default 15, 0 for all at once)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'live';
+    this.fixture = options.fixture || '';
+    if (this.mode === 'record' && !fixtureUrl(this.fixture)) this.fixture = DEFAULT_RECORDING;
+    this.chunkDelay = options.chunkDelay ?? 15;
+    this.entries = [];
+    this.misses = [];
+    // Why replay can't answer anything (no fixture, not a name, or it failed to load)
+    this.error = fixtureError(this.mode, this.fixture);
+    this.cursor = new Map();
+    this.loading = null;
+    this.originalFetch = null;
+  }
+
+  /**
+   * Route the page's fetch() through the recorder (no-op in live mode)
+   */
+  install() {
+    if (this.mode === 'live' || this.originalFetch) return;
+    this.originalFetch = window.fetch;
+    window.fetch = (input, init) => this.fetch(input, init);
+    if (this.error) {
+      console.error(`[Recorder] ${this.error}`);
+    } else {
+      console.log(`[Recorder] ${this.mode === 'record' ? 'Recording' : 'Replaying'} network calls (fixture: ${this.fixture})`);
+    }
+  }
+
+  uninstall() {
+    if (!this.originalFetch) return;
+    window.fetch = this.originalFetch;
+    this.originalFetch = null;
+  }
+
+  async fetch(input, init = {}) {
+    const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+    if (!isRecordable(url)) return this.originalFetch(input, init);
+
+    const request = {
+      method: (init.method || input.method || 'GET').toUpperCase(),
+      url: redactUrl(new URL(url, window.location.href).href),
+      body: parseBody(init.body),
+    };
+    const key = await hashCacheKey(request);
+
+    return this.mode === 'replay'
+      ? this.replay(key, request, init.signal)
+      : this.record(key, request, input, init);
+  }
+
+  /**
+   * Make the real call and keep the pair once the body has been read in full
+   * A stream stopped early is not kept (it would replay truncated)
+   */
+  async record(key, request, input, init) {
+    const response = await this.originalFetch(input, init);
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      if (name !== 'set-cookie') headers[name] = value;
+    });
+
+    response.clone().text()
+      .then((body) => {
+        this.entries.push({
+          key,
+          request,
+          response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+            body,
+          },
+        });
+        console.log(`[Recorder] Recorded ${request.method} ${request.url} (${response.status})`);
+      })
+      .catch(() => console.warn(`[Recorder] Not recording ${request.url}: response was not read to the end`));
+
+    return response;
+  }
+
+  /**
+   * Load the fixture once and index its entries by key
+   * Fails with code 'replay-no-fixture' when no fixture is set or it can't be loaded
+   */
+  async loadFixture() {
+    if (!this.loading) {
+      const load = async () => {
+        const url = fixtureUrl(this.fixture);
+        if (!url) throw new Error(fixtureError(this.mode, this.fixture));
+        const response = await this.originalFetch(url);
+        if (!response.ok) {
+          throw new Error(`Recording "${this.fixture}" not found at ${url} (${response.status}); record it first (see fixtures/README.md)`);
+        }
+        const fixture = await response.json();
+        if (fixture.format !== FIXTURE_FORMAT) throw new Error(`${url} is not a recording fixture`);
+
+        const byKey = new Map();
+        fixture.entries.forEach((entry) => {
+          if (!byKey.has(entry.key)) byKey.set(entry.key, []);
+          byKey.get(entry.key).push(entry.response);
+        });
+        console.log(`[Recorder] Loaded ${fixture.entries.length} recorded calls from ${url}`);
+        this.error = null;
+        return byKey;
+      };
+      this.loading = load().catch((error) => {
+        this.loading = null;
+        this.error = error.message;
+        console.error(`[Recorder] ${error.message}`);
+        // eslint-disable-next-line no-param-reassign
+        error.code = 'replay-no-fixture';
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Answer from the fixture; repeated identical requests get the recorded responses
+   * in order, then the last one again
+   */
+  async replay(key, request, signal) {
+    const byKey = await this.loadFixture();
+    signal?.throwIfAborted();
+
+    const responses = byKey.get(key);
+    if (!responses) {
+      this.misses.push(request.url);
+      const error = new Error(`No recorded response for ${request.method} ${request.url} in recording "${this.fixture}"`);
+      error.code = 'replay-miss';
+      throw error;
+    }
+
+    const index = Math.min(this.cursor.get(key) || 0, responses.length - 1);
+    this.cursor.set(key, index + 1);
+    return this.toResponse(responses[index], signal);
+  }
+
+  /**
+   * Rebuild a Response; event streams are replayed event by event so streaming UI
+   * behaves as it did live
+   */
+  toResponse(recorded, signal) {
+    const { status, statusText, headers } = recorded;
+    const init = { status, statusText, headers };
+    const isStream = (headers['content-type'] || '').includes('text/event-stream');
+    if (!isStream || this.chunkDelay <= 0) return new Response(recorded.body || null, init);
+
+    const events = recorded.body.split(/(?<=\n\n)/);
+    const encoder = new TextEncoder();
+    const { chunkDelay } = this;
+    const body = new ReadableStream({
+      async pull(controller) {
+        if (events.length === 0) {
+          controller.close();
+          return;
+        }
+        try {
+          await sleep(chunkDelay, signal);
+          controller.enqueue(encoder.encode(events.shift()));
+        } catch (error) {
+          controller.error(error);
+        }
+      },
+    });
+    return new Response(body, init);
+  }
+
+  /**
+   * Recorded calls as a fixture object, ready to save under fixtures/recordings/
+   */
+  toFixture() {
+    return {
+      format: FIXTURE_FORMAT,
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      entries: this.entries,
+    };
+  }
+
+  /**
+   * Mode, fixture and counts, for the UI and profile metadata; error says why replay
+   * has nothing to answer from
+   */
+  summary() {
+    return {
+      mode: this.mode,
+      fixture: this.fixture,
+      recorded: this.entries.length,
+      misses: [...this.misses],
+      error: this.error,
+    };
+  }
+
+  /**
+   * Drop recorded calls and restart replay sequences
+   */
+  clear() {
+    this.entries = [];
+    this.misses = [];
+    this.cursor.clear();
+  }
+}
+
+export default FetchRecorder;
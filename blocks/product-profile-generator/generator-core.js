@@ -6,11 +6,64 @@
 /* eslint-disable class-methods-use-this, no-restricted-syntax, no-console */
 
 import { OpenAIService } from './openai-service.js';
+import { extractStructuredProduct } from './structured-data-parser.js';
+import { extractPrice } from './price-extractor.js';
+import { SITE_ADAPTERS } from './site-adapters.js';
+import { extractEmbeddedProduct } from './embedded-state.js';
+import { extractVariants } from './variant-extractor.js';
+import { extractIdentifiers, toSchemaGtin } from './product-identifiers.js';
+import { createProvenance, selectorFor } from './provenance.js';
+import { canonicalizeSpecs, canonicalLabel, detectVocabulary } from './spec-vocabulary.js';
+import {
+  parseSpecQuantities,
+  extractPhysicalDimensions,
+  toQuantitativeValue,
+  parseQuantity,
+  convertQuantity,
+} from './spec-units.js';
+import { checkNarrative } from './fact-check.js';
+import { buildComparisonMatrix } from './comparison-matrix.js';
+import {
+  narrativeFormat,
+  parseFormatIds,
+  fitLength,
+  templateFormat,
+} from './narrative-formats.js';
+import {
+  parseLocales,
+  localizeData,
+  convertCurrency,
+  hreflangLinks,
+} from './locales.js';
+import { BRAND_VOICES, checkBrandVoice } from './brand-voice.js';
+import { lintNarrative, lintFixInstruction, narrativeLintRules } from './copy-linter.js';
+import {
+  groundFaq,
+  templateFaq,
+  completeFaq,
+  faqPageNode,
+} from './buyer-faq.js';
+
+/**
+ * Selectors reported as the source of structured data fields
+ */
+const STRUCTURED_DATA_SELECTORS = {
+  'json-ld': 'script[type="application/ld+json"]',
+  microdata: '[itemscope][itemtype$="Product"]',
+  rdfa: '[typeof$="Product"]',
+};
+
+/**
+ * Fields that get a "not-found" provenance record when nothing supplied them
+ */
+const TRACKED_FIELDS = [
+  'name', 'brand', 'category', 'tagline', 'image', 'rating', 'price', 'features', 'gtin', 'sku', 'mpn',
+];
 
 /**
  * Cross-brand competitor database (FALLBACK)
  * Used when OpenAI API is unavailable or disabled
- * Maps products to their main competitors from other brands
+ * Maps products to their main competitors from other brands; specs use canonical keys
  */
 const COMPETITOR_DATABASE = {
   'PowerMax ProDrill 2000X': [
@@ -18,19 +71,25 @@ const COMPETITOR_DATABASE = {
       brand: 'TitanForce',
       model: 'MegaDrill Pro 3000',
       price: 249.99,
-      torque: 820,
-      battery: '24V',
-      warranty: '5 Years',
       positioning: 'premium',
+      specSource: 'database',
+      specs: {
+        max_torque: '820 in-lbs',
+        voltage: '24V',
+        warranty: '5 Years',
+      },
     },
     {
       brand: 'Milwaukee',
       model: 'M18 Compact Drill',
       price: 179.99,
-      torque: 650,
-      battery: '18V',
-      warranty: '3 Years',
       positioning: 'comparable',
+      specSource: 'database',
+      specs: {
+        max_torque: '650 in-lbs',
+        voltage: '18V',
+        warranty: '3 Years',
+      },
     },
   ],
   'TitanForce MegaDrill Pro 3000': [
@@ -38,19 +97,25 @@ const COMPETITOR_DATABASE = {
       brand: 'PowerMax',
       model: 'ProDrill 2000X',
       price: 179.99,
-      torque: 650,
-      battery: '20V',
-      warranty: '3 Years',
       positioning: 'budget',
+      specSource: 'database',
+      specs: {
+        max_torque: '650 in-lbs',
+        voltage: '20V',
+        warranty: '3 Years',
+      },
     },
     {
       brand: 'DeWalt',
       model: 'DCD999',
       price: 299.99,
-      torque: 1200,
-      battery: '20V MAX',
-      warranty: '3 Years',
       positioning: 'premium',
+      specSource: 'database',
+      specs: {
+        max_torque: '1200 in-lbs',
+        voltage: '20V MAX',
+        warranty: '3 Years',
+      },
     },
   ],
 };
@@ -59,11 +124,31 @@ export class ProductProfileGenerator {
   constructor(options = {}) {
     this.extractedData = null;
     this.openaiService = null;
+    this.aiFallbacks = [];
+    // Where the last narrative came from: 'ai' or 'template'
+    this.narrativeSource = null;
     this.useAI = options.useAI !== false; // Default to true
 
-    // Try to initialize OpenAI service
+    // Localization: exchange rates per 1 USD and the URL pattern of localized pages
+    // (see locales.js)
+    this.exchangeRates = { USD: 1, ...options.exchangeRates };
+    this.localeUrlPattern = options.localeUrlPattern || undefined;
+
+    // Brand voice added to every prompt and checked after generation (see brand-voice.js)
+    this.brandVoice = options.brandVoice || BRAND_VOICES[0];
+
+    // Commerce platform adapters, checked in order before the generic heuristics
+    this.siteAdapters = [...(options.siteAdapters || SITE_ADAPTERS)];
+
+    // Try to initialize OpenAI service (options.llm picks the provider, see llm-providers.js;
+    // options.promptSource where prompt templates load from, see prompt-templates.js)
     try {
-      this.openaiService = new OpenAIService();
+      this.openaiService = new OpenAIService({
+        llm: options.llm,
+        provider: options.llmProvider,
+        promptSource: options.promptSource,
+        brandVoice: this.brandVoice,
+      });
       if (!this.openaiService.isConfigured()) {
         console.warn('[Generator] OpenAI not configured, will use static database');
         this.useAI = false;
@@ -76,27 +161,94 @@ export class ProductProfileGenerator {
 
   /**
    * Extract product data from HTML document
+   * Structured data (JSON-LD, Microdata, RDFa) is used first, then the
+   * matching commerce platform adapter, then embedded hydration state
+   * (__NEXT_DATA__ etc.); the CSS heuristics only run for fields none
+   * of those provided
    * @param {Document} doc - The HTML document to parse
    * @returns {Object} Extracted product data
    */
   extractProductData(doc) {
+    this.provenance = {};
+    this.specLabels = {};
+    const structured = extractStructuredProduct(doc) || {};
+    const adapter = this.detectSiteAdapter(doc);
+    const embedded = extractEmbeddedProduct(doc) || {};
+    const adapterData = this.runSiteAdapter(adapter, doc);
+    const known = this.mergeMissing({ ...structured }, adapterData);
+    this.mergeMissing(known, embedded);
+
     const data = {
-      name: this.extractProductName(doc),
-      rating: this.extractRating(doc),
-      image: this.extractImage(doc),
-      tagline: this.extractMetaContent(doc, 'meta[name="description"]')
-               || this.extractMetaContent(doc, 'meta[property="og:description"]')
-               || this.extractText(doc, '.product-tagline') || '',
-      specs: this.extractSpecs(doc),
-      features: this.extractFeatures(doc),
-      useCases: this.extractListItems(doc, '.use-cases-list li'),
-      pros: this.extractListItems(doc, '.pros ul li'),
-      cons: this.extractListItems(doc, '.cons ul li'),
+      name: known.name || this.extractProductName(doc),
+      rating: known.rating || this.extractRating(doc),
+      image: known.image || this.extractImage(doc),
+      images: known.images || [],
+      tagline: known.tagline || this.extractTagline(doc),
+      specs: { ...this.extractSpecs(doc), ...known.specs },
+      features: known.features?.length ? known.features : this.extractFeatures(doc),
+      useCases: this.extractListItems(doc, '.use-cases-list li', 'useCases'),
+      pros: this.extractListItems(doc, '.pros ul li', 'pros'),
+      cons: this.extractListItems(doc, '.cons ul li', 'cons'),
       compatibility: this.extractCompatibility(doc),
       alternatives: this.extractAlternatives(doc),
-      brand: this.extractBrand(doc),
-      category: this.extractCategory(doc),
+      brand: known.brand || this.extractBrand(doc),
+      category: known.category || this.extractCategory(doc),
+      offers: known.offers || [],
+      platform: adapter ? adapter.id : 'generic',
+      structuredDataSources: structured.sources || [],
+      embeddedStateSources: embedded.sources || [],
+    };
+
+    if (data.images.length === 0 && data.image) {
+      data.images = [data.image];
+    }
+
+    const origins = {
+      structured, adapter, adapterData, embedded,
     };
+    this.traceKnownFields(data, known, origins);
+
+    this.canonicalizeSpecFields(data);
+
+    // Typed spec values ("650 in-lbs" -> 650 F21) for structured data and comparisons
+    data.specValues = parseSpecQuantities(data.specs);
+    Object.assign(data, extractPhysicalDimensions(data.specValues));
+
+    data.price = extractPrice(doc, data.offers);
+    this.tracePrice(data.price);
+
+    const { variants, variesBy, source: variantSource } = extractVariants(doc, known.variants);
+    data.variants = variants;
+    data.variesBy = variesBy.length > 0 ? variesBy : (known.variesBy || []);
+    if (variantSource === 'product-json') {
+      const origin = this.findKnownOrigin('variants', known.variants, origins);
+      if (origin) this.trace('variants', ...origin);
+    } else if (variantSource) {
+      this.trace('variants', variantSource, { snippet: variants.map((v) => v.name).join(', ') });
+    }
+
+    const identifiers = extractIdentifiers(doc, {
+      known: [
+        { ...structured, source: 'structured-data' },
+        { ...adapterData, source: adapter?.id },
+        { ...embedded, source: 'embedded-state' },
+      ],
+      specs: data.specs,
+      variants: data.variants,
+    });
+    data.gtin = identifiers.gtin;
+    data.sku = identifiers.sku;
+    data.mpn = identifiers.mpn;
+    this.traceIdentifiers(data, identifiers.sources, origins);
+    data.warnings = [...identifiers.warnings];
+
+    TRACKED_FIELDS.forEach((field) => {
+      const value = data[field];
+      const missing = !value || (Array.isArray(value) && value.length === 0)
+        || (field === 'price' && value.value === null);
+      if (missing && !this.provenance[field]) this.trace(field, 'not-found');
+    });
+    data.provenance = this.provenance;
 
     // Note: competitors will be fetched async later
     data.crossBrandCompetitors = [];
@@ -105,22 +257,233 @@ export class ProductProfileGenerator {
     return data;
   }
 
+  /**
+   * Rename raw spec keys to the category vocabulary's canonical keys
+   * Original labels are kept in data.specLabels and provenance follows the rename
+   * @param {Object} data - Extracted product data (specs are replaced in place)
+   */
+  canonicalizeSpecFields(data) {
+    const vocabulary = detectVocabulary(data.category, data.name);
+    const canonical = canonicalizeSpecs(data.specs, { vocabulary, labels: this.specLabels });
+
+    Object.entries(canonical.keyMap).forEach(([rawKey, key]) => {
+      const record = this.provenance[`specs.${rawKey}`];
+      if (record && rawKey !== key) {
+        delete this.provenance[`specs.${rawKey}`];
+        this.provenance[`specs.${key}`] = record;
+      }
+    });
+
+    data.specs = canonical.specs;
+    data.specLabels = canonical.labels;
+    data.specVocabulary = vocabulary;
+  }
+
+  /**
+   * Record where a field's value came from
+   * @param {string} field - Field name ("specs.weight" for individual specs)
+   * @param {string} strategy - Extraction strategy (see STRATEGY_CONFIDENCE)
+   * @param {Object} details - { selector, path, snippet, confidence }
+   */
+  trace(field, strategy, details = {}) {
+    if (this.provenance) this.provenance[field] = createProvenance(strategy, details);
+  }
+
+  /**
+   * Work out which earlier stage (structured data, adapter, embedded state) supplied a value
+   * @returns {Array|null} [strategy, details] or null when the value came from elsewhere
+   */
+  findKnownOrigin(field, value, {
+    structured, adapter, adapterData, embedded,
+  }, read = (source) => source[field]) {
+    if (read(structured) !== undefined && read(structured) === value) {
+      const strategy = structured.fieldSources?.[field.split('.')[0]] || 'json-ld';
+      return [strategy, { selector: STRUCTURED_DATA_SELECTORS[strategy], snippet: value }];
+    }
+    if (adapter && read(adapterData) !== undefined && read(adapterData) === value) {
+      return ['adapter', { path: `${adapter.name}: ${field}`, snippet: value }];
+    }
+    if (read(embedded) !== undefined && read(embedded) === value) {
+      const [source] = embedded.sources || [];
+      return ['embedded-state', {
+        path: source ? `${source.source}: ${source.path}` : '',
+        snippet: value,
+      }];
+    }
+    return null;
+  }
+
+  /**
+   * Record provenance for fields taken from structured data, adapters or embedded state
+   */
+  traceKnownFields(data, known, origins) {
+    Object.keys(data).forEach((field) => {
+      if (field === 'specs' || known[field] === undefined || data[field] !== known[field]) return;
+      const origin = this.findKnownOrigin(field, data[field], origins);
+      if (origin) this.trace(field, ...origin);
+    });
+
+    Object.entries(known.specs || {}).forEach(([key, value]) => {
+      const origin = this.findKnownOrigin(`specs.${key}`, value, origins, (source) => source.specs?.[key]);
+      if (origin) this.trace(`specs.${key}`, ...origin);
+    });
+  }
+
+  /**
+   * Record provenance for the extracted price
+   * Prices read from offers inherit the provenance of the offers themselves
+   */
+  tracePrice(price) {
+    if (!price || price.value === null) return;
+    if (price.source === 'meta') {
+      this.trace('price', 'meta', { selector: 'meta[property="product:price:amount"]', snippet: String(price.value) });
+    } else if (this.provenance.offers && !/[.[#]/.test(price.source)) {
+      this.trace('price', this.provenance.offers.strategy, { ...this.provenance.offers, snippet: price });
+    } else {
+      this.trace('price', 'price-selector', { selector: price.source, snippet: `${price.currency} ${price.value}` });
+    }
+  }
+
+  /**
+   * Record provenance for GTIN, SKU and MPN from the identifier extractor's source labels
+   */
+  traceIdentifiers(data, sources, origins) {
+    Object.entries(sources).forEach(([field, source]) => {
+      const snippet = data[field];
+      if (source === 'structured-data') {
+        const strategy = origins.structured.fieldSources?.[field] || 'json-ld';
+        this.trace(field, strategy, { selector: STRUCTURED_DATA_SELECTORS[strategy], snippet });
+      } else if (source === 'embedded-state') {
+        this.trace(field, 'embedded-state', { path: origins.embedded.sources?.[0]?.path, snippet });
+      } else if (source === origins.adapter?.id) {
+        this.trace(field, 'adapter', { path: `${origins.adapter.name}: ${field}`, snippet });
+      } else if (source.startsWith('meta')) {
+        this.trace(field, 'meta', { selector: source, snippet });
+      } else if (source.startsWith('[itemprop')) {
+        this.trace(field, 'microdata', { selector: source, snippet, confidence: 0.8 });
+      } else {
+        this.trace(field, 'spec-table', { path: source, snippet });
+      }
+    });
+  }
+
+  /**
+   * Register an additional site adapter (checked before the built-in ones)
+   * @param {Object} adapter - Adapter with id, name, detect(doc) and extract(doc)
+   */
+  registerSiteAdapter(adapter) {
+    this.siteAdapters = [adapter, ...this.siteAdapters.filter((a) => a.id !== adapter.id)];
+  }
+
+  /**
+   * Find the commerce platform adapter whose fingerprint matches the page
+   * @param {Document} doc - The HTML document to parse
+   * @returns {Object|null} Matching adapter, or null for generic pages
+   */
+  detectSiteAdapter(doc) {
+    for (const adapter of this.siteAdapters) {
+      try {
+        if (adapter.detect(doc)) {
+          console.log(`[Generator] Detected platform: ${adapter.name}`);
+          return adapter;
+        }
+      } catch (error) {
+        console.warn(`[Generator] ${adapter.name} detection failed:`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a site adapter, treating failures as "no data" so heuristics still run
+   */
+  runSiteAdapter(adapter, doc) {
+    if (!adapter) return {};
+    try {
+      return adapter.extract(doc) || {};
+    } catch (error) {
+      console.error(`[Generator] ${adapter.name} adapter failed:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Fill empty fields of target from source (existing values win)
+   */
+  mergeMissing(target, source) {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      const current = target[key];
+      const isEmpty = current === undefined || current === null || current === ''
+        || (Array.isArray(current) && current.length === 0)
+        || (typeof current === 'object' && !Array.isArray(current) && Object.keys(current).length === 0);
+      if (isEmpty) target[key] = value;
+    });
+    return target;
+  }
+
+  /**
+   * Use another brand voice for the next AI calls and checks
+   * @param {Object} voice - Brand voice profile (see brand-voice.js)
+   */
+  setBrandVoice(voice) {
+    this.brandVoice = voice;
+    if (this.openaiService) this.openaiService.brandVoice = voice;
+  }
+
+  /**
+   * Note an AI feature that failed and what was used instead, for profile.metadata
+   * @param {string} feature - 'competitors' | 'competitor-specs' | 'narrative', a
+   *   narrative format id, or 'narrative-<locale>' for a localization
+   * @param {string} fallback - What replaced the AI result
+   * @param {Error} error - Final error (carries status and attempts from llm-retry)
+   */
+  recordFallback(feature, fallback, error) {
+    this.aiFallbacks.push({
+      feature,
+      fallback,
+      error: error.message,
+      status: error.status || null,
+      timedOut: error.name === 'TimeoutError',
+      attempts: error.attempts || 1,
+    });
+  }
+
+  /**
+   * Add each competitor's values on the product's spec keys (second AI step)
+   * When the lookup fails the competitors are kept and their specs show as unknown
+   * @param {Object} productData - Full product data
+   * @param {Array} competitors - Competitors from identifyCompetitors()
+   * @returns {Promise<Array>} Competitors with specs
+   */
+  async enrichCompetitorSpecs(productData, competitors, options = {}) {
+    try {
+      return await this.openaiService.enrichCompetitorSpecs(productData, competitors, options);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('[Generator] AI competitor spec lookup failed:', error);
+      this.recordFallback('competitor-specs', 'unknown-specs', error);
+      return competitors;
+    }
+  }
+
   /**
    * Get cross-brand competitors for the product (with AI)
    * @param {Object} productData - Full product data
    * @returns {Promise<Array>} List of competitor products
    */
-  async getCompetitors(productData) {
+  async getCompetitors(productData, options = {}) {
     // Try AI first if enabled
     if (this.useAI && this.openaiService) {
       try {
         console.log('[Generator] Fetching competitors with AI...');
-        const competitors = await this.openaiService.identifyCompetitors(productData);
+        const competitors = await this.openaiService.identifyCompetitors(productData, options);
         console.log(`[Generator] AI found ${competitors.length} competitors`);
-        return competitors;
+        return await this.enrichCompetitorSpecs(productData, competitors, options);
       } catch (error) {
+        if (error.name === 'AbortError') throw error;
         console.error('[Generator] AI competitor lookup failed:', error);
         console.log('[Generator] Falling back to static database');
+        this.recordFallback('competitors', 'static-database', error);
       }
     }
 
@@ -166,6 +529,7 @@ export class ProductProfileGenerator {
           if (href === urlPath || urlPath.includes(href) || href.includes(urlPath.split('?')[0])) {
             if (isValidProductName(text)) {
               console.log(`[Generator] Found product name via URL-matching .product-name: ${text}`);
+              this.trace('name', 'url-matched-element', { selector: selectorFor(element), snippet: element });
               return text;
             }
           }
@@ -191,6 +555,7 @@ export class ProductProfileGenerator {
         const text = element.textContent.trim();
         if (isValidProductName(text)) {
           console.log(`[Generator] Found product name via ${selector}: ${text}`);
+          this.trace('name', 'product-selector', { selector, snippet: element });
           return text;
         }
       }
@@ -202,6 +567,7 @@ export class ProductProfileGenerator {
       const text = firstProductName.textContent.trim();
       if (isValidProductName(text)) {
         console.log(`[Generator] Found product name via first .product-name: ${text}`);
+        this.trace('name', 'first-product-name', { selector: '.product-name', snippet: firstProductName });
         return text;
       }
     }
@@ -216,6 +582,7 @@ export class ProductProfileGenerator {
         .trim();
       if (cleaned.length > 2 && !cleaned.toLowerCase().includes('home')) {
         console.log(`[Generator] Found product name via og:title: ${cleaned}`);
+        this.trace('name', 'og:title', { selector: 'meta[property="og:title"]', snippet: ogTitle });
         return cleaned;
       }
     }
@@ -229,6 +596,7 @@ export class ProductProfileGenerator {
         .trim();
       if (cleaned.length > 2 && cleaned.length < 200 && !cleaned.toLowerCase().includes('home')) {
         console.log(`[Generator] Found product name via title: ${cleaned}`);
+        this.trace('name', 'title', { selector: 'title', snippet: title });
         return cleaned;
       }
     }
@@ -239,6 +607,7 @@ export class ProductProfileGenerator {
       const text = h1.textContent.trim();
       if (isValidProductName(text)) {
         console.log(`[Generator] Found product name via h1: ${text}`);
+        this.trace('name', 'heading', { selector: selectorFor(h1), snippet: h1 });
         return text;
       }
     }
@@ -248,14 +617,37 @@ export class ProductProfileGenerator {
       const text = h2.textContent.trim();
       if (isValidProductName(text)) {
         console.log(`[Generator] Found product name via h2: ${text}`);
+        this.trace('name', 'heading', { selector: selectorFor(h2), snippet: h2, confidence: 0.25 });
         return text;
       }
     }
 
     console.warn('[Generator] Could not find product name, using default');
+    this.trace('name', 'default', { snippet: 'Unknown Product' });
     return 'Unknown Product';
   }
 
+  /**
+   * Extract the tagline from the meta description or an on-page tagline
+   */
+  extractTagline(doc) {
+    const sources = [
+      ['meta', 'meta[name="description"]'],
+      ['meta', 'meta[property="og:description"]'],
+      ['product-selector', '.product-tagline'],
+    ];
+    for (const [strategy, selector] of sources) {
+      const text = strategy === 'meta'
+        ? this.extractMetaContent(doc, selector)
+        : this.extractText(doc, selector);
+      if (text) {
+        this.trace('tagline', strategy, { selector, snippet: text });
+        return text;
+      }
+    }
+    return '';
+  }
+
   /**
    * Extract text content from selector
    */
@@ -277,15 +669,21 @@ export class ProductProfileGenerator {
    */
   extractRating(doc) {
     // Try common rating selectors
-    const ratingElement = doc.querySelector('.rating')
-                         || doc.querySelector('[class*="rating"]')
-                         || doc.querySelector('[itemprop="ratingValue"]');
+    const selector = ['.rating', '[class*="rating"]', '[itemprop="ratingValue"]']
+      .find((candidate) => doc.querySelector(candidate));
 
-    if (!ratingElement) return null;
+    if (!selector) return null;
 
+    const ratingElement = doc.querySelector(selector);
     const text = ratingElement.textContent;
     const ratingMatch = text.match(/(\d+\.?\d*)\s*\/\s*(\d+)/);
     const reviewMatch = text.match(/\(([0-9,]+)\s*reviews?\)/);
+    this.trace('rating', 'product-selector', {
+      selector,
+      snippet: ratingElement,
+      // A rating element without a parseable "x / y" score is a weak match
+      confidence: ratingMatch ? 0.65 : 0.3,
+    });
 
     return {
       score: ratingMatch ? parseFloat(ratingMatch[1]) : null,
@@ -299,12 +697,21 @@ export class ProductProfileGenerator {
    */
   extractImage(doc) {
     // Try multiple image selectors
-    const imgElement = doc.querySelector('.product-image img')
-                      || doc.querySelector('[class*="product"] img')
-                      || doc.querySelector('meta[property="og:image"]')
-                      || doc.querySelector('img[itemprop="image"]');
-
-    if (!imgElement) return null;
+    const selector = [
+      '.product-image img',
+      '[class*="product"] img',
+      'meta[property="og:image"]',
+      'img[itemprop="image"]',
+    ].find((candidate) => doc.querySelector(candidate));
+
+    if (!selector) return null;
+
+    const imgElement = doc.querySelector(selector);
+    this.trace('image', selector.startsWith('meta') ? 'meta' : 'product-selector', {
+      selector,
+      snippet: imgElement,
+      confidence: selector === '[class*="product"] img' ? 0.5 : undefined,
+    });
 
     return imgElement.getAttribute('src')
            || imgElement.getAttribute('content')
@@ -325,6 +732,8 @@ export class ProductProfileGenerator {
       if (label && value) {
         const key = label.toLowerCase().replace(/\s+/g, '_');
         specs[key] = value;
+        this.specLabels[key] = label;
+        this.trace(`specs.${key}`, 'spec-cards', { selector: selectorFor(card), snippet: card });
       }
     });
 
@@ -332,12 +741,15 @@ export class ProductProfileGenerator {
     const specRows = doc.querySelectorAll('table tr, [class*="spec"] tr, [class*="specification"] tr');
     specRows.forEach((row) => {
       const cells = row.querySelectorAll('td, th');
-      if (cells.length >= 2) {
+      // Rows holding form controls are option pickers, not specifications
+      if (cells.length >= 2 && !row.querySelector('select, input, button')) {
         const label = cells[0].textContent.trim();
         const value = cells[1].textContent.trim();
         if (label && value && label !== value) {
           const key = label.toLowerCase().replace(/[\s[\]]/g, '_').replace(/_+/g, '_');
           specs[key] = value;
+          this.specLabels[key] = label;
+          this.trace(`specs.${key}`, 'spec-table', { selector: selectorFor(row), snippet: row });
         }
       }
     });
@@ -347,11 +759,16 @@ export class ProductProfileGenerator {
     dts.forEach((dt) => {
       const dd = dt.nextElementSibling;
       if (dd && dd.tagName === 'DD') {
-        const label = dt.textContent.trim();
+        const label = dt.textContent.trim().replace(/:$/, '');
         const value = dd.textContent.trim();
         if (label && value) {
           const key = label.toLowerCase().replace(/\s+/g, '_');
           specs[key] = value;
+          this.specLabels[key] = label;
+          this.trace(`specs.${key}`, 'definition-list', {
+            selector: selectorFor(dt),
+            snippet: `${dt.outerHTML}${dd.outerHTML}`,
+          });
         }
       }
     });
@@ -384,7 +801,10 @@ export class ProductProfileGenerator {
             features.push(text);
           }
         });
-        if (features.length > 0) break;
+        if (features.length > 0) {
+          this.trace('features', 'feature-list', { selector, snippet: items[0] });
+          break;
+        }
       }
     }
 
@@ -400,6 +820,12 @@ export class ProductProfileGenerator {
           }
         });
       });
+      if (features.length > 0) {
+        this.trace('features', 'bullet-fallback', {
+          selector: '[class*="additional"] li, [class*="detail"] li',
+          snippet: features[0],
+        });
+      }
     }
 
     // Remove duplicates and limit to first 10
@@ -417,15 +843,26 @@ export class ProductProfileGenerator {
         .map((b) => b.textContent.trim())
         .filter((t) => t && t.toLowerCase() !== 'home');
       if (categories.length > 0) {
+        // Generic "nav a" matches are often the site menu rather than breadcrumbs
+        const isBreadcrumb = Boolean(breadcrumbs[0].closest('[class*="breadcrumb"]'));
+        this.trace('category', 'breadcrumb', {
+          selector: isBreadcrumb ? '[class*="breadcrumb"] a' : 'nav a',
+          snippet: categories.join(' > '),
+          confidence: isBreadcrumb ? undefined : 0.35,
+        });
         return categories.join(' > ');
       }
     }
 
     // Try meta category
     const metaCat = this.extractMetaContent(doc, 'meta[property="product:category"]');
-    if (metaCat) return metaCat;
+    if (metaCat) {
+      this.trace('category', 'meta', { selector: 'meta[property="product:category"]', snippet: metaCat });
+      return metaCat;
+    }
 
     // Default
+    this.trace('category', 'default', { snippet: 'General Product' });
     return 'General Product';
   }
 
@@ -434,10 +871,16 @@ export class ProductProfileGenerator {
    */
   extractBrand(doc) {
     // Try meta tags first
-    const metaBrand = this.extractMetaContent(doc, 'meta[property="og:brand"]')
-                     || this.extractMetaContent(doc, 'meta[property="product:brand"]')
-                     || this.extractMetaContent(doc, 'meta[itemprop="brand"]');
-    if (metaBrand) return metaBrand;
+    const brandSelector = [
+      'meta[property="og:brand"]',
+      'meta[property="product:brand"]',
+      'meta[itemprop="brand"]',
+    ].find((selector) => this.extractMetaContent(doc, selector));
+    if (brandSelector) {
+      const metaBrand = this.extractMetaContent(doc, brandSelector);
+      this.trace('brand', 'meta', { selector: brandSelector, snippet: metaBrand });
+      return metaBrand;
+    }
 
     // Try to extract from URL
     const hostname = doc.location?.hostname || '';
@@ -445,6 +888,7 @@ export class ProductProfileGenerator {
       const parts = hostname.split('.');
       if (parts.length >= 2) {
         const brand = parts[parts.length - 2];
+        this.trace('brand', 'hostname', { path: 'location.hostname', snippet: hostname });
         return brand.charAt(0).toUpperCase() + brand.slice(1);
       }
     }
@@ -453,17 +897,23 @@ export class ProductProfileGenerator {
     const title = doc.querySelector('title')?.textContent || '';
     const titleParts = title.split(/[-|]/);
     if (titleParts.length > 1) {
+      this.trace('brand', 'title', { selector: 'title', snippet: title, confidence: 0.35 });
       return titleParts[titleParts.length - 1].trim();
     }
 
+    this.trace('brand', 'default', { snippet: 'Unknown Brand' });
     return 'Unknown Brand';
   }
 
   /**
    * Extract list items
+   * @param {string} field - Field name to record provenance under (optional)
    */
-  extractListItems(doc, selector) {
+  extractListItems(doc, selector, field) {
     const items = doc.querySelectorAll(selector);
+    if (field && items.length > 0) {
+      this.trace(field, 'page-section', { selector, snippet: items[0], confidence: 0.6 });
+    }
     return Array.from(items).map((item) => item.textContent.trim());
   }
 
@@ -472,6 +922,13 @@ export class ProductProfileGenerator {
    */
   extractCompatibility(doc) {
     const compatItems = doc.querySelectorAll('.compatibility-item');
+    if (compatItems.length > 0) {
+      this.trace('compatibility', 'page-section', {
+        selector: '.compatibility-item',
+        snippet: compatItems[0],
+        confidence: 0.6,
+      });
+    }
     return Array.from(compatItems).map((item) => item.textContent.trim());
   }
 
@@ -499,6 +956,14 @@ export class ProductProfileGenerator {
       }
     });
 
+    if (alternatives.length > 0) {
+      // ".section:last-child" is a positional guess, so treat it as weak
+      this.trace('alternatives', 'page-section', {
+        selector: selectorFor(alternativesSection),
+        snippet: alternativesSection.querySelector('p'),
+      });
+    }
+
     return alternatives;
   }
 
@@ -591,6 +1056,8 @@ export class ProductProfileGenerator {
 
   /**
    * Generate structured JSON-LD output
+   * With a buyer FAQ (data.faq, see buyer-faq.js) the Product and a FAQPage are
+   * returned together in an @graph, Product first
    * @param {Object} data - Extracted product data
    * @returns {Object} JSON-LD structured data
    */
@@ -607,21 +1074,34 @@ export class ProductProfileGenerator {
         name: data.brand,
       },
       category: data.category,
-      offers: {
-        '@type': 'Offer',
-        availability: 'https://schema.org/InStock',
-      },
+      ...toSchemaGtin(data.gtin),
+      mpn: data.mpn || undefined,
+      sku: data.sku || undefined,
+      offers: this.generateOffer(data),
       aggregateRating: data.rating ? {
         '@type': 'AggregateRating',
         ratingValue: data.rating.score,
         bestRating: data.rating.maxScore,
         reviewCount: data.rating.reviewCount,
       } : null,
-      additionalProperty: Object.entries(data.specs).map(([key, value]) => ({
-        '@type': 'PropertyValue',
-        name: key.replace(/_/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase()),
-        value,
-      })),
+      ...this.generatePhysicalDimensions(data),
+      additionalProperty: Object.entries(data.specs).map(([key, value]) => {
+        const quantity = data.specValues?.[key];
+        // Vocabulary keys get stable names; unknown specs keep the page's label
+        const vocabularyLabel = canonicalLabel(key, data.specVocabulary);
+        const property = {
+          '@type': 'PropertyValue',
+          name: vocabularyLabel || data.specLabels?.[key]
+            || key.replace(/_/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase()),
+          propertyID: vocabularyLabel ? key : undefined,
+          value,
+        };
+        // Quantities with a unit become numbers; "L x W x H" and bare numbers stay as text
+        if (quantity?.unitCode && quantity.value !== undefined) {
+          Object.assign(property, toQuantitativeValue(quantity), { '@type': 'PropertyValue' });
+        }
+        return property;
+      }),
       features: data.features,
       useCases: data.useCases,
       pros: data.pros,
@@ -638,23 +1118,147 @@ export class ProductProfileGenerator {
       })),
     };
 
+    // Pages with variants become a ProductGroup
+    if (data.variants && data.variants.length > 1) {
+      Object.assign(structuredData, this.generateProductGroup(data));
+    }
+
     // Add competitor comparison
     const competitorComparison = this.generateCompetitorComparison(data);
     if (Object.keys(competitorComparison).length > 0) {
       structuredData.competitor_comparison = competitorComparison;
     }
 
+    if (data.faq?.length > 0) {
+      const { '@context': context, ...product } = structuredData;
+      return { '@context': context, '@graph': [product, faqPageNode(data.faq)] };
+    }
+
     return structuredData;
   }
 
+  /**
+   * Generate schema.org weight, depth, width and height QuantitativeValues
+   * @param {Object} data - Extracted product data
+   * @returns {Object} Physical dimension properties for the Product node
+   */
+  generatePhysicalDimensions(data) {
+    const dimensions = {};
+    ['weight', 'depth', 'width', 'height'].forEach((property) => {
+      if (data[property]) dimensions[property] = toQuantitativeValue(data[property]);
+    });
+    return dimensions;
+  }
+
+  /**
+   * Generate schema.org ProductGroup fields for products with variants
+   * variesBy only takes schema.org properties, so other axes ("finish", "capacity")
+   * are left out of it and kept as each variant's additionalProperty
+   * @param {Object} data - Extracted product data
+   * @returns {Object} ProductGroup properties to merge into the Product node
+   */
+  generateProductGroup(data) {
+    const schemaAxes = ['color', 'size', 'material', 'pattern', 'suggestedAge', 'suggestedGender'];
+    const slug = data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const variesBy = data.variesBy
+      .filter((axis) => schemaAxes.includes(axis))
+      .map((axis) => `https://schema.org/${axis}`);
+
+    return {
+      '@type': 'ProductGroup',
+      productGroupID: data.sku || slug,
+      variesBy: variesBy.length > 0 ? variesBy : undefined,
+      hasVariant: data.variants.map((variant) => {
+        const node = {
+          '@type': 'Product',
+          name: variant.name && variant.name !== data.name
+            ? `${data.name} - ${variant.name}`
+            : `${data.name} - ${Object.values(variant.options).join(' / ')}`,
+          sku: variant.sku || undefined,
+          ...toSchemaGtin(variant.gtin),
+          image: variant.image || undefined,
+        };
+
+        Object.entries(variant.options).forEach(([axis, value]) => {
+          if (schemaAxes.includes(axis)) {
+            node[axis] = value;
+          } else {
+            node.additionalProperty = [...(node.additionalProperty || []), {
+              '@type': 'PropertyValue',
+              name: axis.replace(/_/g, ' '),
+              value,
+            }];
+          }
+        });
+
+        if (variant.price !== null || variant.availability) {
+          node.offers = {
+            '@type': 'Offer',
+            price: variant.price ?? undefined,
+            priceCurrency: variant.currency || data.price?.currency || undefined,
+            availability: variant.availability ? `https://schema.org/${variant.availability}` : undefined,
+          };
+        }
+
+        return node;
+      }),
+    };
+  }
+
+  /**
+   * Generate schema.org Offer (or AggregateOffer for price ranges)
+   * @param {Object} data - Extracted product data
+   * @returns {Object} Offer node
+   */
+  generateOffer(data) {
+    const { price } = data;
+    const availability = `https://schema.org/${price?.availability || 'InStock'}`;
+
+    if (!price || price.value === null || price.value === undefined) {
+      return { '@type': 'Offer', availability };
+    }
+
+    if (price.lowPrice !== undefined && price.highPrice !== undefined) {
+      return {
+        '@type': 'AggregateOffer',
+        lowPrice: price.lowPrice,
+        highPrice: price.highPrice,
+        priceCurrency: price.currency || undefined,
+        offerCount: price.offerCount || undefined,
+        availability,
+      };
+    }
+
+    const offer = {
+      '@type': 'Offer',
+      price: price.value,
+      priceCurrency: price.currency || undefined,
+      availability,
+    };
+
+    // Sale price goes in Offer.price; the regular price is published as a ListPrice spec
+    if (price.listPrice && price.listPrice > price.value) {
+      offer.priceSpecification = {
+        '@type': 'UnitPriceSpecification',
+        priceType: 'https://schema.org/ListPrice',
+        price: price.listPrice,
+        priceCurrency: price.currency || undefined,
+      };
+    }
+
+    return offer;
+  }
+
   /**
    * Generate LLM-ready narrative
    * @param {Object} data - Extracted product data
+   * @param {Object} options - { onToken(delta, text), signal } to stream the AI narrative
    * @returns {string} LLM-optimized narrative
    */
-  async generateNarrative(data = this.extractedData) {
+  async generateNarrative(data = this.extractedData, options = {}) {
     if (!data) return '';
-    return this.generateFactualNarrative(data);
+    return this.generateFactualNarrative(data, options);
   }
 
   /**
@@ -703,18 +1307,29 @@ export class ProductProfileGenerator {
   /**
    * Generate factual tone narrative using AI
    */
-  async generateFactualNarrative(data) {
+  async generateFactualNarrative(data, options = {}) {
     // Use AI to generate the narrative if available
     if (this.useAI && this.openaiService) {
       try {
-        return await this.openaiService.generateProductNarrative(data);
+        const narrative = await this.openaiService.generateProductNarrative(data, options);
+        // Empty only when generation was stopped before the first token arrived
+        if (narrative) {
+          this.narrativeSource = 'ai';
+          return narrative;
+        }
       } catch (error) {
-        console.error('[Generator] AI narrative generation failed:', error);
-        console.log('[Generator] Falling back to template-based narrative');
+        if (error.name === 'AbortError') {
+          console.log('[Generator] AI narrative cancelled, using template-based narrative');
+        } else {
+          console.error('[Generator] AI narrative generation failed:', error);
+          console.log('[Generator] Falling back to template-based narrative');
+          this.recordFallback('narrative', 'template', error);
+        }
       }
     }
 
     // Fallback to simple template if AI unavailable
+    this.narrativeSource = 'template';
     const { specs } = data;
     const { rating } = data;
 
@@ -748,6 +1363,89 @@ export class ProductProfileGenerator {
     return this.truncateToWordCount(narrative, 100, 300);
   }
 
+  /**
+   * Generate narrative formats (snippet, buying guide...; see narrative-formats.js)
+   * side by side and apply each format's length rules
+   * A format whose AI call fails uses a template built from the data, or is left out
+   * when it has none; stopped formats are left out
+   * @param {Object} data - Extracted product data
+   * @param {Array<string>} ids - Format ids to generate
+   * @param {Object} options - { signal }
+   * @returns {Promise<{texts: Object, details: Object}>} Text by format id, and per format
+   *   { label, source, rules, words, characters, truncated, withinLimits, factCheck,
+   *   brandVoice }
+   */
+  async generateNarrativeFormats(data, ids, options = {}) {
+    const results = await Promise.all(parseFormatIds(ids).map(async (id) => {
+      const format = narrativeFormat(id);
+      let text = null;
+      let source = 'ai';
+
+      if (this.useAI && this.openaiService) {
+        try {
+          text = await this.openaiService.generateNarrativeFormat(format, data, options);
+        } catch (error) {
+          if (error.name === 'AbortError') return null;
+          console.error(`[Generator] AI ${format.label.toLowerCase()} failed:`, error);
+          this.recordFallback(id, templateFormat(id, data) ? 'template' : 'omitted', error);
+        }
+      }
+      if (!text) {
+        text = templateFormat(id, data);
+        source = 'template';
+      }
+      if (!text) return null;
+
+      const { text: fitted, ...length } = fitLength(text, format.rules);
+      return {
+        id,
+        text: fitted,
+        details: {
+          label: format.label,
+          source,
+          rules: format.rules,
+          ...length,
+          factCheck: checkNarrative(fitted, data),
+          brandVoice: checkBrandVoice(fitted, this.brandVoice),
+        },
+      };
+    }));
+
+    const generated = results.filter(Boolean);
+    return {
+      texts: Object.fromEntries(generated.map(({ id, text }) => [id, text])),
+      details: Object.fromEntries(generated.map(({ id, details }) => [id, details])),
+    };
+  }
+
+  /**
+   * Generate the buyer FAQ (see buyer-faq.js): AI questions and answers, or ones built
+   * from the extracted data when AI is unavailable; answers the data doesn't back
+   * are dropped, questions from the data fill it up to the minimum, and a FAQ that
+   * still falls short is omitted
+   * @param {Object} data - Extracted product data
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { items, source, dropped, added, omitted }, items empty
+   *   when stopped or omitted
+   */
+  async generateFaq(data, options = {}) {
+    if (this.useAI && this.openaiService) {
+      try {
+        const items = await this.openaiService.generateFaq(data, options);
+        return { ...completeFaq(groundFaq(items, data), data), source: 'ai' };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return {
+            items: [], dropped: [], added: 0, omitted: null, source: 'ai',
+          };
+        }
+        console.error('[Generator] AI FAQ failed:', error);
+        this.recordFallback('faq', 'template', error);
+      }
+    }
+    return { ...completeFaq(groundFaq(templateFaq(data), data), data), source: 'template' };
+  }
+
   /**
    * Truncate text to word count range
    */
@@ -782,30 +1480,48 @@ export class ProductProfileGenerator {
       competitivePosition: '',
     };
 
-    // Price comparison
-    const prices = [mainProduct.price.value, ...competitorDataArray.map((c) => c.price.value)];
-    const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
-    insights.comparison.price = {
-      yours: mainProduct.price.value,
-      average: avgPrice.toFixed(2),
-      position: mainProduct.price.value < avgPrice ? 'below market' : 'above market',
-    };
-
-    // Specs comparison
-    const competitorTorques = competitorDataArray
-      .map((c) => parseInt(c.specs.max_torque || '0', 10))
-      .filter((t) => t > 0);
-    const mainTorque = parseInt(mainProduct.specs.max_torque || '0', 10);
-
-    if (competitorTorques.length > 0 && mainTorque > 0) {
-      const avgTorque = competitorTorques.reduce((a, b) => a + b, 0) / competitorTorques.length;
-      insights.comparison.torque = {
-        yours: mainTorque,
-        average: avgTorque.toFixed(0),
-        position: mainTorque > avgTorque ? 'above average' : 'below average',
+    // Price comparison (competitor prices may be plain numbers or price objects)
+    const priceOf = (item) => (typeof item?.price === 'number' ? item.price : item?.price?.value);
+    const mainPrice = priceOf(mainProduct);
+    const competitorPrices = competitorDataArray
+      .map(priceOf)
+      .filter((p) => typeof p === 'number' && p > 0);
+
+    if (typeof mainPrice === 'number' && competitorPrices.length > 0) {
+      const prices = [mainPrice, ...competitorPrices];
+      const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+      insights.comparison.price = {
+        yours: mainPrice,
+        average: avgPrice.toFixed(2),
+        position: mainPrice < avgPrice ? 'below market' : 'above market',
       };
     }
 
+    // Specs comparison: numeric specs shared with competitors, matched on canonical
+    // keys ("Torque (max)" and "max_torque" line up) and converted to our unit
+    const vocabulary = mainProduct.specVocabulary
+      || detectVocabulary(mainProduct.category, mainProduct.name);
+    const competitorSpecs = competitorDataArray
+      .map((c) => canonicalizeSpecs(c.specs || {}, { vocabulary }).specs);
+    const mainQuantities = mainProduct.specValues || parseSpecQuantities(mainProduct.specs);
+    Object.entries(mainQuantities).forEach(([key, quantity]) => {
+      if (typeof quantity.value !== 'number' || quantity.value <= 0) return;
+
+      const competitorValues = competitorSpecs
+        .map((specs) => parseQuantity(specs[key], key))
+        .map((q) => convertQuantity(q, quantity.unitCode))
+        .filter((value) => typeof value === 'number' && value > 0);
+      if (competitorValues.length === 0) return;
+
+      const average = competitorValues.reduce((a, b) => a + b, 0) / competitorValues.length;
+      insights.comparison[key] = {
+        yours: quantity.value,
+        average: Number(average.toFixed(average >= 100 ? 0 : 2)),
+        unit: quantity.unitText,
+        position: quantity.value > average ? 'above average' : 'below average',
+      };
+    });
+
     // Rating comparison
     if (mainProduct.rating) {
       const competitorRatings = competitorDataArray
@@ -822,7 +1538,7 @@ export class ProductProfileGenerator {
     }
 
     // Feature gap analysis
-    const allCompetitorFeatures = competitorDataArray.flatMap((c) => c.features);
+    const allCompetitorFeatures = competitorDataArray.flatMap((c) => c.features || []);
     const emphasisKeywords = {
       durability: ['durable', 'durability', 'rugged', 'tough', 'reinforced', 'metal', 'protection'],
       warranty: ['warranty', 'guarantee', 'lifetime', 'years'],
@@ -873,33 +1589,374 @@ export class ProductProfileGenerator {
   /**
    * Generate complete product profile
    * @param {Document} doc - HTML document to analyze
+   * @param {Object} options - Streaming hooks:
+   *   onNarrativeStart(profile) once everything but the narrative is ready,
+   *   onNarrativeToken(delta, text) as narrative text arrives,
+   *   signal to cancel: before the narrative starts the call rejects with an AbortError,
+   *   during the narrative it stops early and keeps the partial text;
+   *   formats: narrative format ids to generate as well (see narrative-formats.js),
+   *   onFormatsStart(ids) once the narrative is done and the formats are being generated;
+   *   faq: true to generate a buyer FAQ as well (see buyer-faq.js), onFaqStart() when
+   *   that starts;
+   *   locales: locale codes to localize the narrative and structured data for (see
+   *   locales.js), onLocalesStart(codes) when that starts;
+   *   url: the product page's address, for the hreflang hints
    * @returns {Promise<Object>} Complete product profile
    */
-  async generateProfile(doc) {
+  async generateProfile(doc, options = {}) {
+    this.aiFallbacks = [];
+    if (this.openaiService) this.openaiService.resetDiagnostics();
+
     const data = await this.extractProductData(doc);
 
     // Fetch competitors (AI or static)
     try {
-      data.crossBrandCompetitors = await this.getCompetitors(data);
+      data.crossBrandCompetitors = await this.getCompetitors(data, { signal: options.signal });
       console.log(`[Generator] Loaded ${data.crossBrandCompetitors.length} competitors`);
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('[Generator] Failed to load competitors:', error);
       data.crossBrandCompetitors = [];
     }
+    options.signal?.throwIfAborted();
 
     const profile = {
       metadata: {
         generatedAt: new Date().toISOString(),
         version: '1.0.0',
-        aiPowered: this.useAI && this.openaiService?.isConfigured(),
+        sourceUrl: options.url || null,
+        aiPowered: this.useAI && Boolean(this.openaiService),
+        llmProvider: this.openaiService ? {
+          id: this.openaiService.provider.id,
+          name: this.openaiService.provider.name,
+          model: this.openaiService.provider.model,
+        } : null,
       },
       structuredData: this.generateStructuredData(data),
+      // Product specs against competitors', by canonical key, with each value's source
+      comparisonMatrix: buildComparisonMatrix(data),
       narratives: {
-        factual: await this.generateNarrative(data),
+        factual: '',
       },
       rawData: data,
     };
 
+    if (options.onNarrativeStart) options.onNarrativeStart(profile);
+
+    profile.narratives.factual = await this.generateNarrative(data, {
+      onToken: options.onNarrativeToken,
+      signal: options.signal,
+    });
+    profile.metadata.narrativeStopped = Boolean(options.signal?.aborted);
+    // Narrative claims (numbers, warranty, certifications...) not found in the extracted data
+    profile.metadata.factCheck = checkNarrative(profile.narratives.factual, data);
+    // Breaches of the brand voice's rules (avoided words, "you", trademarks, reading level)
+    profile.metadata.brandVoice = checkBrandVoice(profile.narratives.factual, this.brandVoice);
+    // Breaches of the narrative prompt's own rules (banned phrases, length, opening...)
+    profile.metadata.lint = await this.lintCopy(profile.narratives.factual, {
+      fromPrompt: this.narrativeSource === 'ai',
+    });
+    // Every version of the narrative; refinements and fact-check rewrites add to it
+    profile.metadata.narrativeRevisions = { current: 0, items: [] };
+    this.addRevision(profile, 'generated');
+
+    // Only the formats asked for are generated (and billed); none after a stop
+    const formatIds = parseFormatIds(options.formats);
+    if (formatIds.length > 0 && !options.signal?.aborted) {
+      if (options.onFormatsStart) options.onFormatsStart(formatIds);
+      const { texts, details } = await this.generateNarrativeFormats(data, formatIds, {
+        signal: options.signal,
+      });
+      Object.assign(profile.narratives, texts);
+      // Length and fact check per format, by format id
+      profile.metadata.formats = details;
+    }
+
+    // The FAQPage goes next to the Product in the structured data
+    if (options.faq && !options.signal?.aborted) {
+      if (options.onFaqStart) options.onFaqStart();
+      const {
+        items, source, dropped, added, omitted,
+      } = await this.generateFaq(data, { signal: options.signal });
+      data.faq = items;
+      profile.structuredData = this.generateStructuredData(data);
+      // Where the FAQ came from, the answers left out for claims the data doesn't back,
+      // the questions added from the data and why a FAQ too short to publish was omitted
+      profile.metadata.faq = {
+        source, count: items.length, dropped, added, omitted,
+      };
+    }
+
+    // Localized after the formats so a stop keeps the narrative and formats done so far
+    const locales = parseLocales(options.locales);
+    if (locales.length > 0 && !options.signal?.aborted) {
+      if (options.onLocalesStart) options.onLocalesStart(locales);
+      await this.localizeProfile(profile, locales, { signal: options.signal });
+    }
+    // AI features that failed after retries and what replaced them
+    profile.metadata.aiFallbacks = this.aiFallbacks;
+    profile.metadata.aiRetries = this.openaiService ? this.openaiService.retryLog : [];
+    // Structured responses that failed schema validation, and whether the repair worked
+    profile.metadata.aiValidation = this.openaiService ? this.openaiService.validationLog : [];
+    // Prompt template versions used, by template id ({ version, source })
+    profile.metadata.prompts = this.openaiService ? this.openaiService.promptLog : {};
+    // Tokens and cost for this profile, the running session total and the budget
+    profile.metadata.usage = this.openaiService ? this.openaiService.usage.summary() : null;
+
+    return profile;
+  }
+
+  /**
+   * Regenerate a profile's AI narrative without the claims the fact check flagged,
+   * then check the new text
+   * @param {Object} profile - Profile from generateProfile()
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} The same profile with narrative and metadata updated
+   */
+  async reviseNarrative(profile, options = {}) {
+    const previous = profile.metadata.factCheck;
+    const flagged = previous.claims.filter((claim) => !claim.supported);
+    if (!this.openaiService || flagged.length === 0) return profile;
+
+    const data = profile.rawData;
+    const narrative = await this.openaiService.reviseNarrative(
+      data,
+      profile.narratives.factual,
+      flagged,
+      options,
+    );
+
+    /* eslint-disable no-param-reassign */
+    profile.narratives.factual = narrative;
+    profile.metadata.narrativeStopped = false;
+    profile.metadata.factCheck = {
+      ...checkNarrative(narrative, data),
+      revisions: (previous.revisions || 0) + 1,
+      removedClaims: [...(previous.removedClaims || []), ...flagged.map((claim) => claim.text)],
+    };
+    profile.metadata.brandVoice = checkBrandVoice(narrative, this.brandVoice);
+    profile.metadata.lint = await this.lintCopy(narrative, { fromPrompt: true });
+    profile.metadata.prompts = this.openaiService.promptLog;
+    profile.metadata.usage = this.openaiService.usage.summary();
+    /* eslint-enable no-param-reassign */
+    this.addRevision(profile, 'fact-check');
+
+    return profile;
+  }
+
+  /**
+   * Rewrite the current narrative following an editor's instruction ("shorter",
+   * "mention the warranty", "less salesy"); the result becomes the current revision
+   * @param {Object} profile - Profile from generateProfile()
+   * @param {string} instruction - What to change
+   * @param {Object} options - { signal }; { kind } of the new revision (default 'refinement')
+   * @returns {Promise<Object>} The same profile with narrative and metadata updated
+   */
+  async refineNarrative(profile, instruction, options = {}) {
+    const text = String(instruction || '').trim();
+    if (!this.openaiService || !text) return profile;
+
+    const data = profile.rawData;
+    const narrative = await this.openaiService.refineNarrative(
+      data,
+      profile.narratives.factual,
+      text,
+      options,
+    );
+
+    /* eslint-disable no-param-reassign */
+    profile.narratives.factual = narrative;
+    profile.metadata.narrativeStopped = false;
+    profile.metadata.factCheck = checkNarrative(narrative, data);
+    profile.metadata.brandVoice = checkBrandVoice(narrative, this.brandVoice);
+    profile.metadata.lint = await this.lintCopy(narrative, { fromPrompt: true });
+    profile.metadata.prompts = this.openaiService.promptLog;
+    profile.metadata.usage = this.openaiService.usage.summary();
+    /* eslint-enable no-param-reassign */
+    this.addRevision(profile, options.kind || 'refinement', text);
+
+    return profile;
+  }
+
+  /**
+   * Fix one copy-linter issue with a targeted refinement (see copy-linter.js)
+   * @param {Object} profile - Profile from generateProfile()
+   * @param {number} index - Index in profile.metadata.lint.issues
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} The same profile with narrative and metadata updated
+   */
+  async fixLintIssue(profile, index, options = {}) {
+    const issue = profile.metadata.lint?.issues[index];
+    if (!issue) return profile;
+    const instruction = lintFixInstruction(issue, profile.metadata.lint.rules);
+    return this.refineNarrative(profile, instruction, { ...options, kind: 'lint-fix' });
+  }
+
+  /**
+   * Copy-lint a narrative with the brand voice and, when the narrative prompt wrote it,
+   * that prompt's word range and opening, edits included (see copy-linter.js)
+   * The template narrative used without AI never saw the prompt, so its length and
+   * opening aren't checked
+   * @param {string} narrative - Narrative text
+   * @param {Object} options - { fromPrompt } true when the AI wrote the narrative
+   * @returns {Promise<Object>} lintNarrative() result
+   */
+  async lintCopy(narrative, options = {}) {
+    let rules = null;
+    if (options.fromPrompt && this.openaiService) {
+      try {
+        rules = narrativeLintRules(await this.openaiService.prompts.get('narrative'));
+      } catch (error) {
+        console.warn('[Generator] Narrative prompt unavailable, linting without its rules:', error);
+      }
+    }
+    return lintNarrative(narrative, { voice: this.brandVoice, rules });
+  }
+
+  /**
+   * Translate and culturally adapt the current narrative for each locale, and build
+   * each locale's JSON-LD (inLanguage, converted units and price)
+   * Locales are localized side by side; running it again for a locale replaces it, so
+   * a refined narrative can be translated again. Without AI, or when a locale's call
+   * fails, the locale keeps its converted structured data but has no narrative
+   * @param {Object} profile - Profile from generateProfile()
+   * @param {Array<string>|string} locales - Locale codes (see locales.js)
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} The same profile with profile.localizations updated:
+   *   locale code -> localization (see localizeData) plus { narrative, sourceRevision,
+   *   structuredData }
+   */
+  async localizeProfile(profile, locales, options = {}) {
+    const codes = parseLocales(locales);
+    const data = profile.rawData;
+    const narrative = profile.narratives.factual;
+    const sourceRevision = profile.metadata.narrativeRevisions?.current ?? 0;
+
+    const results = await Promise.all(codes.map(async (code) => {
+      const localization = localizeData(data, code, this.exchangeRates);
+      let text = null;
+
+      if (this.useAI && this.openaiService && narrative) {
+        try {
+          text = await this.openaiService.localizeNarrative(data, narrative, localization, options);
+        } catch (error) {
+          if (error.name === 'AbortError') return null;
+          console.error(`[Generator] AI localization for ${code} failed:`, error);
+          this.recordFallback(`narrative-${code}`, 'untranslated', error);
+        }
+      }
+
+      return {
+        ...localization,
+        narrative: text ? text.trim() : null,
+        sourceRevision,
+        structuredData: this.generateLocalizedStructuredData(data, localization, text),
+      };
+    }));
+
+    /* eslint-disable no-param-reassign */
+    profile.localizations = profile.localizations || {};
+    results.filter(Boolean).forEach((localization) => {
+      profile.localizations[localization.locale] = localization;
+    });
+    // <link rel="alternate" hreflang> hints for the embed code
+    profile.metadata.hreflang = hreflangLinks(
+      profile.metadata.sourceUrl,
+      Object.keys(profile.localizations),
+      this.localeUrlPattern,
+    );
+    if (this.openaiService) {
+      profile.metadata.prompts = this.openaiService.promptLog;
+      profile.metadata.usage = this.openaiService.usage.summary();
+    }
+    /* eslint-enable no-param-reassign */
+
+    return profile;
+  }
+
+  /**
+   * schema.org Product for one locale: the same node as generateStructuredData() with
+   * specs, dimensions and price in the locale's units and currency, inLanguage set and
+   * the localized narrative as the description (the page's tagline and the buyer FAQ
+   * aren't translated, so there is no FAQPage)
+   * @param {Object} data - Extracted product data
+   * @param {Object} localization - Locale data from localizeData()
+   * @param {string|null} narrative - Localized narrative
+   * @returns {Object} JSON-LD
+   */
+  generateLocalizedStructuredData(data, localization, narrative) {
+    const specValues = { ...data.specValues, ...localization.quantities };
+    const structuredData = this.generateStructuredData({
+      ...data,
+      faq: null,
+      specs: localization.specs,
+      specValues,
+      ...extractPhysicalDimensions(specValues),
+      price: this.localizePriceData(data.price, localization),
+    });
+
+    structuredData.inLanguage = localization.locale;
+    structuredData.description = narrative ? narrative.trim() : undefined;
+    return structuredData;
+  }
+
+  /**
+   * Extracted price with every amount in the locale's currency, when it was converted
+   */
+  localizePriceData(price, localization) {
+    if (!localization.price?.converted) return price;
+    const { currency } = localization.price;
+    const rates = this.exchangeRates;
+    const converted = { ...price, currency };
+    ['value', 'lowPrice', 'highPrice', 'listPrice'].forEach((field) => {
+      if (typeof price[field] === 'number') {
+        converted[field] = convertCurrency(price[field], price.currency, currency, rates);
+      }
+    });
+    return converted;
+  }
+
+  /**
+   * Record the profile's current narrative as a new revision and select it
+   * @param {Object} profile - Profile with metadata.narrativeRevisions
+   * @param {string} kind - 'generated' | 'fact-check' | 'refinement' | 'lint-fix'
+   * @param {string} instruction - Editor instruction behind a refinement
+   */
+  addRevision(profile, kind, instruction = null) {
+    const revisions = profile.metadata.narrativeRevisions;
+    revisions.items.push({
+      text: profile.narratives.factual,
+      kind,
+      instruction,
+      createdAt: new Date().toISOString(),
+      stopped: profile.metadata.narrativeStopped,
+      factCheck: profile.metadata.factCheck,
+      brandVoice: profile.metadata.brandVoice,
+      lint: profile.metadata.lint,
+    });
+    revisions.current = revisions.items.length - 1;
+  }
+
+  /**
+   * Make an earlier (or later) revision the profile's narrative again
+   * @param {Object} profile - Profile from generateProfile()
+   * @param {number} index - Revision index
+   * @returns {Object} The same profile
+   */
+  selectRevision(profile, index) {
+    const revisions = profile.metadata.narrativeRevisions;
+    const revision = revisions.items[index];
+    if (!revision) return profile;
+
+    /* eslint-disable no-param-reassign */
+    revisions.current = index;
+    profile.narratives.factual = revision.text;
+    profile.metadata.narrativeStopped = revision.stopped;
+    profile.metadata.factCheck = revision.factCheck;
+    profile.metadata.brandVoice = revision.brandVoice;
+    profile.metadata.lint = revision.lint;
+    /* eslint-enable no-param-reassign */
+
     return profile;
   }
 }
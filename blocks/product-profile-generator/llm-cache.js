@@ -0,0 +1,317 @@
+/**
+ * LLM Cache
+ * Content-addressed cache for LLM results in IndexedDB
+ *
+ * Keys are a SHA-256 of everything that shapes the output (prompt messages, provider,
+ * model, request parameters, prompt version), so a prompt change or a different page
+ * with the same product name never reuses a stale entry. Entries are evicted
+ * least-recently-used once the store exceeds maxBytes or maxEntries.
+ *
+ * Record shape:
+ *   { key, kind, product, productId, provider, model, promptVersion,
+ *     data, spent, size, createdAt, lastAccess, hits }
+ *
+ * `spent` is the { inputTokens, outputTokens, cost } of the calls that produced the data
+ */
+
+/* eslint-disable max-classes-per-file, no-console */
+
+const DB_NAME = 'llm-product-profiler';
+const DB_VERSION = 1;
+const STORE = 'llm-cache';
+
+export const DEFAULT_CACHE_OPTIONS = {
+  ttl: 24 * 60 * 60 * 1000, // 24 hours
+  maxBytes: 5 * 1024 * 1024, // 5 MB
+  maxEntries: 500,
+};
+
+/**
+ * JSON with object keys sorted, so equal inputs always hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest of the canonical JSON of parts
+ * @param {Object} parts - { kind, messages, provider, model, params, promptVersion }
+ * @returns {Promise<string>} 64-character hex key
+ */
+export async function hashCacheKey(parts) {
+  const bytes = new TextEncoder().encode(canonicalJson(parts));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open (and create on first use) the cache database
+ */
+function openDatabase() {
+  const open = indexedDB.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const store = open.result.createObjectStore(STORE, { keyPath: 'key' });
+    store.createIndex('productId', 'productId');
+    store.createIndex('lastAccess', 'lastAccess');
+  };
+  return request(open);
+}
+
+/**
+ * Stand-in for IndexedDB when it is unavailable (private browsing, non-browser runs)
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async put(entry) {
+    this.entries.set(entry.key, entry);
+  }
+
+  async delete(keys) {
+    keys.forEach((key) => this.entries.delete(key));
+  }
+
+  async all() {
+    return [...this.entries.values()];
+  }
+}
+
+/**
+ * IndexedDB object store behind the same four methods as MemoryStore
+ */
+class IndexedDBStore {
+  constructor() {
+    this.db = openDatabase();
+  }
+
+  async run(mode, operation) {
+    const db = await this.db;
+    const transaction = db.transaction(STORE, mode);
+    const result = operation(transaction.objectStore(STORE));
+    await transactionDone(transaction);
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  async get(key) {
+    return (await this.run('readonly', (store) => store.get(key))) || null;
+  }
+
+  async put(entry) {
+    await this.run('readwrite', (store) => store.put(entry));
+  }
+
+  async delete(keys) {
+    await this.run('readwrite', (store) => keys.forEach((key) => store.delete(key)));
+  }
+
+  async all() {
+    return this.run('readonly', (store) => store.getAll());
+  }
+}
+
+export class LLMCache {
+  /**
+   * @param {Object} options - { ttl, maxBytes, maxEntries } (see DEFAULT_CACHE_OPTIONS)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CACHE_OPTIONS, ...options };
+    this.store = typeof indexedDB !== 'undefined' ? new IndexedDBStore() : new MemoryStore();
+  }
+
+  /**
+   * Run a store operation, degrading to an in-memory store if IndexedDB fails
+   */
+  async withStore(operation) {
+    try {
+      return await operation(this.store);
+    } catch (error) {
+      if (this.store instanceof MemoryStore) throw error;
+      console.warn('[Cache] IndexedDB unavailable, using an in-memory cache:', error);
+      this.store = new MemoryStore();
+      return operation(this.store);
+    }
+  }
+
+  /**
+   * Read an entry, refreshing its LRU position
+   * @param {string} key - Content hash from hashCacheKey()
+   * @returns {Promise<Object|null>} Entry, or null when missing or expired
+   */
+  async getEntry(key) {
+    return this.withStore(async (store) => {
+      const entry = await store.get(key);
+      if (!entry) return null;
+
+      const age = Date.now() - entry.createdAt;
+      if (age >= this.options.ttl) {
+        await store.delete([key]);
+        return null;
+      }
+
+      const updated = { ...entry, lastAccess: Date.now(), hits: entry.hits + 1 };
+      await store.put(updated);
+      console.log(`[Cache] Hit for ${entry.kind} "${entry.product}" (age: ${Math.round(age / 1000)}s)`);
+      return updated;
+    });
+  }
+
+  /**
+   * Read an entry's data
+   * @param {string} key - Content hash from hashCacheKey()
+   * @returns {Promise<*|null>} Cached data, or null when missing or expired
+   */
+  async get(key) {
+    const entry = await this.getEntry(key);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Store data under a key and evict least-recently-used entries over the limits
+   * @param {string} key - Content hash from hashCacheKey()
+   * @param {*} data - JSON-serializable result
+   * @param {Object} meta - { kind, product, productId, provider, model, promptVersion, spent }
+   */
+  async set(key, data, meta = {}) {
+    const now = Date.now();
+    const entry = {
+      key,
+      kind: meta.kind || '',
+      product: meta.product || '',
+      productId: meta.productId || '',
+      provider: meta.provider || '',
+      model: meta.model || '',
+      promptVersion: meta.promptVersion || '',
+      data,
+      spent: meta.spent || null,
+      size: new TextEncoder().encode(JSON.stringify(data)).length,
+      createdAt: now,
+      lastAccess: now,
+      hits: 0,
+    };
+
+    await this.withStore(async (store) => {
+      await store.put(entry);
+      await this.evict(store);
+    });
+    console.log(`[Cache] Stored ${entry.kind} for "${entry.product}" (${entry.size} bytes)`);
+  }
+
+  /**
+   * Drop expired entries, then the least recently used until within maxBytes/maxEntries
+   */
+  async evict(store) {
+    const now = Date.now();
+    const entries = (await store.all()).sort((a, b) => a.lastAccess - b.lastAccess);
+    const expired = entries.filter((entry) => now - entry.createdAt >= this.options.ttl);
+    const live = entries.filter((entry) => now - entry.createdAt < this.options.ttl);
+
+    let bytes = live.reduce((sum, entry) => sum + entry.size, 0);
+    const evicted = [];
+    while (live.length > 1
+      && (bytes > this.options.maxBytes || live.length > this.options.maxEntries)) {
+      const oldest = live.shift();
+      bytes -= oldest.size;
+      evicted.push(oldest);
+    }
+
+    const stale = [...expired, ...evicted].map((entry) => entry.key);
+    if (stale.length > 0) {
+      await store.delete(stale);
+      console.log(`[Cache] Evicted ${evicted.length} LRU and ${expired.length} expired entries`);
+    }
+  }
+
+  /**
+   * List entries for the inspector, most recently used first (without their data)
+   * @returns {Promise<Array<Object>>} Entries with `age` in ms
+   */
+  async list() {
+    const now = Date.now();
+    const entries = await this.withStore((store) => store.all());
+    return entries
+      .sort((a, b) => b.lastAccess - a.lastAccess)
+      .map(({ data, ...entry }) => ({ ...entry, age: now - entry.createdAt }));
+  }
+
+  /**
+   * Total entries and bytes
+   */
+  async stats() {
+    const entries = await this.list();
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.options.maxBytes,
+    };
+  }
+
+  /**
+   * Invalidate one entry
+   */
+  async delete(key) {
+    await this.withStore((store) => store.delete([key]));
+  }
+
+  /**
+   * Invalidate every entry for a product
+   * @param {string} productId - productId recorded with the entries
+   * @returns {Promise<number>} Entries removed
+   */
+  async deleteProduct(productId) {
+    return this.withStore(async (store) => {
+      const keys = (await store.all())
+        .filter((entry) => entry.productId === productId)
+        .map((entry) => entry.key);
+      await store.delete(keys);
+      return keys.length;
+    });
+  }
+
+  /**
+   * Invalidate everything
+   */
+  async clear() {
+    await this.withStore(async (store) => {
+      const keys = (await store.all()).map((entry) => entry.key);
+      await store.delete(keys);
+    });
+  }
+}
+
+export default LLMCache;
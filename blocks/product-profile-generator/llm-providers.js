@@ -0,0 +1,537 @@
+/**
+ * LLM Providers
+ * Adapters that turn chat messages into a completion for one backend:
+ * the Cloudflare Worker (default), Azure OpenAI, OpenAI-compatible endpoints,
+ * Anthropic-style messages APIs and a local OpenAI-compatible server (Ollama, llama.cpp)
+ *
+ * Every provider exposes:
+ *   complete(messages, options) -> Promise<{ content, usage, model, raw }>
+ *   stream(messages, { onToken, signal, ... }) -> Promise<{ content, usage, model, aborted }>
+ *   healthCheck() -> Promise<boolean>
+ *
+ * usage is normalized to { inputTokens, outputTokens, totalTokens }
+ */
+
+/* eslint-disable max-classes-per-file, class-methods-use-this, no-console */
+
+import { parseRetryAfter } from './llm-retry.js';
+
+const DEFAULT_WORKER_URL = 'https://llm-product-profiler-worker.chrislotton.workers.dev';
+const DEFAULT_LOCAL_URL = 'http://localhost:11434/v1';
+const DEFAULT_LOCAL_MODEL = 'llama3.1';
+const DEFAULT_ANTHROPIC_URL = 'https://api.anthropic.com/v1';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
+const ANTHROPIC_VERSION = '2023-06-01';
+const AZURE_API_VERSION = '2024-08-01-preview';
+
+/**
+ * Normalize an OpenAI-style usage block
+ */
+function openAIUsage(usage = {}) {
+  const inputTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: usage.total_tokens || inputTokens + outputTokens,
+  };
+}
+
+/**
+ * Read the assistant text from an OpenAI chat-completions response
+ */
+function openAIContent(result) {
+  const content = result?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error('Unexpected chat-completions response: no message content');
+  }
+  return content;
+}
+
+/**
+ * Throw with the HTTP status and the API's error message for a failed response
+ * A Retry-After header is kept on the error (ms) for the retry policy
+ */
+async function assertOk(response, providerName) {
+  if (response.ok) return;
+
+  let detail = response.statusText;
+  try {
+    const errorBody = await response.json();
+    detail = errorBody.error?.message || errorBody.error || detail;
+  } catch {
+    // Non-JSON error body; keep the status text
+  }
+  const error = new Error(`${providerName} API error (${response.status}): ${detail}`);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+  throw error;
+}
+
+/**
+ * POST JSON and return the response, throwing with the HTTP status on failure
+ */
+async function post(url, headers, body, providerName, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  await assertOk(response, providerName);
+  return response;
+}
+
+/**
+ * POST JSON and return the parsed body
+ */
+async function postJson(url, headers, body, providerName, signal) {
+  const response = await post(url, headers, body, providerName, signal);
+  return response.json();
+}
+
+/**
+ * Read a server-sent event stream, calling onEvent({ event, data }) per event
+ * Resolves when the stream ends; rejects with an AbortError if the signal fires
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+  };
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) dispatch(buffer);
+}
+
+const isEventStream = (response) => (response.headers.get('Content-Type') || '')
+  .includes('text/event-stream');
+
+/**
+ * Stream an OpenAI chat-completions request, calling onToken(delta, text) as text arrives
+ * An endpoint that ignores `stream: true` and answers with one JSON body is handled too.
+ * Aborting through options.signal resolves with the text received so far and aborted: true
+ */
+async function streamChatCompletion(request, options, providerName, fallbackModel) {
+  const { url, headers, body } = request;
+  const onToken = options.onToken || (() => {});
+  let content = '';
+  let usage;
+  let model = fallbackModel;
+
+  try {
+    const response = await post(url, headers, {
+      ...body,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, providerName, options.signal);
+
+    if (!isEventStream(response)) {
+      const result = await response.json();
+      content = openAIContent(result);
+      onToken(content, content);
+      return {
+        content,
+        usage: openAIUsage(result.usage),
+        model: result.model || fallbackModel,
+        aborted: false,
+      };
+    }
+
+    await readEventStream(response, ({ data }) => {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      if (chunk.error) throw new Error(`${providerName} stream error: ${chunk.error.message || chunk.error}`);
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta, content);
+      }
+    });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    console.log(`[LLM] ${providerName} stream stopped after ${content.length} characters`);
+    return {
+      content, usage: openAIUsage(usage), model, aborted: true,
+    };
+  }
+
+  return {
+    content, usage: openAIUsage(usage), model, aborted: false,
+  };
+}
+
+/**
+ * Cloudflare Worker proxy (holds the Azure OpenAI key server-side)
+ */
+export class WorkerProvider {
+  constructor(config = {}) {
+    this.id = 'worker';
+    this.name = 'Cloudflare Worker';
+    this.baseUrl = (config.endpoint || DEFAULT_WORKER_URL).replace(/\/$/, '');
+    this.model = config.model || 'worker-default';
+  }
+
+  async healthCheck() {
+    try {
+      const response = await fetch(`${this.baseUrl}/health`);
+      return response.ok;
+    } catch (error) {
+      console.error('[LLM] Worker health check failed:', error);
+      return false;
+    }
+  }
+
+  chatRequest(messages, options = {}) {
+    const body = {
+      messages,
+      max_completion_tokens: options.maxCompletionTokens || 1500,
+    };
+    if (options.responseFormat) body.response_format = options.responseFormat;
+    return { url: `${this.baseUrl}/api/openai`, headers: {}, body };
+  }
+
+  async complete(messages, options = {}) {
+    const { url, headers, body } = this.chatRequest(messages, options);
+    const result = await postJson(url, headers, body, this.name, options.signal);
+    return {
+      content: openAIContent(result),
+      usage: openAIUsage(result.usage),
+      model: result.model || this.model,
+      raw: result,
+    };
+  }
+
+  async stream(messages, options = {}) {
+    const request = this.chatRequest(messages, options);
+    return streamChatCompletion(request, options, this.name, this.model);
+  }
+}
+
+/**
+ * Any endpoint that speaks the OpenAI chat-completions protocol
+ */
+export class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.id = 'openai-compatible';
+    this.name = 'OpenAI-compatible';
+    this.baseUrl = (config.endpoint || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.model = config.model || 'gpt-4o-mini';
+    this.apiKey = config.apiKey || '';
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async healthCheck() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.headers() });
+      return response.ok;
+    } catch (error) {
+      console.error(`[LLM] ${this.name} health check failed:`, error);
+      return false;
+    }
+  }
+
+  chatRequest(messages, options = {}) {
+    const body = {
+      model: this.model,
+      messages,
+      max_tokens: options.maxCompletionTokens || 1500,
+    };
+    if (options.responseFormat) body.response_format = options.responseFormat;
+    return { url: `${this.baseUrl}/chat/completions`, headers: this.headers(), body };
+  }
+
+  async complete(messages, options = {}) {
+    const { url, headers, body } = this.chatRequest(messages, options);
+    const result = await postJson(url, headers, body, this.name, options.signal);
+    return {
+      content: openAIContent(result),
+      usage: openAIUsage(result.usage),
+      model: result.model || this.model,
+      raw: result,
+    };
+  }
+
+  async stream(messages, options = {}) {
+    const request = this.chatRequest(messages, options);
+    return streamChatCompletion(request, options, this.name, this.model);
+  }
+}
+
+/**
+ * Local OpenAI-compatible server (Ollama on :11434 by default, or llama.cpp's server)
+ * Nothing leaves the machine, so it also works for data-residency and offline runs
+ */
+export class LocalProvider extends OpenAICompatibleProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      endpoint: config.endpoint || DEFAULT_LOCAL_URL,
+      model: config.model || DEFAULT_LOCAL_MODEL,
+    });
+    this.id = 'local';
+    this.name = 'Local model';
+  }
+}
+
+/**
+ * Azure OpenAI deployment called directly
+ */
+export class AzureOpenAIProvider {
+  constructor(config = {}) {
+    this.id = 'azure-openai';
+    this.name = 'Azure OpenAI';
+    this.endpoint = (config.endpoint || '').replace(/\/$/, '');
+    this.deployment = config.deployment || config.model || '';
+    this.model = this.deployment;
+    this.apiVersion = config.apiVersion || AZURE_API_VERSION;
+    this.apiKey = config.apiKey || '';
+  }
+
+  async healthCheck() {
+    return Boolean(this.endpoint && this.deployment && this.apiKey);
+  }
+
+  chatRequest(messages, options = {}) {
+    if (!this.endpoint || !this.deployment) {
+      throw new Error('Azure OpenAI provider needs an endpoint and a deployment');
+    }
+
+    const body = {
+      messages,
+      max_completion_tokens: options.maxCompletionTokens || 1500,
+    };
+    if (options.responseFormat) body.response_format = options.responseFormat;
+
+    const url = `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}`
+      + `/chat/completions?api-version=${encodeURIComponent(this.apiVersion)}`;
+    return { url, headers: { 'api-key': this.apiKey }, body };
+  }
+
+  async complete(messages, options = {}) {
+    const { url, headers, body } = this.chatRequest(messages, options);
+    const result = await postJson(url, headers, body, this.name, options.signal);
+    return {
+      content: openAIContent(result),
+      usage: openAIUsage(result.usage),
+      model: result.model || this.model,
+      raw: result,
+    };
+  }
+
+  async stream(messages, options = {}) {
+    const request = this.chatRequest(messages, options);
+    return streamChatCompletion(request, options, this.name, this.model);
+  }
+}
+
+/**
+ * Anthropic-style messages API
+ * System messages move to the top-level `system` field; JSON mode (and any
+ * json_schema) is requested in the system prompt because the API has no response_format
+ */
+export class AnthropicProvider {
+  constructor(config = {}) {
+    this.id = 'anthropic';
+    this.name = 'Anthropic';
+    this.baseUrl = (config.endpoint || DEFAULT_ANTHROPIC_URL).replace(/\/$/, '');
+    this.model = config.model || DEFAULT_ANTHROPIC_MODEL;
+    this.apiKey = config.apiKey || '';
+  }
+
+  async healthCheck() {
+    return Boolean(this.apiKey);
+  }
+
+  chatRequest(messages, options = {}) {
+    const system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content);
+    if (options.responseFormat) {
+      system.push('Respond with a single valid JSON object only, with no markdown fences or commentary.');
+    }
+    // No native structured outputs: describe the schema in the instructions instead
+    const schema = options.responseFormat?.json_schema?.schema;
+    if (schema) {
+      system.push(`The JSON object must match this JSON Schema:\n${JSON.stringify(schema)}`);
+    }
+
+    const body = {
+      model: this.model,
+      max_tokens: options.maxCompletionTokens || 1500,
+      messages: messages
+        .filter((message) => message.role !== 'system')
+        .map(({ role, content }) => ({ role: role === 'assistant' ? 'assistant' : 'user', content })),
+    };
+    if (system.length > 0) body.system = system.join('\n\n');
+
+    return {
+      url: `${this.baseUrl}/messages`,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body,
+    };
+  }
+
+  /**
+   * Models sometimes wrap JSON in fences despite the instruction
+   */
+  cleanContent(text, options) {
+    return options.responseFormat ? text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '') : text;
+  }
+
+  async complete(messages, options = {}) {
+    const { url, headers, body } = this.chatRequest(messages, options);
+    const result = await postJson(url, headers, body, this.name, options.signal);
+
+    const text = (result.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    const inputTokens = result.usage?.input_tokens || 0;
+    const outputTokens = result.usage?.output_tokens || 0;
+
+    return {
+      content: this.cleanContent(text, options),
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      model: result.model || this.model,
+      raw: result,
+    };
+  }
+
+  async stream(messages, options = {}) {
+    const { url, headers, body } = this.chatRequest(messages, options);
+    const onToken = options.onToken || (() => {});
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let { model } = this;
+    let aborted = false;
+
+    try {
+      const streamBody = { ...body, stream: true };
+      const response = await post(url, headers, streamBody, this.name, options.signal);
+      await readEventStream(response, ({ event, data }) => {
+        const payload = JSON.parse(data);
+        if (event === 'error') throw new Error(`${this.name} stream error: ${payload.error?.message || data}`);
+        if (event === 'message_start') {
+          model = payload.message?.model || model;
+          inputTokens = payload.message?.usage?.input_tokens || 0;
+        } else if (event === 'message_delta') {
+          outputTokens = payload.usage?.output_tokens || outputTokens;
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          content += payload.delta.text;
+          onToken(payload.delta.text, content);
+        }
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+      console.log(`[LLM] ${this.name} stream stopped after ${content.length} characters`);
+      aborted = true;
+    }
+
+    return {
+      content: this.cleanContent(content, options),
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      model,
+      aborted,
+    };
+  }
+}
+
+/**
+ * Provider registry, keyed by the `llm-provider` block config value
+ */
+export const LLM_PROVIDERS = {
+  worker: WorkerProvider,
+  'azure-openai': AzureOpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider,
+};
+
+/**
+ * Read the optional retry rows, leaving unset values to DEFAULT_RETRY
+ */
+function retryConfig(blockConfig) {
+  const retry = {};
+  const retries = parseInt(blockConfig['llm-retries'], 10);
+  const timeout = parseFloat(blockConfig['llm-timeout']);
+  if (Number.isFinite(retries) && retries >= 0) retry.retries = retries;
+  if (Number.isFinite(timeout) && timeout >= 0) retry.timeout = timeout * 1000;
+  return retry;
+}
+
+/**
+ * Read provider settings from block config rows
+ *
+ * | LLM Provider    | local                     |
+ * | LLM Endpoint    | http://localhost:8080/v1  |
+ * | LLM Model       | qwen2.5-7b-instruct       |
+ * | LLM API Key     | ...                       |
+ * | LLM Deployment  | gpt-4o (Azure only)       |
+ * | LLM API Version | 2024-08-01-preview        |
+ * | LLM Retries     | 3                         |
+ * | LLM Timeout     | 30 (seconds per attempt)  |
+ * | LLM Budget      | 1.00 (USD per session)    |
+ *
+ * Block config is published with the page, so only put API keys there for
+ * local or intranet use; public sites should go through the Worker
+ * @param {Object} blockConfig - Result of readBlockConfig(block)
+ * @returns {Object} Provider config
+ */
+export function readProviderConfig(blockConfig = {}) {
+  return {
+    provider: (blockConfig['llm-provider'] || 'worker').trim().toLowerCase(),
+    endpoint: blockConfig['llm-endpoint'] || '',
+    model: blockConfig['llm-model'] || '',
+    apiKey: blockConfig['llm-api-key'] || '',
+    deployment: blockConfig['llm-deployment'] || '',
+    apiVersion: blockConfig['llm-api-version'] || '',
+    retry: retryConfig(blockConfig),
+    budget: parseFloat(blockConfig['llm-budget']) || null,
+  };
+}
+
+/**
+ * Create the provider named in the config, falling back to the Worker
+ * @param {Object} config - { provider, endpoint, model, apiKey, deployment, apiVersion }
+ * @returns {Object} Provider instance
+ */
+export function createProvider(config = {}) {
+  const Provider = LLM_PROVIDERS[config.provider || 'worker'];
+  if (!Provider) {
+    console.warn(`[LLM] Unknown provider "${config.provider}", using the Worker`);
+    return new WorkerProvider(config);
+  }
+  return new Provider(config);
+}
+
+export default createProvider;
@@ -0,0 +1,149 @@
+/**
+ * LLM Retry
+ * Retry policy for provider calls: jittered exponential backoff, Retry-After,
+ * per-attempt timeouts and cancellation through an AbortSignal
+ */
+
+/**
+ * Default policy; override per service with options.retry or the
+ * `LLM Retries` / `LLM Timeout` block config rows
+ */
+export const DEFAULT_RETRY = {
+  retries: 3, // Extra attempts after the first
+  baseDelay: 500, // ms, doubled per attempt
+  maxDelay: 8000, // ms, cap for the computed backoff
+  maxRetryAfter: 30000, // ms, cap for a server-provided Retry-After
+  timeout: 30000, // ms per attempt (streams: until the first token)
+};
+
+/**
+ * HTTP statuses worth another attempt (rate limits, gateway and overload errors)
+ */
+export const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time, for HTTP dates
+ * @returns {number|null} Delay in ms, or null when absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Decide whether a failed call should be retried
+ * User cancellation never is; timeouts, retryable statuses and network errors are
+ */
+export function isRetryable(error) {
+  if (!error || error.name === 'AbortError') return false;
+  if (error.name === 'TimeoutError') return true;
+  if (error.status) return RETRYABLE_STATUS.includes(error.status);
+  // fetch rejects with a TypeError when the network or CORS preflight fails
+  return error instanceof TypeError;
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After when given,
+ * otherwise exponential backoff with "equal jitter" (half fixed, half random)
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} policy - Retry policy
+ * @param {number|null} retryAfter - Server-requested delay in ms
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, policy, retryAfter = null) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter, policy.maxRetryAfter);
+  }
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Wait for ms, rejecting early with an AbortError if the signal fires
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    let timer;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    };
+    timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create the signal for one attempt: aborts when the caller's signal does
+ * (AbortError) or when the timeout elapses (TimeoutError)
+ * @param {AbortSignal} [parent] - Caller's signal
+ * @param {number} timeout - ms, 0 to disable
+ * @returns {{signal: AbortSignal, clearTimeout: Function, dispose: Function}}
+ */
+export function createAttemptSignal(parent, timeout) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent?.aborted) onAbort();
+  else parent?.addEventListener('abort', onAbort, { once: true });
+
+  const timer = timeout > 0
+    ? setTimeout(() => controller.abort(new DOMException(`LLM request timed out after ${timeout}ms`, 'TimeoutError')), timeout)
+    : null;
+
+  return {
+    signal: controller.signal,
+    clearTimeout: () => clearTimeout(timer),
+    dispose: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Run call(attempt) until it succeeds, the policy gives up or the caller cancels
+ * The final error carries `attempts`
+ * @param {Function} call - ({ signal, clearTimeout }, attempt) => Promise
+ * @param {Object} options - { policy, signal, canRetry(error), onRetry({ attempt, delay, error }) }
+ * @returns {Promise<*>} Result of the successful attempt
+ */
+export async function withRetry(call, options = {}) {
+  const policy = { ...DEFAULT_RETRY, ...options.policy };
+  const canRetry = options.canRetry || (() => true);
+
+  for (let attempt = 0; ; attempt += 1) {
+    const attemptSignal = createAttemptSignal(options.signal, policy.timeout);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return await call(attemptSignal, attempt);
+    } catch (error) {
+      error.attempts = attempt + 1;
+      const retry = attempt < policy.retries
+        && !options.signal?.aborted
+        && isRetryable(error)
+        && canRetry(error);
+      if (!retry) throw error;
+
+      const delay = backoffDelay(attempt, policy, error.retryAfter);
+      if (options.onRetry) options.onRetry({ attempt: attempt + 1, delay, error });
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(delay, options.signal);
+    } finally {
+      attemptSignal.dispose();
+    }
+  }
+}
+
+export default withRetry;
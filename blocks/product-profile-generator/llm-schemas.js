@@ -0,0 +1,234 @@
+/**
+ * LLM Schemas
+ * JSON Schemas for every structured LLM response, plus a small validator for the
+ * subset of JSON Schema they use (type, properties, required, additionalProperties,
+ * items, enum, minItems/maxItems, minLength/maxLength, minimum/maximum)
+ *
+ * Schemas follow the strict structured-output rules (every property required,
+ * additionalProperties: false). Strict mode rejects minLength, and some API versions
+ * minItems/maxItems as well, so providerSchema() strips the length, count and range
+ * limits from what is sent; validateSchema() still enforces them, and a response that
+ * breaks one gets the usual repair request
+ */
+
+/* eslint-disable no-restricted-syntax */
+
+import { FAQ_RANGE } from './buyer-faq.js';
+
+/**
+ * Structured responses by name: { name, description, schema }
+ */
+export const LLM_SCHEMAS = {
+  competitors: {
+    name: 'competitors',
+    description: 'Competing products from other brands',
+    schema: {
+      type: 'object',
+      properties: {
+        competitors: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 5,
+          items: {
+            type: 'object',
+            properties: {
+              brand: { type: 'string', minLength: 1 },
+              model: { type: 'string', minLength: 1 },
+              keyFeature: { type: 'string' },
+              positioning: { type: 'string', enum: ['premium', 'comparable', 'budget'] },
+            },
+            required: ['brand', 'model', 'keyFeature', 'positioning'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['competitors'],
+      additionalProperties: false,
+    },
+  },
+  competitorSpecs: {
+    name: 'competitor_specs',
+    description: 'Competitor values for the product\'s specification keys, or "unknown"',
+    schema: {
+      type: 'object',
+      properties: {
+        competitors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              brand: { type: 'string', minLength: 1 },
+              model: { type: 'string', minLength: 1 },
+              specs: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    key: { type: 'string', minLength: 1 },
+                    value: { type: 'string', minLength: 1 },
+                  },
+                  required: ['key', 'value'],
+                  additionalProperties: false,
+                },
+              },
+            },
+            required: ['brand', 'model', 'specs'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['competitors'],
+      additionalProperties: false,
+    },
+  },
+  faq: {
+    name: 'faq',
+    description: 'Buyer questions with short answers grounded in the product data',
+    schema: {
+      type: 'object',
+      properties: {
+        faq: {
+          type: 'array',
+          minItems: FAQ_RANGE.min,
+          maxItems: FAQ_RANGE.max,
+          items: {
+            type: 'object',
+            properties: {
+              question: { type: 'string', minLength: 1 },
+              answer: { type: 'string', minLength: 1 },
+            },
+            required: ['question', 'answer'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['faq'],
+      additionalProperties: false,
+    },
+  },
+};
+
+// Kept for local validation only, never sent to the provider
+const LOCAL_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minimum', 'maximum'];
+
+/**
+ * Copy of a schema without the keywords strict structured output doesn't accept
+ * @param {Object} schema - JSON Schema from LLM_SCHEMAS
+ * @returns {Object} Schema to send in response_format
+ */
+export function providerSchema(schema) {
+  const sent = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (LOCAL_KEYWORDS.includes(key)) return;
+    if (key === 'properties') {
+      sent.properties = Object.fromEntries(Object.entries(value)
+        .map(([name, child]) => [name, providerSchema(child)]));
+    } else if (key === 'items') {
+      sent.items = providerSchema(value);
+    } else {
+      sent[key] = value;
+    }
+  });
+  return sent;
+}
+
+/**
+ * JSON type name of a value, distinguishing integer, array and null
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} path - JSON path of value, for messages
+ * @returns {Array<{path: string, message: string}>} Errors; empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) fail(`missing required property "${key}"`);
+    });
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail('unexpected property', `${path}.${key}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse model output and validate it against a named schema
+ * @param {string} text - Raw model output
+ * @param {string} schemaName - Key of LLM_SCHEMAS
+ * @returns {{value: *, errors: Array<{path: string, message: string}>}}
+ */
+export function parseStructured(text, schemaName) {
+  const { schema } = LLM_SCHEMAS[schemaName];
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { value: null, errors: [{ path: '$', message: `invalid JSON: ${error.message}` }] };
+  }
+  return { value, errors: validateSchema(value, schema) };
+}
+
+/**
+ * Format validation errors as a bullet list for a repair prompt or log
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => `- ${path}: ${message}`).join('\n');
+}
+
+export default validateSchema;
@@ -0,0 +1,247 @@
+/**
+ * LLM Usage
+ * Token and cost accounting per profile and per browser session, with an
+ * optional session budget that blocks further calls once reached
+ *
+ * Call record shape:
+ *   { call, provider, model, inputTokens, outputTokens, cost, estimated, cached }
+ */
+
+/* eslint-disable no-console */
+
+const SESSION_KEY = 'llm_usage_session';
+
+/**
+ * USD per million tokens, matched on the longest model-name prefix
+ * (so "gpt-4o-mini-2024-07-18" prices as gpt-4o-mini, not gpt-4o)
+ */
+export const MODEL_PRICING = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 },
+};
+
+/**
+ * Providers that never bill (models running on your own machine)
+ */
+const FREE_PROVIDERS = ['local'];
+
+/**
+ * Rough token count for text when the API reported no usage (about 4 characters per token)
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Look up the price for a model
+ * @param {string} provider - Provider id
+ * @param {string} model - Model name as reported by the API
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if unknown
+ */
+export function priceFor(provider, model = '') {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  const name = model.toLowerCase();
+  const match = Object.keys(MODEL_PRICING)
+    .filter((prefix) => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Cost in USD of a number of input and output tokens, or null if the model is unpriced
+ */
+export function costOf(provider, model, inputTokens, outputTokens) {
+  const price = priceFor(provider, model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+const emptyTotals = () => ({
+  requests: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cost: 0,
+  savedCost: 0,
+  cacheHits: 0,
+});
+
+/**
+ * Add fields onto a totals object in place
+ */
+function addTotals(totals, fields) {
+  Object.entries(fields).forEach(([key, value]) => {
+    // eslint-disable-next-line no-param-reassign
+    totals[key] += value;
+  });
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export class UsageTracker {
+  /**
+   * @param {Object} options - { budget } in USD for the browser session (0 or unset: no cap)
+   */
+  constructor(options = {}) {
+    this.budget = Number(options.budget) > 0 ? Number(options.budget) : null;
+    this.session = { ...emptyTotals(), ...loadSession() };
+    this.startProfile();
+  }
+
+  saveSession() {
+    try {
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(this.session));
+    } catch {
+      // sessionStorage unavailable; the total lasts as long as the page
+    }
+  }
+
+  /**
+   * Start counting a new profile (the session total carries on)
+   */
+  startProfile() {
+    this.profile = emptyTotals();
+    this.calls = [];
+    this.unpriced = new Set();
+  }
+
+  /**
+   * Throw before a call if the session budget is used up
+   * The error has code 'budget-exceeded' and is never retried
+   */
+  assertWithinBudget() {
+    if (this.budget === null || this.session.cost < this.budget) return;
+    const error = new Error(`LLM budget of $${this.budget.toFixed(2)} reached for this session ($${this.session.cost.toFixed(4)} spent)`);
+    error.code = 'budget-exceeded';
+    throw error;
+  }
+
+  /**
+   * Snapshot of the profile totals, to measure one operation with since()
+   */
+  snapshot() {
+    return { ...this.profile };
+  }
+
+  /**
+   * Tokens and cost spent since a snapshot (stored with cache entries as their value)
+   */
+  since(snapshot) {
+    return {
+      inputTokens: this.profile.inputTokens - snapshot.inputTokens,
+      outputTokens: this.profile.outputTokens - snapshot.outputTokens,
+      cost: this.profile.cost - snapshot.cost,
+    };
+  }
+
+  /**
+   * Record one billed call
+   * When the API reported no usage (e.g. a stopped stream) tokens are estimated
+   * from the prompt and the text received
+   * @param {Object} call - { call, provider, model, usage, messages, content }
+   * @returns {Object} Call record
+   */
+  record({
+    call, provider, model, usage = {}, messages = [], content = '',
+  }) {
+    const estimated = !usage.totalTokens && (content.length > 0 || messages.length > 0);
+    const inputTokens = estimated
+      ? estimateTokens(messages.map((message) => message.content).join('\n'))
+      : usage.inputTokens || 0;
+    const outputTokens = estimated ? estimateTokens(content) : usage.outputTokens || 0;
+    const cost = costOf(provider, model, inputTokens, outputTokens);
+    if (cost === null) this.unpriced.add(model);
+
+    const entry = {
+      call, provider, model, inputTokens, outputTokens, cost, estimated, cached: false,
+    };
+    this.calls.push(entry);
+
+    const totals = {
+      requests: 1, inputTokens, outputTokens, cost: cost || 0,
+    };
+    addTotals(this.profile, totals);
+    addTotals(this.session, totals);
+    this.saveSession();
+
+    console.log(`[Usage] ${call}: ${inputTokens} in / ${outputTokens} out${estimated ? ' (estimated)' : ''}, ${cost === null ? 'unpriced model' : `$${cost.toFixed(5)}`}`);
+    return entry;
+  }
+
+  /**
+   * Record a cache hit; the cost of the original calls counts as saved
+   * @param {string} call - Call label
+   * @param {Object} spent - { inputTokens, outputTokens, cost } stored with the entry
+   */
+  recordCacheHit(call, spent = {}) {
+    const savedCost = spent.cost || 0;
+    this.calls.push({
+      call,
+      provider: '',
+      model: '',
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      savedCost,
+      estimated: false,
+      cached: true,
+    });
+
+    const totals = { cacheHits: 1, savedCost };
+    addTotals(this.profile, totals);
+    addTotals(this.session, totals);
+    this.saveSession();
+  }
+
+  /**
+   * Cost summary for profile.metadata
+   */
+  summary() {
+    const { profile, session, budget } = this;
+    return {
+      currency: 'USD',
+      calls: this.calls,
+      ...profile,
+      totalTokens: profile.inputTokens + profile.outputTokens,
+      unpricedModels: [...this.unpriced],
+      session: {
+        ...session,
+        totalTokens: session.inputTokens + session.outputTokens,
+      },
+      budget: budget === null ? null : {
+        limit: budget,
+        remaining: Math.max(0, budget - session.cost),
+        reached: session.cost >= budget,
+      },
+    };
+  }
+
+  /**
+   * Reset the session total (e.g. after raising the budget)
+   */
+  resetSession() {
+    this.session = emptyTotals();
+    this.saveSession();
+  }
+}
+
+export default UsageTracker;
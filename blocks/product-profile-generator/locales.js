@@ -0,0 +1,264 @@
+/**
+ * Locales
+ * Target markets for localized narratives and structured data: language, measurement
+ * system and currency per locale, with the unit, price and hreflang helpers that
+ * prepare a product for each market before the narrative is localized
+ *
+ * Localization shape (localizeData):
+ *   { locale, label, language, units, specs, quantities, conversions, price }
+ *
+ * `specs` are the spec values as shown in the locale (converted and locale-formatted),
+ * `quantities` the converted quantities by spec key, `conversions` original text ->
+ * localized text for every value that changed, and `price` { amount, currency,
+ * converted, text } or null.
+ */
+
+import { findUnit, convertQuantity, parseSpecQuantities } from './spec-units.js';
+
+export const LOCALES = {
+  'en-US': {
+    label: 'English (US)', language: 'American English', units: 'imperial', currency: 'USD',
+  },
+  'en-GB': {
+    label: 'English (UK)', language: 'British English', units: 'metric', currency: 'GBP',
+  },
+  'en-CA': {
+    label: 'English (Canada)', language: 'Canadian English', units: 'metric', currency: 'CAD',
+  },
+  'en-AU': {
+    label: 'English (Australia)', language: 'Australian English', units: 'metric', currency: 'AUD',
+  },
+  'de-DE': {
+    label: 'German (Germany)', language: 'German', units: 'metric', currency: 'EUR',
+  },
+  'fr-FR': {
+    label: 'French (France)', language: 'French', units: 'metric', currency: 'EUR',
+  },
+  'fr-CA': {
+    label: 'French (Canada)', language: 'Canadian French', units: 'metric', currency: 'CAD',
+  },
+  'es-ES': {
+    label: 'Spanish (Spain)', language: 'Spanish (Spain)', units: 'metric', currency: 'EUR',
+  },
+  'es-MX': {
+    label: 'Spanish (Mexico)', language: 'Mexican Spanish', units: 'metric', currency: 'MXN',
+  },
+  'it-IT': {
+    label: 'Italian', language: 'Italian', units: 'metric', currency: 'EUR',
+  },
+  'nl-NL': {
+    label: 'Dutch', language: 'Dutch', units: 'metric', currency: 'EUR',
+  },
+  'pt-BR': {
+    label: 'Portuguese (Brazil)', language: 'Brazilian Portuguese', units: 'metric', currency: 'BRL',
+  },
+  'ja-JP': {
+    label: 'Japanese', language: 'Japanese', units: 'metric', currency: 'JPY',
+  },
+};
+
+/**
+ * Unit each unit becomes in the other measurement system; units missing here
+ * (volts, watts, rpm...) are the same everywhere
+ */
+const UNIT_CONVERSIONS = {
+  metric: {
+    LBR: 'KGM', ONZ: 'GRM', INH: 'CMT', FOT: 'MTR', F21: 'NU', M92: 'NU', OZA: 'MLT', FAH: 'CEL',
+  },
+  imperial: {
+    KGM: 'LBR', GRM: 'ONZ', CMT: 'INH', MMT: 'INH', MTR: 'FOT', NU: 'F21', MLT: 'OZA', CEL: 'FAH',
+  },
+};
+
+// Default page URL for a locale: /de-de/ in front of the product page's path
+const DEFAULT_URL_PATTERN = '{origin}/{locale}{path}';
+
+/**
+ * Known locale codes from a list or a comma-separated string (block config),
+ * in the order given
+ */
+export function parseLocales(value) {
+  const codes = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(codes
+    .map((code) => Object.keys(LOCALES)
+      .find((known) => known.toLowerCase() === String(code).trim().toLowerCase()))
+    .filter(Boolean))];
+}
+
+/**
+ * Exchange rates from the `Exchange Rates` block config row, per 1 USD:
+ * "EUR=0.92, GBP=0.79" -> { USD: 1, EUR: 0.92, GBP: 0.79 }
+ */
+export function parseExchangeRates(value) {
+  const rates = { USD: 1 };
+  String(value || '').split(',').forEach((pair) => {
+    const [currency, rate] = pair.split('=').map((part) => part.trim());
+    if (/^[A-Za-z]{3}$/.test(currency || '') && Number(rate) > 0) rates[currency.toUpperCase()] = Number(rate);
+  });
+  return rates;
+}
+
+/**
+ * Round a converted value to a sensible precision for display
+ */
+function roundValue(value) {
+  const size = Math.abs(value);
+  if (size >= 100) return Math.round(value);
+  return Number(value.toFixed(size >= 10 ? 1 : 2));
+}
+
+/**
+ * A quantity in the locale's measurement system, or null when it already is
+ */
+export function convertForLocale(quantity, units) {
+  const target = UNIT_CONVERSIONS[units]?.[quantity?.unitCode];
+  if (!target) return null;
+  const unit = findUnit(target);
+  const convert = (value) => roundValue(convertQuantity({ ...quantity, value }, target));
+
+  const converted = {
+    unitCode: unit.code,
+    unitText: unit.text,
+    dimension: quantity.dimension,
+  };
+  if (quantity.values) {
+    converted.values = quantity.values.map(convert);
+  } else {
+    converted.value = convert(quantity.value);
+    if (quantity.minValue !== undefined) {
+      converted.minValue = convert(quantity.minValue);
+      converted.maxValue = convert(quantity.maxValue);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Quantity as text with the locale's number format: "1,6 kg", "30 × 20 × 8 cm"
+ */
+export function formatQuantity(quantity, locale) {
+  const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const number = (value) => numberFormat.format(value);
+  if (quantity.values) return `${quantity.values.map(number).join(' × ')} ${quantity.unitText}`;
+  if (quantity.minValue !== undefined) {
+    return `${number(quantity.minValue)}–${number(quantity.maxValue)} ${quantity.unitText}`;
+  }
+  return `${number(quantity.value)} ${quantity.unitText}`;
+}
+
+/**
+ * Amount in another currency, or null when either rate is unknown
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - ISO 4217 code
+ * @param {string} to - ISO 4217 code
+ * @param {Object} rates - Exchange rates per 1 USD
+ */
+export function convertCurrency(amount, from, to, rates = {}) {
+  if (typeof amount !== 'number' || !from || !to) return null;
+  if (from.toUpperCase() === to.toUpperCase()) return amount;
+  const fromRate = rates[from.toUpperCase()];
+  const toRate = rates[to.toUpperCase()];
+  if (!fromRate || !toRate) return null;
+  return Number(((amount / fromRate) * toRate).toFixed(2));
+}
+
+/**
+ * Amount formatted for a locale; a currency that isn't an ISO 4217 code ("$", "US$")
+ * can't be formatted by Intl, so it is written before a plain number
+ */
+function formatAmount(amount, currency, locale) {
+  if (currency && /^[A-Z]{3}$/.test(currency)) {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  }
+  const number = new Intl.NumberFormat(locale, { minimumFractionDigits: 2 }).format(amount);
+  return currency ? `${currency} ${number}` : number;
+}
+
+/**
+ * Price for a locale: converted to the locale's currency when both rates are known,
+ * otherwise kept in the page's currency; formatted the local way either way
+ * @param {Object} price - Extracted price ({ value, currency })
+ * @param {string} locale - Locale code
+ * @param {Object} rates - Exchange rates per 1 USD (see parseExchangeRates)
+ * @returns {Object|null} { amount, currency, converted, text }
+ */
+export function localizePrice(price, locale, rates = {}) {
+  if (!price || typeof price.value !== 'number') return null;
+  const from = price.currency ? price.currency.trim().toUpperCase() : null;
+  const to = LOCALES[locale].currency;
+
+  const amountInLocale = from && from !== to ? convertCurrency(price.value, from, to, rates) : null;
+  const converted = amountInLocale !== null;
+  const amount = converted ? amountInLocale : price.value;
+  const currency = converted ? to : from;
+
+  // Without a currency on the page the amount is shown as a plain number
+  return {
+    amount,
+    currency,
+    converted,
+    text: formatAmount(amount, currency, locale),
+  };
+}
+
+/**
+ * Prepare a product's specs and price for a locale
+ * @param {Object} data - Extracted product data
+ * @param {string} locale - Locale code (see LOCALES)
+ * @param {Object} rates - Exchange rates per 1 USD
+ * @returns {Object} Localization (see the shape above), without the narrative
+ */
+export function localizeData(data, locale, rates = {}) {
+  const { label, language, units } = LOCALES[locale];
+  const parsed = data.specValues || parseSpecQuantities(data.specs);
+  const specs = { ...data.specs };
+  const quantities = {};
+  const conversions = {};
+
+  Object.entries(parsed).forEach(([key, quantity]) => {
+    const converted = convertForLocale(quantity, units);
+    if (!converted) return;
+    quantities[key] = converted;
+    specs[key] = formatQuantity(converted, locale);
+    conversions[String(data.specs[key])] = specs[key];
+  });
+
+  const price = localizePrice(data.price, locale, rates);
+  return {
+    locale,
+    label,
+    language,
+    units,
+    specs,
+    quantities,
+    conversions,
+    price,
+  };
+}
+
+/**
+ * hreflang alternates for the localized pages, plus x-default for the original
+ * @param {string} sourceUrl - Product page the profile was generated from
+ * @param {Array<string>} locales - Locale codes
+ * @param {string} pattern - Page URL per locale, with {origin}, {path}, {url} and
+ *   {locale} (lower case, e.g. "de-de") placeholders
+ * @returns {Array<{hreflang: string, href: string}>}
+ */
+export function hreflangLinks(sourceUrl, locales, pattern = DEFAULT_URL_PATTERN) {
+  if (!sourceUrl || locales.length === 0) return [];
+  const url = new URL(sourceUrl);
+  const path = `${url.pathname}${url.search}`;
+  return [
+    ...locales.map((locale) => ({
+      hreflang: locale,
+      href: (pattern || DEFAULT_URL_PATTERN)
+        .replaceAll('{origin}', url.origin)
+        .replaceAll('{path}', path)
+        .replaceAll('{url}', url.href)
+        .replaceAll('{locale}', locale.toLowerCase()),
+    })),
+    { hreflang: 'x-default', href: url.href },
+  ];
+}
+
+export default LOCALES;
@@ -0,0 +1,189 @@
+/**
+ * Narrative Formats
+ * Extra narrative variants generated from the same extracted data as the
+ * conversational profile, each with its own prompt template and length rules
+ *
+ * Format shape:
+ *   { id, label, prompt, description, rules: { minWords, maxWords, maxChars, singleLine },
+ *     maxCompletionTokens }
+ *
+ * `id` is the key in profile.narratives; `prompt` the template id in prompts/.
+ * maxWords and maxChars are hard limits (longer text is cut back); minWords is only
+ * reported, as text can't be padded honestly.
+ */
+
+export const NARRATIVE_FORMATS = [
+  {
+    id: 'snippet',
+    label: 'Answer Snippet',
+    prompt: 'snippet',
+    description: 'Direct answer for AI answer engines and featured snippets',
+    rules: { maxWords: 50, singleLine: true },
+    maxCompletionTokens: 150,
+  },
+  {
+    id: 'buyingGuide',
+    label: 'Buying Guide',
+    prompt: 'buying-guide',
+    description: 'Long-form guide: who it is for, what matters, how it compares',
+    rules: { minWords: 600, maxWords: 1000 },
+    maxCompletionTokens: 1800,
+  },
+  {
+    id: 'specSummary',
+    label: 'Spec Summary',
+    prompt: 'spec-summary',
+    description: 'Technical specification summary grouped by topic',
+    rules: { maxWords: 250 },
+    maxCompletionTokens: 600,
+  },
+  {
+    id: 'metaDescription',
+    label: 'Meta Description',
+    prompt: 'meta-description',
+    description: 'Search result description, 155 characters or less',
+    rules: { maxChars: 155, singleLine: true },
+    maxCompletionTokens: 120,
+  },
+  {
+    id: 'socialPost',
+    label: 'Social Post',
+    prompt: 'social-post',
+    description: 'Short post copy with up to two hashtags',
+    rules: { maxChars: 280 },
+    maxCompletionTokens: 200,
+  },
+];
+
+export const NARRATIVE_FORMAT_IDS = NARRATIVE_FORMATS.map((format) => format.id);
+
+/**
+ * Format definition by id, or undefined
+ */
+export function narrativeFormat(id) {
+  return NARRATIVE_FORMATS.find((format) => format.id === id);
+}
+
+/**
+ * Known format ids from a list or a comma-separated string (block config),
+ * in registry order
+ */
+export function parseFormatIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  const wanted = ids.map((id) => String(id).trim());
+  return NARRATIVE_FORMAT_IDS.filter((id) => wanted.includes(id));
+}
+
+export function countWords(text) {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Cut text back to at most `limit` characters, at the last sentence end when that
+ * keeps most of it, otherwise at a word boundary with an ellipsis
+ */
+function cutToChars(text, limit) {
+  if (text.length <= limit) return text;
+  const head = text.slice(0, limit);
+  const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+  if (/[.!?]$/.test(head) && text[limit] === ' ') return head;
+  if (sentenceEnd >= limit * 0.6) return head.slice(0, sentenceEnd + 1);
+  const wordEnd = head.slice(0, limit - 1).lastIndexOf(' ');
+  return `${head.slice(0, wordEnd > 0 ? wordEnd : limit - 1).replace(/[\s,;:–—-]+$/, '')}…`;
+}
+
+/**
+ * Cut text back to at most `limit` words, preferring a sentence end
+ */
+function cutToWords(text, limit) {
+  const words = text.split(/(\s+)/);
+  if (countWords(text) <= limit) return text;
+  const head = words.slice(0, limit * 2 - 1).join('');
+  const sentenceEnd = [...head.matchAll(/[.!?](?=\s|$)/g)].pop()?.index ?? -1;
+  if (sentenceEnd >= head.length * 0.6) return head.slice(0, sentenceEnd + 1);
+  return `${head.replace(/[\s,;:–—-]+$/, '')}…`;
+}
+
+// Quote pairs a model sometimes wraps its whole answer in
+const WRAPPING_QUOTES = [['"', '"'], ["'", "'"], ['“', '”']];
+
+/**
+ * Text without a pair of quotes around all of it; kept as is when the text has
+ * other quotes of that kind, as the first and last then belong to different quotations
+ */
+function stripWrappingQuotes(text) {
+  const pair = WRAPPING_QUOTES.find(([open, close]) => text.length > 1
+    && text.startsWith(open) && text.endsWith(close));
+  if (!pair) return text;
+  const inner = text.slice(1, -1);
+  return pair.some((quote) => inner.includes(quote)) ? text : inner;
+}
+
+/**
+ * Tidy model output and apply a format's length rules
+ * @param {string} text - Generated text
+ * @param {Object} rules - Format rules (see NARRATIVE_FORMATS)
+ * @returns {{text: string, words: number, characters: number, truncated: boolean,
+ *   withinLimits: boolean}}
+ */
+export function fitLength(text, rules = {}) {
+  let fitted = stripWrappingQuotes(String(text || '').trim()).trim();
+  if (rules.singleLine) {
+    fitted = fitted.replace(/[#*_`]+/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  const original = fitted;
+  if (rules.maxWords) fitted = cutToWords(fitted, rules.maxWords);
+  if (rules.maxChars) fitted = cutToChars(fitted, rules.maxChars);
+
+  const words = countWords(fitted);
+  return {
+    text: fitted,
+    words,
+    characters: fitted.length,
+    truncated: fitted !== original,
+    withinLimits: !rules.minWords || words >= rules.minWords,
+  };
+}
+
+/**
+ * Text built from the extracted data alone, for formats that don't need a model;
+ * null for formats that do (buying guide, social post)
+ * @param {string} id - Format id
+ * @param {Object} data - Extracted product data
+ */
+export function templateFormat(id, data) {
+  const specs = Object.entries(data.specs || {})
+    .map(([key, value]) => [key.replace(/_/g, ' '), value]);
+  const features = data.features || [];
+  const { rating } = data;
+  const intro = `The ${data.name} is a ${(data.category || 'product').toLowerCase()}${data.brand ? ` from ${data.brand}` : ''}.`;
+
+  switch (id) {
+    case 'snippet': {
+      const keySpecs = specs.slice(0, 3).map(([key, value]) => `${key} ${value}`).join(', ');
+      return [
+        intro,
+        keySpecs ? `Key specs: ${keySpecs}.` : '',
+        features[0] ? `${features[0].replace(/\.$/, '')}.` : '',
+        rating?.score ? `Rated ${rating.score}/${rating.maxScore} by ${rating.reviewCount} reviewers.` : '',
+      ].filter(Boolean).join(' ');
+    }
+    case 'specSummary':
+      if (specs.length === 0) return null;
+      return [
+        `**${data.name} specifications**`,
+        '',
+        ...specs.map(([key, value]) => `- ${key}: ${value}`),
+      ].join('\n');
+    case 'metaDescription': {
+      const highlights = features.slice(0, 2).map((feature) => feature.replace(/\.$/, '')).join('. ');
+      return `${data.brand ? `${data.brand} ` : ''}${data.name}${highlights ? `: ${highlights}.` : '.'}`;
+    }
+    default:
+      return null;
+  }
+}
+
+export default NARRATIVE_FORMATS;
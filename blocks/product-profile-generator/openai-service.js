@@ -1,53 +1,233 @@
 /**
- * OpenAI Service - Cloudflare Worker Client
- * Handles API calls to Cloudflare Worker for Azure OpenAI access
+ * OpenAI Service - LLM Client
+ * Renders the prompt templates (see prompt-templates.js) and caches results; the actual
+ * API call goes through a pluggable provider (Cloudflare Worker by default, see
+ * llm-providers.js)
  */
 
 /* eslint-disable class-methods-use-this, no-console */
 
-const WORKER_URL = 'https://llm-product-profiler-worker.chrislotton.workers.dev';
+import { createProvider } from './llm-providers.js';
+import { DEFAULT_RETRY, withRetry } from './llm-retry.js';
+import {
+  LLM_SCHEMAS,
+  parseStructured,
+  formatValidationErrors,
+  providerSchema,
+} from './llm-schemas.js';
+import { LLMCache, hashCacheKey } from './llm-cache.js';
+import { UsageTracker } from './llm-usage.js';
+import { PromptLibrary, renderPrompt } from './prompt-templates.js';
+import { describeClaim } from './fact-check.js';
+import { NARRATIVE_FORMATS } from './narrative-formats.js';
+import { comparisonSpecKeys, specLabel, isKnownValue } from './comparison-matrix.js';
+import { applyBrandVoice } from './brand-voice.js';
+
+const MAX_REPAIR_ERRORS = 20;
+
+/**
+ * Response-handling version per cached call, hashed into the cache key
+ * The rendered prompt (and so the template version) is already part of the key; bump
+ * a version here when the handling of the response changes (parsing, normalization)
+ * so old entries stop matching
+ */
+export const PROMPT_VERSIONS = {
+  competitors: '3',
+  'competitor-specs': '1',
+  comparison: '1',
+  narrative: '1',
+  'narrative-revision': '1',
+  'narrative-refinement': '1',
+  'narrative-localization': '1',
+  faq: '1',
+  snippet: '1',
+  'buying-guide': '1',
+  'spec-summary': '1',
+  'meta-description': '1',
+  'social-post': '1',
+};
+
+/**
+ * Stable id used to group a product's cache entries
+ */
+export function productCacheId(productData) {
+  return String(productData.gtin || productData.sku
+    || [productData.brand, productData.name].filter(Boolean).join(' ')).trim().toLowerCase();
+}
 
 export class OpenAIService {
-  constructor() {
+  /**
+   * @param {Object} options - { provider } instance, or { llm } provider config;
+   *   { retry } overrides DEFAULT_RETRY (see llm-retry.js); { cache } an LLMCache;
+   *   { usage } a shared UsageTracker, or { budget } in USD for a new one;
+   *   { prompts } a PromptLibrary, or { promptSource } to load templates from;
+   *   { brandVoice } profile added to every prompt (see brand-voice.js)
+   */
+  constructor(options = {}) {
     this.enableCache = true;
-    this.cacheTTL = 24 * 60 * 60 * 1000; // 24 hours
-    this.workerEndpoint = `${WORKER_URL}/api/openai`;
+    this.cache = options.cache || new LLMCache({ ttl: 24 * 60 * 60 * 1000 }); // 24 hours
+    this.clearLegacyCache();
+    this.provider = options.provider || createProvider(options.llm);
+    this.retryPolicy = { ...DEFAULT_RETRY, ...options.llm?.retry, ...options.retry };
+    this.usage = options.usage
+      || new UsageTracker({ budget: options.budget ?? options.llm?.budget });
+    this.prompts = options.prompts || new PromptLibrary({ source: options.promptSource });
+    this.brandVoice = options.brandVoice || null;
+    this.lastUsage = null;
+    this.retryLog = [];
+    this.validationLog = [];
+    this.promptLog = {};
+  }
+
+  /**
+   * Forget retries, validation failures, prompts and usage recorded for the previous profile
+   */
+  resetDiagnostics() {
+    this.retryLog = [];
+    this.validationLog = [];
+    this.promptLog = {};
+    this.usage.startProfile();
+  }
+
+  /**
+   * Render a prompt template with the brand voice and note its version for profile metadata
+   * The voice is part of the messages, so it is part of the cache key as well
+   * @param {string} id - Template id (see PROMPT_IDS)
+   * @param {Object} variables - Template variables
+   * @returns {Promise<Array>} Chat messages
+   */
+  async buildMessages(id, variables) {
+    const template = await this.prompts.get(id);
+    const messages = applyBrandVoice(renderPrompt(template, variables), this.brandVoice);
+    this.promptLog[id] = { version: template.version, source: template.source };
+    return messages;
+  }
+
+  /**
+   * Template variables for a product, by template id
+   * The comparison preview compares against the first detected competitor;
+   * the revision preview needs the flagged claims in extras ({ claims }), the
+   * refinement preview the editor's instruction ({ instruction }), the localization
+   * preview a locale's data and the narrative ({ localization, narrative })
+   */
+  promptVariables(id, productData, extras = {}) {
+    switch (id) {
+      case 'competitors': return this.competitorVariables(productData);
+      case 'competitor-specs': return this.competitorSpecVariables(productData, productData.crossBrandCompetitors || []);
+      case 'comparison': return this.comparisonVariables(productData, productData.crossBrandCompetitors?.[0] || {});
+      case 'narrative': return this.narrativeVariables(productData);
+      case 'narrative-revision': return { claims: (extras.claims || []).map(describeClaim) };
+      case 'narrative-refinement': return { instruction: extras.instruction || '' };
+      case 'narrative-localization': return this.localizationVariables(extras.localization, extras.narrative);
+      case 'faq': return this.faqVariables(productData);
+      default:
+        // Narrative formats (see narrative-formats.js) share the narrative variables
+        if (NARRATIVE_FORMATS.some((format) => format.prompt === id)) {
+          return this.narrativeVariables(productData);
+        }
+        throw new Error(`Unknown prompt template "${id}"`);
+    }
+  }
+
+  /**
+   * Render a template for a product without calling the model (prompt editor preview)
+   * @param {string} id - Template id
+   * @param {Object} productData - Extracted product data
+   * @param {Object} text - Optional unsaved { system, user } to render instead
+   * @param {Object} extras - Values that don't come from the product (see promptVariables)
+   * @returns {Promise<Array>} Chat messages
+   */
+  async previewPrompt(id, productData, text = {}, extras = {}) {
+    const template = { ...(await this.prompts.get(id)), ...text };
+    return applyBrandVoice(
+      renderPrompt(template, this.promptVariables(id, productData, extras)),
+      this.brandVoice,
+    );
+  }
+
+  /**
+   * Count a completed call's tokens and cost
+   */
+  recordUsage(label, messages, { content, usage, model }) {
+    this.lastUsage = usage;
+    this.usage.record({
+      call: label,
+      provider: this.provider.id,
+      model: model || this.provider.model,
+      usage,
+      messages,
+      content,
+    });
+  }
+
+  /**
+   * Record a retry for profile metadata
+   */
+  logRetry(label, { attempt, delay, error }) {
+    console.warn(`[OpenAI] ${label} attempt ${attempt} failed (${error.message}); retrying in ${delay}ms`);
+    this.retryLog.push({
+      call: label,
+      attempt,
+      status: error.status || null,
+      error: error.message,
+      delay,
+    });
   }
 
   /**
    * Check if service is available
    */
   async isConfigured() {
-    try {
-      const response = await fetch(`${WORKER_URL}/health`);
-      return response.ok;
-    } catch (error) {
-      console.error('[OpenAI] Worker health check failed:', error);
-      return false;
-    }
+    return this.provider.healthCheck();
+  }
+
+  /**
+   * Content-addressed cache key: prompt messages, provider, model, request
+   * parameters and prompt version
+   * @param {string} kind - 'competitors' | 'comparison' | 'narrative'
+   * @param {Array} messages - Chat messages sent to the model
+   * @param {Object} params - Request parameters that shape the output
+   * @returns {Promise<string>} SHA-256 hex key
+   */
+  async cacheKey(kind, messages, params = {}) {
+    return hashCacheKey({
+      kind,
+      promptVersion: PROMPT_VERSIONS[kind],
+      provider: this.provider.id,
+      model: this.provider.model,
+      messages,
+      params,
+    });
+  }
+
+  /**
+   * Descriptive fields stored with an entry for the cache inspector, plus the
+   * tokens and cost spent producing it since `before` (a usage snapshot)
+   */
+  cacheMeta(kind, productData, before) {
+    return {
+      kind,
+      product: [productData.brand, productData.name].filter(Boolean).join(' '),
+      productId: productCacheId(productData),
+      provider: this.provider.id,
+      model: this.provider.model,
+      promptVersion: this.promptLog[kind]?.version || PROMPT_VERSIONS[kind],
+      spent: before ? this.usage.since(before) : null,
+    };
   }
 
   /**
    * Get cached data if available and not expired
+   * A hit counts the original calls' cost as saved
    */
-  getCache(key) {
+  async getCache(key) {
     if (!this.enableCache) return null;
 
     try {
-      const cached = localStorage.getItem(`openai_cache_${key}`);
-      if (!cached) return null;
-
-      const { data, timestamp } = JSON.parse(cached);
-      const age = Date.now() - timestamp;
-
-      if (age < this.cacheTTL) {
-        console.log(`[OpenAI] Cache hit for ${key} (age: ${Math.round(age / 1000)}s)`);
-        return data;
-      }
-
-      // Cache expired
-      localStorage.removeItem(`openai_cache_${key}`);
-      return null;
+      const entry = await this.cache.getEntry(key);
+      if (!entry) return null;
+      this.usage.recordCacheHit(entry.kind, entry.spent || {});
+      return entry.data;
     } catch (error) {
       console.error('[OpenAI] Cache read error:', error);
       return null;
@@ -57,56 +237,179 @@ export class OpenAIService {
   /**
    * Set cache data
    */
-  setCache(key, data) {
+  async setCache(key, data, meta) {
     if (!this.enableCache) return;
 
     try {
-      localStorage.setItem(`openai_cache_${key}`, JSON.stringify({
-        data,
-        timestamp: Date.now(),
-      }));
-      console.log(`[OpenAI] Cached result for ${key}`);
+      await this.cache.set(key, data, meta);
     } catch (error) {
       console.error('[OpenAI] Cache write error:', error);
     }
   }
 
   /**
-   * Make API call to Cloudflare Worker (which proxies to Azure OpenAI)
+   * Remove entries left by the old name-keyed localStorage cache
+   */
+  clearLegacyCache() {
+    try {
+      Object.keys(localStorage)
+        .filter((key) => key.startsWith('openai_cache_'))
+        .forEach((key) => localStorage.removeItem(key));
+    } catch {
+      // localStorage unavailable; nothing to clean up
+    }
+  }
+
+  /**
+   * Make API call through the configured provider
+   * Retries per this.retryPolicy; options.signal cancels (AbortError, never retried)
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { maxCompletionTokens, responseFormat, signal, label }
+   * @returns {Promise<string>} Assistant message content
    */
   async callAPI(messages, options = {}) {
-    const requestBody = {
-      messages,
-      max_completion_tokens: options.maxCompletionTokens || 1500,
+    const label = options.label || 'request';
+    this.usage.assertWithinBudget();
+    console.log(`[OpenAI] Making API request (${label}) via ${this.provider.name}`);
+
+    try {
+      const result = await withRetry(({ signal }) => this.provider.complete(messages, {
+        maxCompletionTokens: options.maxCompletionTokens || 1500,
+        responseFormat: options.responseFormat,
+        signal,
+      }), {
+        policy: this.retryPolicy,
+        signal: options.signal,
+        onRetry: (retry) => this.logRetry(label, retry),
+      });
+      this.recordUsage(label, messages, result);
+      console.log('[OpenAI] API call successful');
+
+      return result.content;
+    } catch (error) {
+      console.error('[OpenAI] API call failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Strict structured-output response_format for a schema in LLM_SCHEMAS, without
+   * the limits strict mode rejects (see providerSchema); callStructured() checks the
+   * full schema. Providers without native support translate it (see AnthropicProvider)
+   */
+  responseFormatFor(schemaName) {
+    const { name, description, schema } = LLM_SCHEMAS[schemaName];
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name,
+        description,
+        strict: true,
+        schema: providerSchema(schema),
+      },
     };
+  }
+
+  /**
+   * Make an API call whose response must match a schema in LLM_SCHEMAS
+   * An invalid response gets one repair request listing the validation errors;
+   * if that fails too the call throws with `validationErrors`
+   * @param {Array} messages - Chat messages
+   * @param {string} schemaName - Key of LLM_SCHEMAS
+   * @param {Object} options - callAPI options
+   * @returns {Promise<*>} Parsed, validated value
+   */
+  async callStructured(messages, schemaName, options = {}) {
+    const label = options.label || schemaName;
+    const request = { ...options, label, responseFormat: this.responseFormatFor(schemaName) };
+
+    const response = await this.callAPI(messages, request);
+    const first = parseStructured(response, schemaName);
+    if (first.errors.length === 0) return first.value;
+
+    console.warn(`[OpenAI] ${label} response failed the ${schemaName} schema; requesting a repair\n${formatValidationErrors(first.errors)}`);
+    const repairMessages = [
+      ...messages,
+      { role: 'assistant', content: response },
+      {
+        role: 'user',
+        content: `That response does not match the required JSON schema:
+${formatValidationErrors(first.errors.slice(0, MAX_REPAIR_ERRORS))}
 
-    // Add response format if specified (for JSON mode)
-    if (options.responseFormat) {
-      requestBody.response_format = options.responseFormat;
+Return the corrected JSON object only, keeping every valid value unchanged.`,
+      },
+    ];
+    const repaired = parseStructured(
+      await this.callAPI(repairMessages, { ...request, label: `${label}-repair` }),
+      schemaName,
+    );
+
+    this.validationLog.push({
+      call: label,
+      schema: schemaName,
+      errors: first.errors,
+      repaired: repaired.errors.length === 0,
+      repairErrors: repaired.errors,
+    });
+
+    if (repaired.errors.length === 0) {
+      console.log(`[OpenAI] ${label} response repaired`);
+      return repaired.value;
     }
 
-    console.log('[OpenAI] Making API request via Cloudflare Worker');
+    const error = new Error(`Response failed the ${schemaName} schema after one repair (${repaired.errors.length} error${repaired.errors.length === 1 ? '' : 's'})`);
+    error.validationErrors = repaired.errors;
+    throw error;
+  }
+
+  /**
+   * Stream a completion through the configured provider
+   * Providers without stream() fall back to one callAPI result delivered as a single token.
+   * The per-attempt timeout only runs until the first token, and a stream that fails
+   * after text has arrived is not retried (the reader has already seen it)
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { maxCompletionTokens, onToken(delta, text), signal, label }
+   * @returns {Promise<{content: string, aborted: boolean}>} Text so far and whether it was stopped
+   */
+  async streamAPI(messages, options = {}) {
+    const onToken = options.onToken || (() => {});
+
+    if (typeof this.provider.stream !== 'function') {
+      const content = await this.callAPI(messages, options);
+      onToken(content, content);
+      return { content, aborted: false };
+    }
+
+    const label = options.label || 'request';
+    this.usage.assertWithinBudget();
+    console.log(`[OpenAI] Streaming API request (${label}) via ${this.provider.name}`);
+    let received = false;
 
     try {
-      const response = await fetch(this.workerEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+      const stream = (attempt) => this.provider.stream(messages, {
+        maxCompletionTokens: options.maxCompletionTokens || 1500,
+        responseFormat: options.responseFormat,
+        signal: attempt.signal,
+        onToken: (delta, text) => {
+          if (!received) attempt.clearTimeout();
+          received = true;
+          onToken(delta, text);
         },
-        body: JSON.stringify(requestBody),
       });
+      const result = await withRetry(stream, {
+        policy: this.retryPolicy,
+        signal: options.signal,
+        canRetry: () => !received,
+        onRetry: (retry) => this.logRetry(label, retry),
+      });
+      const { content, aborted } = result;
+      // A stopped stream has usually sent no usage block; recordUsage estimates it
+      this.recordUsage(label, messages, result);
+      console.log(`[OpenAI] Stream ${aborted ? 'stopped' : 'complete'} (${content.length} characters)`);
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Worker API error: ${error.error || response.statusText}`);
-      }
-
-      const result = await response.json();
-      console.log('[OpenAI] API call successful');
-
-      return result.choices[0].message.content;
+      return { content, aborted };
     } catch (error) {
-      console.error('[OpenAI] API call failed:', error);
+      console.error('[OpenAI] Streaming API call failed:', error);
       throw error;
     }
   }
@@ -114,43 +417,34 @@ export class OpenAIService {
   /**
    * Identify competing products for a given product
    */
-  async identifyCompetitors(productData) {
-    const cacheKey = `competitors_${productData.name}`;
+  async identifyCompetitors(productData, options = {}) {
+    const messages = await this.buildMessages('competitors', this.competitorVariables(productData));
+
+    const request = { maxCompletionTokens: 1500 };
+    const cacheKey = await this.cacheKey('competitors', messages, {
+      ...request,
+      responseFormat: this.responseFormatFor('competitors'),
+    });
 
     // Check cache first
-    const cached = this.getCache(cacheKey);
+    const cached = await this.getCache(cacheKey);
     if (cached) {
       return cached;
     }
 
-    const prompt = this.buildCompetitorPrompt(productData);
-
-    const messages = [
-      {
-        role: 'system',
-        content: 'You are a product market analyst with expertise across all product categories including consumer electronics, hardware, software, home goods, fashion, and more. You have deep knowledge of current products, market trends, and competitive positioning. Provide accurate, real product information.',
-      },
-      {
-        role: 'user',
-        content: prompt,
-      },
-    ];
-
+    const before = this.usage.snapshot();
     try {
-      const response = await this.callAPI(messages, {
-        maxCompletionTokens: 1500,
-        responseFormat: { type: 'json_object' },
+      // Parsed and validated against LLM_SCHEMAS.competitors (one repair pass)
+      const { competitors } = await this.callStructured(messages, 'competitors', {
+        ...request,
+        signal: options.signal,
       });
 
-      // Parse the JSON response
-      const parsed = JSON.parse(response);
-      const competitors = parsed.competitors || [];
-
-      // Validate and normalize the data
+      // Normalize the data
       const normalized = this.normalizeCompetitorData(competitors, productData);
 
       // Cache the result
-      this.setCache(cacheKey, normalized);
+      await this.setCache(cacheKey, normalized, this.cacheMeta('competitors', productData, before));
 
       return normalized;
     } catch (error) {
@@ -160,49 +454,20 @@ export class OpenAIService {
   }
 
   /**
-   * Build prompt for competitor identification
+   * Variables for the competitors template
    */
-  buildCompetitorPrompt(productData) {
-    const { specs } = productData;
-    const category = productData.category || 'product';
-
-    const keyFeatures = Object.entries(specs)
-      .slice(0, 5)
-      .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`)
-      .join('\n');
-
-    return `Identify 3 real competing ${category} products from different brands for this product:
-
-Product: ${productData.name}
-Brand: ${productData.brand || 'N/A'}
-Category: ${category}
-
-Key Specifications:
-${keyFeatures || 'N/A'}
-
-Return ONLY valid JSON in this exact format (no markdown, no explanation):
-{
-  "competitors": [
-    {
-      "brand": "string (different brand name)",
-      "model": "string (specific model number/name)",
-      "keyFeature": "string (main differentiating feature)",
-      "positioning": "string (premium/comparable/budget relative to the product)"
-    }
-  ]
-}
-
-Rules:
-- Only include real, currently available products (2023-2025)
-- Different brands for each competitor
-- Mix of market positions (one premium, one comparable, one budget-oriented)
-- Accurate specifications based on real product data
-- No fictional products
-- Focus on feature differences, not pricing`;
+  competitorVariables(productData) {
+    return {
+      name: productData.name,
+      brand: productData.brand || '',
+      category: productData.category || '',
+      keySpecs: Object.fromEntries(Object.entries(productData.specs || {}).slice(0, 5)),
+    };
   }
 
   /**
    * Validate and normalize competitor data from AI
+   * Specs are filled in separately by enrichCompetitorSpecs()
    */
   normalizeCompetitorData(competitors) {
     return competitors.map((comp) => ({
@@ -210,13 +475,75 @@ Rules:
       model: comp.model || '',
       keyFeature: comp.keyFeature || '',
       positioning: this.validatePositioning(comp.positioning),
-      price: 0,
-      torque: 0,
-      battery: comp.battery || '',
-      warranty: comp.warranty || '3 Years',
     }));
   }
 
+  /**
+   * Variables for the competitor-specs template
+   */
+  competitorSpecVariables(productData, competitors) {
+    return {
+      name: productData.name,
+      brand: productData.brand || '',
+      category: productData.category || '',
+      specKeys: comparisonSpecKeys(productData)
+        .map((key) => `${key} (${specLabel(productData, key)}): ${productData.specs[key]}`),
+      competitors: competitors.map((comp) => `${comp.brand} ${comp.model}`),
+    };
+  }
+
+  /**
+   * Ask for each competitor's values on the product's canonical spec keys
+   * Values the model marks unknown, and keys that weren't asked for, are left out
+   * @param {Object} productData - Extracted product data
+   * @param {Array<Object>} competitors - Normalized competitors
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array<Object>>} Competitors with { specs, specSource: 'model' }
+   */
+  async enrichCompetitorSpecs(productData, competitors, options = {}) {
+    const keys = comparisonSpecKeys(productData);
+    if (competitors.length === 0 || keys.length === 0) return competitors;
+
+    const messages = await this.buildMessages('competitor-specs', this.competitorSpecVariables(productData, competitors));
+
+    const request = { maxCompletionTokens: 1500 };
+    const cacheKey = await this.cacheKey('competitor-specs', messages, {
+      ...request,
+      responseFormat: this.responseFormatFor('competitorSpecs'),
+    });
+
+    const cached = await this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const before = this.usage.snapshot();
+    try {
+      // Parsed and validated against LLM_SCHEMAS.competitorSpecs (one repair pass)
+      const { competitors: answers } = await this.callStructured(messages, 'competitorSpecs', {
+        ...request,
+        label: 'competitor-specs',
+        signal: options.signal,
+      });
+
+      const nameOf = (comp) => `${comp.brand} ${comp.model}`.toLowerCase().trim();
+      const enriched = competitors.map((comp, index) => {
+        const answer = answers.find((item) => nameOf(item) === nameOf(comp)) || answers[index];
+        const specs = {};
+        (answer?.specs || []).forEach(({ key, value }) => {
+          if (keys.includes(key) && isKnownValue(value)) specs[key] = value.trim();
+        });
+        return { ...comp, specs, specSource: 'model' };
+      });
+
+      await this.setCache(cacheKey, enriched, this.cacheMeta('competitor-specs', productData, before));
+      return enriched;
+    } catch (error) {
+      console.error('[OpenAI] Failed to look up competitor specs:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate positioning value
    */
@@ -226,125 +553,328 @@ Rules:
     return valid.includes(normalized) ? normalized : 'comparable';
   }
 
+  /**
+   * Variables for the comparison template
+   */
+  comparisonVariables(product1, product2) {
+    return {
+      productName: product1.name,
+      productBrand: product1.brand || '',
+      productCategory: product1.category || '',
+      productFeatures: Object.values(product1.specs || {}).slice(0, 3).map(String),
+      competitorBrand: product2.brand || '',
+      competitorModel: product2.model || '',
+      competitorPositioning: product2.positioning || '',
+      competitorKeyFeature: product2.keyFeature || '',
+    };
+  }
+
   /**
    * Generate enhanced comparison text using AI
    */
   async generateComparisonText(product1, product2) {
-    const cacheKey = `comparison_${product1.name}_${product2.brand}_${product2.model}`;
+    const messages = await this.buildMessages('comparison', this.comparisonVariables(product1, product2));
+
+    const request = { maxCompletionTokens: 300 };
+    const cacheKey = await this.cacheKey('comparison', messages, request);
 
-    const cached = this.getCache(cacheKey);
+    const cached = await this.getCache(cacheKey);
     if (cached) {
       return cached;
     }
 
+    const before = this.usage.snapshot();
+    try {
+      const response = await this.callAPI(messages, {
+        ...request,
+        label: 'comparison',
+      });
+
+      await this.setCache(cacheKey, response, this.cacheMeta('comparison', product1, before));
+      return response;
+    } catch (error) {
+      console.error('[OpenAI] Failed to generate comparison:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Variables for the narrative template
+   */
+  narrativeVariables(productData) {
+    const { rating } = productData;
+    return {
+      name: productData.name,
+      brand: productData.brand || '',
+      category: productData.category || '',
+      specs: productData.specs || {},
+      features: (productData.features || []).slice(0, 10),
+      rating: rating ? `${rating.score}/${rating.maxScore} from ${rating.reviewCount} reviews` : '',
+      tagline: productData.tagline || '',
+    };
+  }
+
+  /**
+   * Generate complete product narrative using AI
+   * Pass options.onToken to stream the text as it arrives; aborting options.signal
+   * returns the partial narrative (which is not cached), or throws an AbortError
+   * when not streaming
+   * @param {Object} productData - Extracted product data
+   * @param {Object} options - { onToken(delta, text), signal }
+   */
+  async generateProductNarrative(productData, options = {}) {
+    const messages = await this.buildMessages('narrative', this.narrativeVariables(productData));
+
+    const params = {
+      maxCompletionTokens: 600, // Increased for more conversational content
+    };
+    const cacheKey = await this.cacheKey('narrative', messages, params);
+
+    const cached = await this.getCache(cacheKey);
+    if (cached) {
+      if (options.onToken) options.onToken(cached, cached);
+      return cached;
+    }
+
+    const before = this.usage.snapshot();
+    try {
+      const request = { ...params, signal: options.signal, label: 'narrative' };
+
+      if (options.onToken) {
+        const { content, aborted } = await this.streamAPI(messages, { ...request, ...options });
+        if (!aborted) await this.setCache(cacheKey, content, this.cacheMeta('narrative', productData, before));
+        return content;
+      }
+
+      const response = await this.callAPI(messages, request);
+
+      await this.setCache(cacheKey, response, this.cacheMeta('narrative', productData, before));
+      return response;
+    } catch (error) {
+      console.error('[OpenAI] Failed to generate narrative:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite a narrative without claims the fact check could not ground
+   * Continues the narrative conversation: original prompt, the narrative as the
+   * assistant's answer, then the narrative-revision template listing the claims
+   * @param {Object} productData - Extracted product data
+   * @param {string} narrative - Narrative to revise
+   * @param {Array<Object>} claims - Unsupported claims from checkNarrative()
+   * @param {Object} options - { signal }
+   * @returns {Promise<string>} Revised narrative
+   */
+  async reviseNarrative(productData, narrative, claims, options = {}) {
     const messages = [
-      {
-        role: 'system',
-        content: 'You are a knowledgeable friend helping someone compare products. Write naturally and conversationally, like you\'re explaining the differences face-to-face. Use "you" language and focus on what matters to the buyer.',
-      },
-      {
-        role: 'user',
-        content: `Compare these two products in 1-2 conversational sentences. Speak directly to the reader using "you" and explain which scenarios favor each option.
+      ...(await this.buildMessages('narrative', this.narrativeVariables(productData))),
+      { role: 'assistant', content: narrative },
+      ...(await this.buildMessages('narrative-revision', this.promptVariables('narrative-revision', productData, { claims }))),
+    ];
 
-Product 1: ${product1.name} (${product1.brand})
-Category: ${product1.category}
-Key Features: ${Object.values(product1.specs).slice(0, 3).join(', ')}
+    const params = { maxCompletionTokens: 600 };
+    const cacheKey = await this.cacheKey('narrative-revision', messages, params);
 
-Product 2: ${product2.brand} ${product2.model}
-Position: ${product2.positioning}
-${product2.keyFeature ? `Key Feature: ${product2.keyFeature}` : ''}
+    const cached = await this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
 
-Write naturally and conversationally. Explain why someone might choose Product 1 over Product 2 based on features and capabilities.`,
-      },
+    const before = this.usage.snapshot();
+    try {
+      const response = await this.callAPI(messages, {
+        ...params,
+        signal: options.signal,
+        label: 'narrative-revision',
+      });
+
+      await this.setCache(cacheKey, response, this.cacheMeta('narrative-revision', productData, before));
+      return response;
+    } catch (error) {
+      console.error('[OpenAI] Failed to revise narrative:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite a narrative following an editor's instruction
+   * Continues the narrative conversation like reviseNarrative(): original prompt, the
+   * current draft as the assistant's answer, then the narrative-refinement template
+   * @param {Object} productData - Extracted product data
+   * @param {string} draft - Narrative to refine
+   * @param {string} instruction - Editor instruction, e.g. "shorter"
+   * @param {Object} options - { signal }
+   * @returns {Promise<string>} Refined narrative
+   */
+  async refineNarrative(productData, draft, instruction, options = {}) {
+    const messages = [
+      ...(await this.buildMessages('narrative', this.narrativeVariables(productData))),
+      { role: 'assistant', content: draft },
+      ...(await this.buildMessages('narrative-refinement', this.promptVariables('narrative-refinement', productData, { instruction }))),
     ];
 
+    const params = { maxCompletionTokens: 800 };
+    const cacheKey = await this.cacheKey('narrative-refinement', messages, params);
+
+    const cached = await this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const before = this.usage.snapshot();
     try {
       const response = await this.callAPI(messages, {
-        maxCompletionTokens: 300,
+        ...params,
+        signal: options.signal,
+        label: 'narrative-refinement',
       });
 
-      this.setCache(cacheKey, response);
+      await this.setCache(cacheKey, response, this.cacheMeta('narrative-refinement', productData, before));
       return response;
     } catch (error) {
-      console.error('[OpenAI] Failed to generate comparison:', error);
-      return null;
+      console.error('[OpenAI] Failed to refine narrative:', error);
+      throw error;
     }
   }
 
   /**
-   * Generate complete product narrative using AI
+   * Template variables for localizing a narrative
+   * @param {Object} localization - Locale data from localizeData() (locales.js)
+   * @param {string} narrative - Narrative to localize
    */
-  async generateProductNarrative(productData) {
-    const cacheKey = `narrative_${productData.name}_${productData.brand}`;
+  localizationVariables(localization = {}, narrative = '') {
+    return {
+      locale: localization.locale,
+      language: localization.language,
+      narrative,
+      conversions: localization.conversions || {},
+      price: localization.price?.text || '',
+    };
+  }
 
-    const cached = this.getCache(cacheKey);
+  /**
+   * Translate and culturally adapt a narrative for one locale
+   * Units and price are converted beforehand (localizeData); the model is told which
+   * values to swap in rather than converting them itself
+   * @param {Object} productData - Extracted product data (for the cache metadata)
+   * @param {string} narrative - Narrative to localize
+   * @param {Object} localization - Locale data from localizeData()
+   * @param {Object} options - { signal }
+   * @returns {Promise<string>} Localized narrative
+   */
+  async localizeNarrative(productData, narrative, localization, options = {}) {
+    const messages = await this.buildMessages(
+      'narrative-localization',
+      this.localizationVariables(localization, narrative),
+    );
+
+    const params = { maxCompletionTokens: 1000 };
+    const cacheKey = await this.cacheKey('narrative-localization', messages, params);
+
+    const cached = await this.getCache(cacheKey);
     if (cached) {
       return cached;
     }
 
-    const specsList = Object.entries(productData.specs)
-      .map(([key, value]) => `- ${key.replace(/_/g, ' ')}: ${value}`)
-      .join('\n');
+    const before = this.usage.snapshot();
+    try {
+      const response = await this.callAPI(messages, {
+        ...params,
+        signal: options.signal,
+        label: 'narrative-localization',
+      });
 
-    const featuresList = productData.features.length > 0
-      ? productData.features.slice(0, 10).map((f) => `- ${f}`).join('\n')
-      : 'N/A';
+      await this.setCache(cacheKey, response, this.cacheMeta('narrative-localization', productData, before));
+      return response;
+    } catch (error) {
+      console.error(`[OpenAI] Failed to localize narrative for ${localization.locale}:`, error);
+      throw error;
+    }
+  }
 
-    const messages = [
-      {
-        role: 'system',
-        content: 'You are a knowledgeable friend helping someone choose the right product. Write in a warm, conversational style using "you" language. Explain things naturally, like you\'re having a helpful conversation. Ask and answer questions that buyers actually have. Be specific about features and use cases, but keep it friendly and accessible. Optimize for Generative Engine Optimization (GEO) - make content that LLMs can easily understand and recommend.',
-      },
-      {
-        role: 'user',
-        content: `Write a conversational, GEO-optimized product description (250-350 words) for:
-
-Product Name: ${productData.name}
-Brand: ${productData.brand}
-Category: ${productData.category}
-
-Specifications:
-${specsList || 'N/A'}
-
-Key Features:
-${featuresList}
-
-${productData.rating ? `Customer Rating: ${productData.rating.score}/${productData.rating.maxScore} from ${productData.rating.reviewCount} reviews\n` : ''}
-${productData.tagline ? `Product Tagline: ${productData.tagline}\n` : ''}
-
-Write in a natural, conversational tone that:
-1. Opens with "Looking for..." or "If you need..." to connect with the reader
-2. Uses "you" and "your" throughout (second person)
-3. Asks and answers 1-2 natural questions buyers would have
-4. Explains specs in terms of real-world benefits ("What does this mean for you?")
-5. Includes specific use cases and scenarios ("perfect for..." or "great when...")
-6. Makes natural comparisons or context ("Unlike...", "Similar to...", "Think of it as...")
-7. Addresses common concerns or misconceptions
-${productData.rating ? '8. Weaves in social proof naturally ("Users love..." or "Customers report...")' : ''}
-9. Ends with who this is ideal for or when to choose it
-
-GEO Optimization Requirements:
-- Use natural question-answer patterns
-- Include context clues that LLMs look for
-- Write like explaining to a friend, not a sales pitch
-- Be specific with numbers and technical details
-- Use comparisons and analogies where helpful
-- Make it scannable with clear benefits
-- Sound like an expert giving honest advice
-
-Avoid: Corporate speak, vague claims, excessive adjectives, marketing hype, "cutting-edge", "revolutionary", etc.`,
-      },
-    ];
+  /**
+   * Variables for the faq template
+   */
+  faqVariables(productData) {
+    return {
+      ...this.narrativeVariables(productData),
+      pros: productData.pros || [],
+      cons: productData.cons || [],
+      useCases: productData.useCases || [],
+    };
+  }
+
+  /**
+   * Ask for buyer questions with short answers from the extracted data
+   * Returns the model's items as is; grounding and limits are applied by the caller
+   * (groundFaq in buyer-faq.js)
+   * @param {Object} productData - Extracted product data
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array<{question: string, answer: string}>>}
+   */
+  async generateFaq(productData, options = {}) {
+    const messages = await this.buildMessages('faq', this.faqVariables(productData));
+
+    const request = { maxCompletionTokens: 1500 };
+    const cacheKey = await this.cacheKey('faq', messages, {
+      ...request,
+      responseFormat: this.responseFormatFor('faq'),
+    });
+
+    const cached = await this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const before = this.usage.snapshot();
+    try {
+      // Parsed and validated against LLM_SCHEMAS.faq (one repair pass)
+      const { faq } = await this.callStructured(messages, 'faq', {
+        ...request,
+        label: 'faq',
+        signal: options.signal,
+      });
+
+      await this.setCache(cacheKey, faq, this.cacheMeta('faq', productData, before));
+      return faq;
+    } catch (error) {
+      console.error('[OpenAI] Failed to generate FAQ:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate one narrative format (snippet, buying guide...) from the extracted data
+   * Returns the model's text as is; length rules are applied by the caller
+   * @param {Object} format - Entry of NARRATIVE_FORMATS
+   * @param {Object} productData - Extracted product data
+   * @param {Object} options - { signal }
+   * @returns {Promise<string>} Generated text
+   */
+  async generateNarrativeFormat(format, productData, options = {}) {
+    const messages = await this.buildMessages(format.prompt, this.narrativeVariables(productData));
 
+    const params = { maxCompletionTokens: format.maxCompletionTokens };
+    const cacheKey = await this.cacheKey(format.prompt, messages, params);
+
+    const cached = await this.getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const before = this.usage.snapshot();
     try {
       const response = await this.callAPI(messages, {
-        maxCompletionTokens: 600, // Increased for more conversational content
+        ...params,
+        signal: options.signal,
+        label: format.prompt,
       });
 
-      this.setCache(cacheKey, response);
+      await this.setCache(cacheKey, response, this.cacheMeta(format.prompt, productData, before));
       return response;
     } catch (error) {
-      console.error('[OpenAI] Failed to generate narrative:', error);
+      console.error(`[OpenAI] Failed to generate ${format.label.toLowerCase()}:`, error);
       throw error;
     }
   }
@@ -352,13 +882,9 @@ Avoid: Corporate speak, vague claims, excessive adjectives, marketing hype, "cut
   /**
    * Clear all cached data
    */
-  clearCache() {
-    const keys = Object.keys(localStorage);
-    keys.forEach((key) => {
-      if (key.startsWith('openai_cache_')) {
-        localStorage.removeItem(key);
-      }
-    });
+  async clearCache() {
+    await this.cache.clear();
+    this.clearLegacyCache();
     console.log('[OpenAI] Cache cleared');
   }
 }
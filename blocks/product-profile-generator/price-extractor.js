@@ -0,0 +1,413 @@
+/**
+ * Price & Offer Extractor
+ * Parses prices, currencies, price ranges and availability into a normalized offer
+ */
+
+/* eslint-disable no-restricted-syntax, no-console */
+
+/**
+ * Currency symbols mapped to ISO 4217 codes
+ * Longer symbols come first so "US$" wins over "$"
+ */
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['S$', 'SGD'],
+  ['R$', 'BRL'],
+  ['MX$', 'MXN'],
+  ['CHF', 'CHF'],
+  ['zł', 'PLN'],
+  ['Kč', 'CZK'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₺', 'TRY'],
+  ['₪', 'ILS'],
+  ['₱', 'PHP'],
+  ['$', 'USD'],
+];
+
+const ISO_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK',
+  'HUF', 'INR', 'CNY', 'HKD', 'SGD', 'KRW', 'BRL', 'MXN', 'ZAR', 'TRY', 'ILS', 'AED', 'PHP',
+];
+
+const ISO_PATTERN = new RegExp(`\\b(${ISO_CURRENCIES.join('|')})\\b`, 'i');
+
+// Digits with optional thousands separators (comma, dot, apostrophe, space) and decimals
+const AMOUNT_PATTERN = /\d{1,3}(?:[.,'\s\u00a0\u202f]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/g;
+
+// Labels around the two prices of a markdown: "Was $199 Now $149", "List $199 Sale $149"
+const LIST_LABEL = /\b(?:was|list|reg(?:ular)?|msrp|rrp|compare\s*at|originally)\b/i;
+const SALE_LABEL = /\b(?:now|sale|our\s*price|you\s*pay|special)\b/i;
+const SAVINGS_LABEL = /\bsave\b/i;
+
+const RANGE_PATTERN = /(?:from\s+)?(.+?)\s*(?:-|–|—|\bto\b)\s*(.+)/i;
+
+/**
+ * Availability phrases mapped to schema.org ItemAvailability values
+ * Checked in order, so more specific phrases come first
+ */
+const AVAILABILITY_RULES = [
+  [/sold\s*out/i, 'SoldOut'],
+  // Negated phrases first: "Not in stock" must not reach the InStock rule
+  [/(?:not|no\s*longer)\s*(?:in\s*stock|available)|out\s*of\s*stock|unavailable/i, 'OutOfStock'],
+  [/back[\s-]?order/i, 'BackOrder'],
+  [/pre[\s-]?order|coming\s*soon/i, 'PreOrder'],
+  [/discontinued/i, 'Discontinued'],
+  [/in[\s-]?store\s*only/i, 'InStoreOnly'],
+  [/online\s*only/i, 'OnlineOnly'],
+  [/only\s*\d+\s*left|low\s*stock|limited\s*(?:stock|availability)/i, 'LimitedAvailability'],
+  [/in\s*stock|available|add\s*to\s*(?:cart|bag|basket)|ships\s*(?:in|within|today)/i, 'InStock'],
+];
+
+const SALE_PRICE_SELECTORS = [
+  '.sale-price',
+  '.price--sale',
+  '.price-sales',
+  '.special-price .price',
+  '.price ins',
+  '[class*="sale-price"]',
+  '[data-sale-price]',
+];
+
+const LIST_PRICE_SELECTORS = [
+  '.was-price',
+  '.list-price',
+  '.old-price .price',
+  '.price-standard',
+  '.price--compare',
+  '.compare-at-price',
+  '.price del',
+  '.price s',
+  '[class*="regular-price"]',
+  '[class*="list-price"]',
+];
+
+const PRICE_SELECTORS = [
+  '[itemprop="price"]',
+  '[data-price]',
+  '.product-price',
+  '.price',
+  '[class*="price"]',
+];
+
+const AVAILABILITY_SELECTORS = [
+  '[itemprop="availability"]',
+  '.availability',
+  '.stock-status',
+  '[class*="availability"]',
+  '[class*="stock"]',
+];
+
+/**
+ * Detect the currency of a price string from its symbol or ISO code
+ * @param {string} text - Price text such as "€1.299,00" or "1299 SEK"
+ * @returns {string} ISO 4217 code, or '' if none found
+ */
+export function detectCurrency(text) {
+  if (!text) return '';
+  const iso = text.match(ISO_PATTERN);
+  if (iso) return iso[1].toUpperCase();
+
+  const symbol = CURRENCY_SYMBOLS.find(([sym]) => text.includes(sym));
+  if (symbol) return symbol[1];
+
+  if (/\bkr\.?/i.test(text)) return 'SEK';
+  return '';
+}
+
+/**
+ * ISO 4217 code for a structured-data currency, which pages fill with "usd",
+ * " USD " or "$" as often as with the code
+ * @param {string} value - priceCurrency as found
+ * @returns {string} ISO 4217 code, or '' if it names no currency
+ */
+export function normalizeCurrency(value) {
+  const text = String(value || '').trim();
+  return /^[a-z]{3}$/i.test(text) ? text.toUpperCase() : detectCurrency(text);
+}
+
+/**
+ * Convert a localized number string into a float
+ * Handles "1,299.99", "1.299,99", "1 299,99" and "1'299.99"
+ */
+export function parseAmount(raw) {
+  if (!raw) return null;
+  let value = String(raw).replace(/[\s'\u00a0\u202f]/g, '');
+
+  const lastComma = value.lastIndexOf(',');
+  const lastDot = value.lastIndexOf('.');
+
+  if (lastComma > -1 && lastDot > -1) {
+    // Both present: whichever comes last is the decimal separator
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    value = value.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma > -1 || lastDot > -1) {
+    const separator = lastComma > -1 ? ',' : '.';
+    const parts = value.split(separator);
+    const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+    value = isThousands ? parts.join('') : parts.join('.');
+  }
+
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Sale and list price from text with was/now or list/sale wording, or null
+ * Each amount is labelled by the text between it and the amount before it;
+ * "Save $50" amounts are ignored
+ */
+function parseMarkdown(clean) {
+  let previousEnd = 0;
+  const labelled = [...clean.matchAll(AMOUNT_PATTERN)].map((match) => {
+    const label = clean.slice(previousEnd, match.index);
+    previousEnd = match.index + match[0].length;
+    return {
+      amount: parseAmount(match[0]),
+      list: LIST_LABEL.test(label),
+      sale: SALE_LABEL.test(label),
+      savings: SAVINGS_LABEL.test(label),
+    };
+  }).filter((item) => item.amount !== null && !item.savings);
+
+  if (labelled.length < 2 || !labelled.some((item) => item.list || item.sale)) return null;
+  const sale = labelled.find((item) => item.sale) || labelled.find((item) => !item.list);
+  const list = labelled.find((item) => item.list && item !== sale)
+    || labelled.find((item) => item !== sale);
+  if (!sale || !list || list.amount <= sale.amount) return null;
+  return { amount: sale.amount, listPrice: list.amount };
+}
+
+/**
+ * Parse a price string, including ranges like "$10 - $20" and markdowns like
+ * "Was $199 Now $149" (the sale amount, with the list price as listPrice)
+ * @param {string} text - Raw price text
+ * @returns {Object|null} { amount, currency }, { amount, listPrice, currency } or
+ *   { lowPrice, highPrice, currency }
+ */
+export function parsePriceText(text) {
+  if (!text) return null;
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  const currency = detectCurrency(clean);
+
+  const markdown = parseMarkdown(clean);
+  if (markdown) return { ...markdown, currency };
+
+  const amounts = clean.match(AMOUNT_PATTERN) || [];
+  const range = clean.match(RANGE_PATTERN);
+  if (amounts.length >= 2 && range) {
+    const low = parseAmount((range[1].match(AMOUNT_PATTERN) || [])[0]);
+    const high = parseAmount((range[2].match(AMOUNT_PATTERN) || [])[0]);
+    if (low !== null && high !== null && high > low) {
+      return { lowPrice: low, highPrice: high, currency };
+    }
+  }
+
+  const amount = parseAmount(amounts[0]);
+  if (amount === null) return null;
+  return { amount, currency };
+}
+
+/**
+ * Map availability text or a schema.org URL onto an ItemAvailability value
+ * @param {string} text - e.g. "Out of stock", "Backorder", "https://schema.org/InStock"
+ * @returns {string} ItemAvailability name, or '' if unknown
+ */
+export function normalizeAvailability(text) {
+  if (!text) return '';
+  const value = String(text).replace(/^https?:\/\/schema\.org\//, '').trim();
+
+  const known = AVAILABILITY_RULES.map(([, name]) => name);
+  const exact = known.find((name) => name.toLowerCase() === value.toLowerCase());
+  if (exact) return exact;
+
+  const rule = AVAILABILITY_RULES.find(([pattern]) => pattern.test(value));
+  return rule ? rule[1] : '';
+}
+
+/**
+ * Read the first matching element's price text (data attributes and content win over text)
+ */
+function readPriceElement(doc, selectors) {
+  for (const selector of selectors) {
+    const element = doc.querySelector(selector);
+    if (element) {
+      const text = element.getAttribute('content')
+        || element.getAttribute('data-price')
+        || element.getAttribute('data-sale-price')
+        || element.textContent;
+      const parsed = parsePriceText(text);
+      if (parsed) {
+        // Keep the element text around for currency detection when content is bare
+        if (!parsed.currency) parsed.currency = detectCurrency(element.textContent);
+        return { ...parsed, selector };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Structured data prices always use "." as the decimal separator
+ */
+function parseSchemaNumber(value) {
+  const amount = parseFloat(String(value || '').replace(/[^0-9.]/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Build a price object from structured-data offers
+ */
+function priceFromOffers(offers) {
+  if (!offers || offers.length === 0) return null;
+
+  const aggregate = offers.find((offer) => offer.lowPrice || offer.highPrice);
+  const single = offers.find((offer) => offer.price);
+  const currency = normalizeCurrency((aggregate || single || offers[0]).priceCurrency);
+  const withAvailability = offers.find((offer) => offer.availability);
+  const availability = normalizeAvailability(withAvailability?.availability);
+
+  if (aggregate) {
+    const low = parseSchemaNumber(aggregate.lowPrice);
+    const high = parseSchemaNumber(aggregate.highPrice);
+    if (low !== null && high !== null && high > low) {
+      return {
+        value: low,
+        currency,
+        lowPrice: low,
+        highPrice: high,
+        offerCount: parseInt(aggregate.offerCount, 10) || null,
+        availability,
+        source: aggregate.source || 'structured-data',
+      };
+    }
+  }
+
+  if (single) {
+    const value = parseSchemaNumber(single.price);
+    if (value !== null) {
+      const price = {
+        value,
+        currency: normalizeCurrency(single.priceCurrency) || currency,
+        availability,
+        source: single.source || 'structured-data',
+      };
+      // Platform adapters can report the regular price alongside the offer
+      const listPrice = parseSchemaNumber(single.listPrice);
+      if (listPrice && listPrice > value) {
+        price.listPrice = listPrice;
+        price.salePrice = value;
+      }
+      return price;
+    }
+  }
+
+  return availability ? { value: null, currency, availability } : null;
+}
+
+/**
+ * Extract availability from meta tags and stock messaging
+ */
+function extractAvailability(doc) {
+  const meta = doc.querySelector('meta[property="product:availability"], meta[property="og:availability"]');
+  if (meta) {
+    const value = normalizeAvailability(meta.getAttribute('content'));
+    if (value) return value;
+  }
+
+  for (const selector of AVAILABILITY_SELECTORS) {
+    const element = doc.querySelector(selector);
+    if (element) {
+      const value = normalizeAvailability(element.getAttribute('href')
+        || element.getAttribute('content')
+        || element.textContent);
+      if (value) return value;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Extract price, currency, sale/list prices, ranges and availability
+ * Structured-data offers win, then meta tags, then on-page price elements
+ * @param {Document} doc - The HTML document to parse
+ * @param {Array} offers - Normalized offers from the structured data parser
+ * @returns {Object|null} Price data
+ */
+export function extractPrice(doc, offers = []) {
+  const fromOffers = priceFromOffers(offers);
+  const availability = fromOffers?.availability || extractAvailability(doc);
+  const result = fromOffers?.value !== null && fromOffers?.value !== undefined
+    ? { ...fromOffers }
+    : null;
+
+  if (!result) {
+    const metaAmount = doc.querySelector('meta[property="product:price:amount"], meta[property="og:price:amount"]');
+    if (metaAmount) {
+      const value = parseAmount(metaAmount.getAttribute('content'));
+      const currencyMeta = doc.querySelector('meta[property="product:price:currency"], meta[property="og:price:currency"]');
+      if (value !== null) {
+        return {
+          value,
+          currency: currencyMeta ? currencyMeta.getAttribute('content').trim().toUpperCase() : '',
+          listPrice: readPriceElement(doc, LIST_PRICE_SELECTORS)?.amount || null,
+          availability,
+          source: 'meta',
+        };
+      }
+    }
+  }
+
+  const sale = readPriceElement(doc, SALE_PRICE_SELECTORS);
+  const list = readPriceElement(doc, LIST_PRICE_SELECTORS);
+
+  if (result) {
+    // Structured data rarely carries the strikethrough price, so look for it on the page
+    if (!result.listPrice && list?.amount && list.amount > result.value) {
+      result.listPrice = list.amount;
+      result.salePrice = result.value;
+    }
+    result.availability = availability;
+    return result;
+  }
+
+  const generic = sale || readPriceElement(doc, PRICE_SELECTORS);
+  if (!generic) {
+    return availability ? { value: null, currency: '', availability } : null;
+  }
+
+  const price = {
+    value: generic.amount ?? generic.lowPrice,
+    currency: generic.currency || list?.currency || '',
+    availability,
+    source: generic.selector,
+  };
+
+  if (generic.lowPrice !== undefined) {
+    price.lowPrice = generic.lowPrice;
+    price.highPrice = generic.highPrice;
+  }
+
+  // A separate strikethrough element, else "Was $199 Now $149" in the price text itself
+  const listPrice = list?.amount || generic.listPrice;
+  if (listPrice && listPrice > price.value) {
+    price.listPrice = listPrice;
+    price.salePrice = price.value;
+  }
+
+  console.log(`[Price] Found ${price.currency} ${price.value} via ${price.source}`);
+  return price;
+}
+
+export default extractPrice;
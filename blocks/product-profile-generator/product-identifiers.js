@@ -0,0 +1,227 @@
+/**
+ * Product Identifier Extractor
+ * Finds GTIN (UPC / EAN / ITF-14), MPN and SKU values and validates GTIN check digits
+ */
+
+/* eslint-disable no-restricted-syntax, no-console */
+
+/**
+ * Meta tags carrying identifiers, by field
+ */
+const META_IDENTIFIERS = {
+  gtin: [
+    'meta[property="product:upc"]',
+    'meta[property="product:ean"]',
+    'meta[property="product:gtin"]',
+    'meta[property="og:upc"]',
+    'meta[property="og:ean"]',
+    'meta[name="upc"]',
+    'meta[name="ean"]',
+    'meta[name="gtin"]',
+  ],
+  mpn: [
+    'meta[property="product:mfr_part_no"]',
+    'meta[name="mpn"]',
+  ],
+  sku: [
+    'meta[property="product:retailer_item_id"]',
+    'meta[property="product:retailer_part_no"]',
+    'meta[name="sku"]',
+  ],
+};
+
+/**
+ * itemprop names carrying identifiers, by field
+ * These also catch stray itemprops outside an itemscope, which Microdata parsing skips
+ */
+const ITEMPROP_IDENTIFIERS = {
+  gtin: ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14', 'isbn'],
+  mpn: ['mpn'],
+  sku: ['sku', 'productID'],
+};
+
+/**
+ * Spec row keys (as produced by extractSpecs) carrying identifiers, by field
+ */
+const SPEC_IDENTIFIERS = {
+  gtin: /^(upc|ean|gtin(_?\d+)?|barcode|upc_code|ean_code|isbn(_?13)?|international_article_number)$/,
+  mpn: /^(mpn|model|model_#|model_no\.?|model_number|part_#|part_number|part_no\.?|mfr_part_#|mfr_part_number|manufacturer_part_number|manufacturer_model_number)$/,
+  sku: /^(sku|item_#|item_number|item_no\.?|article_number|product_code|product_id)$/,
+};
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// Model numbers and SKUs are single tokens ("DCD999B", "48-11-1850")
+const PART_NUMBER_PATTERN = /^[A-Z0-9][A-Z0-9\-_./#]{1,39}$/i;
+
+/**
+ * Strip spaces and dashes from a GTIN ("0 12345 67890 5" -> "012345678905")
+ * @param {string} value - Raw GTIN text
+ * @returns {string} Digits only, or '' if the value is not a digit string
+ */
+export function normalizeGtin(value) {
+  const digits = String(value || '').replace(/[\s-]/g, '');
+  return /^\d+$/.test(digits) ? digits : '';
+}
+
+/**
+ * Validate a GTIN-8/12/13/14 check digit (GS1 mod-10)
+ * @param {string} value - GTIN digits
+ * @returns {boolean} True when the length and check digit are valid
+ */
+export function isValidGtin(value) {
+  const digits = normalizeGtin(value);
+  if (!GTIN_LENGTHS.includes(digits.length) || /^0+$/.test(digits)) return false;
+
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((total, digit, index) => (
+    total + Number(digit) * (index % 2 === 0 ? 3 : 1)
+  ), 0);
+  const check = (10 - (sum % 10)) % 10;
+  return check === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Map a validated GTIN onto its schema.org property
+ * UPC-A (12 digits) and zero-padded GTIN-14 are expressed as gtin13
+ * @param {string} value - GTIN digits
+ * @returns {Object} e.g. { gtin13: '0012345678905' }, or {} when invalid
+ */
+export function toSchemaGtin(value) {
+  const digits = normalizeGtin(value);
+  if (!isValidGtin(digits)) return {};
+  if (digits.length === 8) return { gtin8: digits };
+  if (digits.length === 12) return { gtin13: `0${digits}` };
+  if (digits.length === 14 && digits.startsWith('0')) return { gtin13: digits.slice(1) };
+  return { [`gtin${digits.length}`]: digits };
+}
+
+/**
+ * Compare GTINs regardless of zero padding (UPC-A "0123..." equals EAN "00123...")
+ */
+function canonicalGtin(value) {
+  return Object.values(toSchemaGtin(value))[0] || '';
+}
+
+/**
+ * Read identifier candidates from meta tags and itemprop elements
+ */
+function readDomIdentifiers(doc) {
+  const candidates = [];
+
+  Object.entries(META_IDENTIFIERS).forEach(([field, selectors]) => {
+    selectors.forEach((selector) => {
+      const value = doc.querySelector(selector)?.getAttribute('content');
+      if (value) candidates.push({ field, value: value.trim(), source: selector });
+    });
+  });
+
+  Object.entries(ITEMPROP_IDENTIFIERS).forEach(([field, props]) => {
+    props.forEach((prop) => {
+      doc.querySelectorAll(`[itemprop="${prop}"]`).forEach((element) => {
+        // Offer- and variant-level identifiers belong to other items
+        const scope = element.closest('[itemscope]');
+        if (scope && !/Product$/.test(scope.getAttribute('itemtype') || '')) return;
+        const value = (element.getAttribute('content') || element.textContent || '').trim();
+        if (value) candidates.push({ field, value, source: `[itemprop="${prop}"]` });
+      });
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Whether a spec key holds a product identifier (UPC, model number, SKU...)
+ * rather than a product attribute
+ */
+export function isIdentifierSpec(key) {
+  return Object.values(SPEC_IDENTIFIERS).some((pattern) => pattern.test(key));
+}
+
+/**
+ * Read identifier candidates from extracted spec rows ("UPC", "Model #", ...)
+ */
+function readSpecIdentifiers(specs) {
+  const candidates = [];
+  Object.entries(specs || {}).forEach(([key, value]) => {
+    const field = Object.keys(SPEC_IDENTIFIERS).find((name) => SPEC_IDENTIFIERS[name].test(key));
+    if (field && value) candidates.push({ field, value: String(value).trim(), source: `spec:${key}` });
+  });
+  return candidates;
+}
+
+/**
+ * Extract and validate product identifiers
+ * Values from structured data, adapters and embedded state win over meta tags,
+ * itemprops and spec rows; GTINs failing the check digit are dropped with a warning
+ * @param {Document} doc - The HTML document to parse
+ * @param {Object} options - { known: [{ source, gtin, sku, mpn }], specs, variants }
+ * @returns {{gtin: string, sku: string, mpn: string, sources: Object, warnings: Array}}
+ */
+export function extractIdentifiers(doc, { known = [], specs = {}, variants = [] } = {}) {
+  const candidates = [
+    ...known.flatMap((entry) => ['gtin', 'sku', 'mpn']
+      .filter((field) => entry[field])
+      .map((field) => ({ field, value: String(entry[field]).trim(), source: entry.source }))),
+    ...readDomIdentifiers(doc),
+    ...readSpecIdentifiers(specs),
+  ];
+
+  const result = {
+    gtin: '',
+    sku: '',
+    mpn: '',
+    sources: {},
+    warnings: [],
+  };
+  const rejected = new Set();
+
+  candidates.forEach(({ field, value, source }) => {
+    if (field === 'gtin') {
+      const digits = normalizeGtin(value);
+      if (!isValidGtin(digits)) {
+        if (!rejected.has(value)) {
+          rejected.add(value);
+          result.warnings.push({
+            field: 'gtin',
+            message: `GTIN "${value}" from ${source} failed check-digit validation and was ignored`,
+          });
+        }
+        return;
+      }
+      if (!result.gtin) {
+        result.gtin = digits;
+        result.sources.gtin = source;
+      } else if (canonicalGtin(digits) !== canonicalGtin(result.gtin) && !rejected.has(digits)) {
+        rejected.add(digits);
+        result.warnings.push({
+          field: 'gtin',
+          message: `Conflicting GTIN "${digits}" from ${source}; kept "${result.gtin}" from ${result.sources.gtin}`,
+        });
+      }
+      return;
+    }
+
+    if (!result[field] && PART_NUMBER_PATTERN.test(value)) {
+      result[field] = value;
+      result.sources[field] = source;
+    }
+  });
+
+  variants.forEach((variant) => {
+    if (variant.gtin && !isValidGtin(variant.gtin)) {
+      result.warnings.push({
+        field: 'variants',
+        message: `Variant "${variant.name}" GTIN "${variant.gtin}" failed check-digit validation and was ignored`,
+      });
+      // eslint-disable-next-line no-param-reassign
+      variant.gtin = '';
+    }
+  });
+
+  result.warnings.forEach(({ message }) => console.warn(`[Identifiers] ${message}`));
+  return result;
+}
+
+export default extractIdentifiers;
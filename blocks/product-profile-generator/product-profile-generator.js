@@ -3,9 +3,123 @@
  * EDS block for generating LLM-optimized product profiles
  */
 
+import { readBlockConfig } from '../../scripts/aem.js';
 import { ProductProfileGenerator as Generator } from './generator-core.js';
+import { readProviderConfig } from './llm-providers.js';
+import { WEAK_CONFIDENCE, findWeakFields } from './provenance.js';
+import { PROMPT_IDS } from './prompt-templates.js';
+import { FetchRecorder, readRecorderConfig } from './fetch-recorder.js';
+import {
+  NARRATIVE_FORMATS,
+  narrativeFormat,
+  parseFormatIds,
+  countWords,
+} from './narrative-formats.js';
+import { SPEC_SOURCES } from './comparison-matrix.js';
+import {
+  LOCALES,
+  parseLocales,
+  parseExchangeRates,
+  localizeData,
+} from './locales.js';
+import { BRAND_VOICES, brandVoice, loadBrandVoices } from './brand-voice.js';
+import { LINT_RULES } from './copy-linter.js';
+import { FAQ_RANGE, productNode } from './buyer-faq.js';
+
+const FORMATS_KEY = 'narrative_formats';
+const LOCALES_KEY = 'target_locales';
+const VOICE_KEY = 'brand_voice';
+const FAQ_KEY = 'buyer_faq';
+
+/**
+ * Narrative formats to generate: the user's last choice, else the
+ * `Narrative Formats` block config row
+ */
+function loadFormatChoice(config) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FORMATS_KEY));
+    if (Array.isArray(saved)) return parseFormatIds(saved);
+  } catch {
+    // Nothing saved or localStorage unavailable
+  }
+  return parseFormatIds(config['narrative-formats']);
+}
+
+/**
+ * Text safe in element content and in quoted attribute values
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Brand voice id: the user's last choice, else the `Brand Voice` block config row
+ */
+function loadVoiceChoice(config) {
+  try {
+    const saved = localStorage.getItem(VOICE_KEY);
+    if (saved) return saved;
+  } catch {
+    // localStorage unavailable
+  }
+  return String(config['brand-voice'] || '').trim();
+}
+
+/**
+ * <option>s of the brand voice select
+ */
+function voiceOptionsHtml(voices, selectedId) {
+  return voices.map((voice) => `<option value="${escapeHtml(voice.id)}" ${voice.id === selectedId ? 'selected' : ''}>${escapeHtml(voice.label)}</option>`).join('');
+}
+
+/**
+ * Target locales: the user's last choice, else the `Target Locales` block config row
+ */
+function loadLocaleChoice(config) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCALES_KEY));
+    if (Array.isArray(saved)) return parseLocales(saved);
+  } catch {
+    // Nothing saved or localStorage unavailable
+  }
+  return parseLocales(config['target-locales']);
+}
+
+/**
+ * Whether to generate the buyer FAQ: the user's last choice, else the `Buyer FAQ`
+ * block config row ("true" / "yes")
+ */
+function loadFaqChoice(config) {
+  try {
+    const saved = localStorage.getItem(FAQ_KEY);
+    if (saved !== null) return saved === 'true';
+  } catch {
+    // localStorage unavailable
+  }
+  return /^(?:true|yes|on)$/i.test(String(config['buyer-faq'] || '').trim());
+}
 
 export default async function decorate(block) {
+  // Read authoring config (LLM provider etc.) before the UI replaces the block content
+  const config = readBlockConfig(block);
+
+  // Record or replay network calls before anything is fetched (see fetch-recorder.js)
+  const recorder = new FetchRecorder(readRecorderConfig(config, window.location.search));
+  recorder.install();
+
+  const formatChoice = loadFormatChoice(config);
+  const localeChoice = loadLocaleChoice(config);
+  const faqChoice = loadFaqChoice(config);
+  // Built-in voices until the ones from the `Brand Voices` config row have loaded
+  let voices = BRAND_VOICES;
+  let wantedVoice = loadVoiceChoice(config);
+  const voiceChoice = brandVoice(wantedVoice, voices);
+
   // Build the UI
   block.innerHTML = `
     <div class="profile-generator-container">
@@ -29,9 +143,87 @@ export default async function decorate(block) {
             </div>
           </div>
 
+          <div class="control-group">
+            <label for="brandVoice">Brand Voice</label>
+            <select id="brandVoice" class="brand-voice-select">
+              ${voiceOptionsHtml(voices, voiceChoice.id)}
+            </select>
+            <p class="help-text brand-voice-tone">${escapeHtml(voiceChoice.tone)}</p>
+          </div>
+
+          <fieldset class="control-group format-options">
+            <legend>Narrative Formats</legend>
+            <p class="help-text">
+              The conversational profile is always generated. Each extra format is one more AI call.
+            </p>
+            ${NARRATIVE_FORMATS.map((format) => `
+              <label class="format-option">
+                <input type="checkbox" name="narrativeFormat" value="${format.id}" ${formatChoice.includes(format.id) ? 'checked' : ''} />
+                <span>${format.label}</span>
+                <small>${format.description}</small>
+              </label>
+            `).join('')}
+          </fieldset>
+
+          <div class="control-group faq-option">
+            <label class="format-option">
+              <input type="checkbox" id="buyerFaq" ${faqChoice ? 'checked' : ''} />
+              <span>Buyer FAQ</span>
+              <small>${FAQ_RANGE.min}-${FAQ_RANGE.max} buyer questions answered from the page data, added to the JSON-LD as a FAQPage (one AI call)</small>
+            </label>
+          </div>
+
+          <fieldset class="control-group locale-options">
+            <legend>Target Locales</legend>
+            <p class="help-text">
+              Each locale gets a translated narrative (one AI call each) and its own JSON-LD,
+              with units and currency converted.
+            </p>
+            <div class="locale-option-list">
+              ${Object.entries(LOCALES).map(([code, locale]) => `
+                <label class="locale-option">
+                  <input type="checkbox" name="targetLocale" value="${code}" ${localeChoice.includes(code) ? 'checked' : ''} />
+                  <span>${locale.label}</span>
+                  <small>${code}</small>
+                </label>
+              `).join('')}
+            </div>
+          </fieldset>
+
           <div class="action-buttons">
             <button class="btn btn-primary" id="generateBtn">Generate Profile</button>
           </div>
+
+          <div class="recorder-status" role="status" hidden></div>
+
+          <details class="cache-inspector">
+            <summary>🗄️ AI Response Cache</summary>
+            <div class="cache-inspector-body"></div>
+          </details>
+
+          <details class="prompt-editor">
+            <summary>🧩 Prompt Templates (Advanced)</summary>
+            <div class="prompt-editor-body">
+              <div class="prompt-editor-toolbar">
+                <select class="prompt-select" aria-label="Prompt template">
+                  ${PROMPT_IDS.map((id) => `<option value="${id}">${id}</option>`).join('')}
+                </select>
+                <span class="prompt-version"></span>
+              </div>
+              <div class="prompt-variables"></div>
+              <label for="promptSystem">System prompt</label>
+              <textarea id="promptSystem" class="prompt-textarea" rows="4"></textarea>
+              <label for="promptUser">User prompt</label>
+              <textarea id="promptUser" class="prompt-textarea" rows="12"></textarea>
+              <div class="prompt-editor-actions">
+                <button class="btn-copy" data-prompt-preview>Preview for current product</button>
+                <button class="btn-copy" data-prompt-save>Save edit</button>
+                <button class="btn-copy btn-stop" data-prompt-reset hidden>Reset to published</button>
+              </div>
+              <div class="prompt-status" role="status"></div>
+              <pre class="json-output prompt-preview" hidden></pre>
+            </div>
+          </details>
         </div>
       </div>
 
@@ -40,11 +232,29 @@ export default async function decorate(block) {
   `;
 
   // Initialize the generator
-  const generator = new Generator();
+  const generator = new Generator({
+    llm: readProviderConfig(config),
+    promptSource: config['prompt-source'],
+    exchangeRates: parseExchangeRates(config['exchange-rates']),
+    localeUrlPattern: config['locale-url-pattern'],
+    brandVoice: voiceChoice,
+  });
 
   const urlInput = block.querySelector('#productUrl');
   const generateBtn = block.querySelector('#generateBtn');
   const resultsDiv = block.querySelector('#results');
+  const cacheInspector = block.querySelector('.cache-inspector');
+  const promptEditor = block.querySelector('.prompt-editor');
+  const recorderStatus = block.querySelector('.recorder-status');
+  const formatOptions = block.querySelector('.format-options');
+  const localeOptions = block.querySelector('.locale-options');
+  const voiceSelect = block.querySelector('#brandVoice');
+  const faqToggle = block.querySelector('#buyerFaq');
+  let currentProfile = null;
+
+  function checkedLocales() {
+    return [...localeOptions.querySelectorAll('input:checked')].map((input) => input.value);
+  }
 
   // Helper functions defined first
   function validateUrl(input) {
@@ -72,7 +282,7 @@ export default async function decorate(block) {
     }
   }
 
-  async function generateProfile(url) {
+  async function generateProfile(url, options = {}) {
     // Check if it's a local file or external URL
     const isLocalFile = url.includes('localhost') || url.includes('127.0.0.1') || url.startsWith(window.location.origin);
 
@@ -80,7 +290,7 @@ export default async function decorate(block) {
 
     if (isLocalFile) {
       // Local file - fetch directly
-      const response = await fetch(url);
+      const response = await fetch(url, { signal: options.signal });
       html = await response.text();
     } else {
       // External URL - try multiple proxy options (local Python proxy first, then Cloudflare Worker)
@@ -100,8 +310,9 @@ export default async function decorate(block) {
       for (const proxy of proxies) {
         try {
           console.log(`[Generator] Trying ${proxy.name}...`);
-          const response = await fetch(proxy.url, { 
-            signal: AbortSignal.timeout(15000) // 15 second timeout
+          const timeout = AbortSignal.timeout(15000); // 15 second timeout
+          const response = await fetch(proxy.url, {
+            signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout,
           });
 
           if (response.ok) {
@@ -114,6 +325,7 @@ export default async function decorate(block) {
           lastError = new Error(`${proxy.name} failed: ${errorText}`);
           console.warn(`[Generator] ${proxy.name} returned ${response.status}`, errorText);
         } catch (error) {
+          if (error.name === 'AbortError') throw error;
           lastError = error;
           console.warn(`[Generator] ${proxy.name} error:`, error.message);
         }
@@ -150,39 +362,105 @@ export default async function decorate(block) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
 
-    return generator.generateProfile(doc);
+    return generator.generateProfile(doc, { ...options, url });
   }
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  // Footnote markers for competitor values that did not come from a product page
+  const SOURCE_MARKERS = { model: '†', database: '‡' };
+
+  /**
+   * Comparison matrix as a plain HTML table; every cell carries data-source
+   * ("page", "model", "database" or "unknown") and non-page values get a footnote marker
+   */
+  function comparisonTableHtml(matrix) {
+    const sources = new Set(matrix.rows.flatMap((row) => row.cells.map((cell) => cell.source)));
+    const cellHtml = (cell) => {
+      if (cell.source === 'unknown') return `<td data-source="unknown" title="${SPEC_SOURCES.unknown}">—</td>`;
+      const marker = SOURCE_MARKERS[cell.source] ? `<sup>${SOURCE_MARKERS[cell.source]}</sup>` : '';
+      const converted = cell.converted ? ` <small>(≈ ${escapeHtml(cell.converted)})</small>` : '';
+      return `<td data-source="${cell.source}" title="${SPEC_SOURCES[cell.source]}">${escapeHtml(cell.value)}${marker}${converted}</td>`;
+    };
+    const notes = Object.entries(SOURCE_MARKERS)
+      .filter(([source]) => sources.has(source))
+      .map(([source, marker]) => `${marker} ${SPEC_SOURCES[source]}`);
+
+    return `<table class="product-comparison-table">
+    <caption>How the ${escapeHtml(matrix.columns[0].name)} compares</caption>
+    <thead>
+      <tr><th scope="col">Specification</th>${matrix.columns.map((column) => `<th scope="col">${escapeHtml(column.name)}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+${matrix.rows.map((row) => `      <tr><th scope="row">${escapeHtml(row.label)}</th>${row.cells.map(cellHtml).join('')}</tr>`).join('\n')}
+    </tbody>
+  </table>${notes.length > 0 ? `\n  <p class="product-comparison-note">${notes.join(' · ')}. Unknown values are shown as —.</p>` : ''}`;
   }
 
-  function generateEmbedCode(profile) {
-    const narrative = profile.narratives.factual;
-    const competitors = profile.structuredData.competitor_comparison || {};
+  /**
+   * Buyer FAQ as an accessible section: one <details> per question, so the answers
+   * are in the page (as search engines require for a FAQPage) but folded away
+   */
+  function faqSectionHtml(items) {
+    return `<section class="product-faq" aria-labelledby="product-faq-heading">
+  <h2 id="product-faq-heading">Frequently Asked Questions</h2>
+${items.map((item) => `  <details>
+    <summary>${escapeHtml(item.question)}</summary>
+    <p>${escapeHtml(item.answer)}</p>
+  </details>`).join('\n')}
+</section>`;
+  }
+
+  /**
+   * Embed code for the product page, or for one localized page when a locale is given;
+   * localized pages leave out the competitor text, spec table, meta description and
+   * buyer FAQ, which are only in the page's language
+   */
+  function generateEmbedCode(profile, locale = null) {
+    const localization = locale ? profile.localizations[locale] : null;
+    const narrative = localization ? localization.narrative || '' : profile.narratives.factual;
+    const structuredData = localization ? localization.structuredData : profile.structuredData;
+    const competitors = localization
+      ? {} : productNode(profile.structuredData).competitor_comparison || {};
     const competitorHTML = Object.keys(competitors).length > 0
       ? `\n\n  <!-- Competitive Analysis -->\n  <div class="product-competitive-analysis">\n${Object.entries(competitors).map(([comp, text]) => `    <p><strong>vs ${comp}:</strong> ${text}</p>`).join('\n')}\n  </div>`
       : '';
+    const matrixHTML = profile.comparisonMatrix && !localization
+      ? `\n\n  <!-- Spec Comparison (each cell's data-source: page, model, database or unknown) -->\n  ${comparisonTableHtml(profile.comparisonMatrix)}`
+      : '';
+    // The same alternates go on every version of the page (hreflang links must be reciprocal)
+    const hreflangHTML = (profile.metadata.hreflang || [])
+      .map((link) => `<link rel="alternate" hreflang="${link.hreflang}" href="${escapeHtml(link.href)}">\n`)
+      .join('');
 
     const scriptOpen = '<script type="application/ld+json">';
     const scriptClose = '</script>';
     const styleOpen = '<style>';
     const styleClose = '</style>';
+    const metaDescription = localization ? null : profile.narratives.metaDescription;
+    const metaHTML = metaDescription
+      ? `<meta name="description" content="${escapeHtml(metaDescription)}">\n`
+      : '';
+    const faq = localization ? [] : profile.rawData.faq || [];
+    const faqHTML = faq.length > 0
+      ? `\n\n<!-- Step 3: Add this FAQ to the product page; it matches the FAQPage in the JSON-LD -->\n${faqSectionHtml(faq)}`
+      : '';
+    const headParts = [
+      hreflangHTML ? 'these alternate-language links' : '',
+      metaHTML ? 'this meta description' : '',
+      'this JSON-LD script',
+    ].filter(Boolean);
 
     return `<!-- GEO-Optimized Product Content -->
 <!-- Generated by LLM-Optimized Product Profile Generator -->
 
-<!-- Step 1: Add this JSON-LD script to your <head> section -->
-${scriptOpen}
-${JSON.stringify(profile.structuredData, null, 2)}
+<!-- Step 1: Add ${headParts.join(', ').replace(/, ([^,]*)$/, ' and $1')} to your <head> section -->
+${hreflangHTML}${metaHTML}${scriptOpen}
+${JSON.stringify(structuredData, null, 2)}
 ${scriptClose}
 
 <!-- Step 2: Add this conversational narrative to your product description area -->
-<div class="llm-optimized-product-description" data-llm-enhanced="true">
-  ${narrative}${competitorHTML}
-</div>
+<div class="llm-optimized-product-description" data-llm-enhanced="true"${localization ? ` lang="${locale}"` : ''}>
+  ${narrative}${competitorHTML}${matrixHTML}
+</div>${faqHTML}
 
 <!-- Optional: Add this CSS for styling -->
 ${styleOpen}
@@ -201,6 +479,35 @@ ${styleOpen}
 .product-competitive-analysis p {
   margin-bottom: 0.75rem;
 }
+.product-comparison-table {
+  width: 100%;
+  margin-top: 1.5rem;
+  border-collapse: collapse;
+}
+.product-comparison-table th,
+.product-comparison-table td {
+  padding: 0.5rem;
+  border-bottom: 1px solid #e1e1e1;
+  text-align: left;
+}
+.product-comparison-table td[data-source="unknown"] {
+  color: #999;
+}
+.product-comparison-note {
+  font-size: 0.8125rem;
+  color: #666;
+}
+.product-faq details {
+  border-bottom: 1px solid #e1e1e1;
+  padding: 0.75rem 0;
+}
+.product-faq summary {
+  font-weight: 600;
+  cursor: pointer;
+}
+.product-faq details p {
+  margin: 0.5rem 0 0;
+}
 ${styleClose}`;
   }
 
@@ -279,6 +586,24 @@ ${styleClose}`;
     });
   }
 
+  function setupSubtabs(container) {
+    container.querySelectorAll('.subtab').forEach((subtab) => {
+      subtab.addEventListener('click', () => {
+        const parent = subtab.closest('.tab-content');
+
+        parent.querySelectorAll('.subtab').forEach((t) => {
+          t.classList.remove('active');
+          t.setAttribute('aria-selected', 'false');
+        });
+        parent.querySelectorAll('.subtab-content').forEach((c) => c.classList.remove('active'));
+
+        subtab.classList.add('active');
+        subtab.setAttribute('aria-selected', 'true');
+        parent.querySelector(`#${subtab.dataset.subtab}`).classList.add('active');
+      });
+    });
+  }
+
   function setupCopyButtons(container, profile) {
     // Copy narrative button
     const narrativeBtn = container.querySelector('[data-copy-narrative]');
@@ -296,6 +621,42 @@ ${styleClose}`;
       });
     }
 
+    // Copy narrative format buttons
+    container.querySelectorAll('[data-copy-format]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const format = narrativeFormat(button.dataset.copyFormat);
+        navigator.clipboard.writeText(profile.narratives[format.id]).then(() => {
+          // eslint-disable-next-line no-alert
+          alert(`✅ ${format.label} copied to clipboard!`);
+        }).catch((err) => {
+          // eslint-disable-next-line no-console
+          console.error('Failed to copy:', err);
+          // eslint-disable-next-line no-alert
+          alert('Failed to copy. Please try again.');
+        });
+      });
+    });
+
+    // Copy localized narrative and embed code buttons
+    container.querySelectorAll('[data-copy-locale], [data-copy-locale-embed]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const locale = button.dataset.copyLocale || button.dataset.copyLocaleEmbed;
+        const localization = profile.localizations[locale];
+        const text = button.dataset.copyLocale
+          ? localization.narrative
+          : generateEmbedCode(profile, locale);
+        navigator.clipboard.writeText(text).then(() => {
+          // eslint-disable-next-line no-alert
+          alert(`✅ ${localization.label} ${button.dataset.copyLocale ? 'profile' : 'embed code'} copied to clipboard!`);
+        }).catch((err) => {
+          // eslint-disable-next-line no-console
+          console.error('Failed to copy:', err);
+          // eslint-disable-next-line no-alert
+          alert('Failed to copy. Please try again.');
+        });
+      });
+    });
+
     // Copy embed code button
     const embedBtn = container.querySelector('[data-copy-embed]');
     if (embedBtn) {
@@ -314,6 +675,461 @@ ${styleClose}`;
     }
   }
 
+  function formatPrice(value, currency) {
+    if (value === null || value === undefined) return '—';
+    try {
+      return currency
+        ? new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value)
+        : value.toFixed(2);
+    } catch {
+      return `${value} ${currency}`;
+    }
+  }
+
+  function renderVariants(data) {
+    const { variants = [] } = data;
+    if (variants.length === 0) return '';
+
+    const axes = [...new Set(variants.flatMap((variant) => Object.keys(variant.options)))];
+    const inferred = variants.some((variant) => variant.inferred);
+
+    return `
+      <div class="variants-summary">
+        ${variants.length} variants${data.variesBy.length > 0 ? ` varying by ${data.variesBy.map((axis) => escapeHtml(axis.replace(/_/g, ' '))).join(', ')}` : ''}
+        ${inferred ? '<span class="variants-note">Combinations inferred from option selectors — no per-variant SKU or price on the page</span>' : ''}
+      </div>
+      <table class="variants-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${axes.map((axis) => `<th>${escapeHtml(axis.replace(/_/g, ' '))}</th>`).join('')}
+            <th>SKU</th>
+            <th>Price</th>
+            <th>Availability</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${variants.map((variant) => `
+            <tr>
+              <td>${variant.image ? `<img src="${escapeHtml(variant.image)}" alt="" loading="lazy">` : ''}</td>
+              ${axes.map((axis) => `<td>${escapeHtml(variant.options[axis] || '—')}</td>`).join('')}
+              <td>${escapeHtml(variant.sku || '—')}</td>
+              <td>${formatPrice(variant.price, variant.currency || data.price?.currency)}</td>
+              <td>${escapeHtml((variant.availability || '—').replace(/([a-z])([A-Z])/g, '$1 $2'))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function renderProvenance(data) {
+    const provenance = data.provenance || {};
+    const fields = Object.keys(provenance).sort();
+    if (fields.length === 0) return '';
+
+    const weak = findWeakFields(provenance);
+    const threshold = `${Math.round(WEAK_CONFIDENCE * 100)}%`;
+    const summary = weak.length > 0
+      ? `⚠️ ${weak.length} of ${fields.length} fields below ${threshold} confidence — review before publishing`
+      : `✅ All ${fields.length} fields at or above ${threshold} confidence`;
+
+    const valueOf = (field) => {
+      const value = field.startsWith('specs.') ? data.specs?.[field.slice(6)] : data[field];
+      if (value === undefined || value === null || value === '') return '—';
+      if (typeof value !== 'object') return String(value);
+      return value.value !== undefined ? `${value.currency || ''} ${value.value}`.trim() : JSON.stringify(value);
+    };
+
+    const rows = fields.map((field) => {
+      const record = provenance[field];
+      const value = valueOf(field);
+      const percent = Math.round(record.confidence * 100);
+      return `
+        <tr class="${weak.includes(field) ? 'provenance-weak' : ''}">
+          <td><code>${escapeHtml(field)}</code></td>
+          <td title="${escapeHtml(value)}">${escapeHtml(value.length > 60 ? `${value.slice(0, 59)}…` : value)}</td>
+          <td>${escapeHtml(record.strategy)}</td>
+          <td>
+            <code>${escapeHtml(record.selector || record.path || '—')}</code>
+            ${record.snippet ? `<div class="provenance-snippet">${escapeHtml(record.snippet)}</div>` : ''}
+          </td>
+          <td>
+            <span class="confidence-bar"><span class="confidence-bar-fill" style="width: ${percent}%"></span></span>
+            ${percent}%
+          </td>
+        </tr>
+      `;
+    });
+
+    return `
+      <div class="provenance-summary">${summary}</div>
+      <table class="provenance-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Value</th>
+            <th>Strategy</th>
+            <th>Selector / Path</th>
+            <th>Confidence</th>
+          </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+  }
+
+  function renderWarnings(warnings = []) {
+    if (warnings.length === 0) return '';
+    return `
+      <div class="extraction-warnings" role="status">
+        <strong>⚠️ ${warnings.length} extraction warning${warnings.length === 1 ? '' : 's'}</strong>
+        <ul>
+          ${warnings.map(({ field, message }) => `<li><code>${escapeHtml(field)}</code> ${escapeHtml(message)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  const FALLBACK_LABELS = {
+    template: 'template narrative shown instead',
+    'static-database': 'built-in competitor list used instead',
+    omitted: 'left out of this profile',
+    'unknown-specs': 'competitor specs shown as unknown',
+    untranslated: 'locale has converted structured data but no translated narrative',
+  };
+
+  function renderAiFallbacks(metadata) {
+    const fallbacks = metadata.aiFallbacks || [];
+    if (fallbacks.length === 0) return '';
+    return `
+      <div class="extraction-warnings ai-fallbacks" role="status">
+        <strong>⚠️ AI unavailable for ${fallbacks.map((item) => escapeHtml(item.feature)).join(' and ')}</strong>
+        <ul>
+          ${fallbacks.map((item) => {
+    let reason = item.status ? `HTTP ${item.status}` : escapeHtml(item.error);
+    if (item.timedOut) reason = 'timed out';
+    return `<li><code>${escapeHtml(item.feature)}</code> failed after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'} (${reason}); ${FALLBACK_LABELS[item.fallback] || escapeHtml(item.fallback)}</li>`;
+  }).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  function formatCost(cost) {
+    return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  }
+
+  function renderUsage(usage) {
+    if (!usage || usage.calls.length === 0) return '';
+    const { session, budget } = usage;
+    const parts = [
+      `${usage.totalTokens.toLocaleString()} tokens · ${formatCost(usage.cost)} this profile`,
+      usage.cacheHits > 0 ? `${formatCost(usage.savedCost)} saved by ${usage.cacheHits} cache hit${usage.cacheHits === 1 ? '' : 's'}` : '',
+      `${formatCost(session.cost)} this session${budget ? ` of ${formatCost(budget.limit)} budget` : ''}`,
+      usage.unpricedModels.length > 0 ? `no pricing for ${usage.unpricedModels.map(escapeHtml).join(', ')}` : '',
+    ].filter(Boolean);
+    const estimated = usage.calls.some((call) => call.estimated);
+
+    return `
+      <div class="usage-summary">
+        🧮 ${parts.join(' · ')}${estimated ? ' (partly estimated)' : ''}
+        ${budget?.reached ? '<strong>Budget reached — further AI calls are blocked this session</strong>' : ''}
+      </div>
+    `;
+  }
+
+  // Private-use characters mark flagged claims and lint issues through markdownToHtml()
+  const CLAIM_START = '\uE000';
+  const CLAIM_SPLIT = '\uE001';
+  const CLAIM_END = '\uE002';
+
+  /**
+   * Narrative HTML with claims the fact check could not ground, and copy-linter issues,
+   * wrapped in <mark>; where they overlap the claim wins
+   */
+  function narrativeHtml(narrative, factCheck, lint = null) {
+    const candidates = [
+      ...(factCheck?.claims || []).filter((claim) => !claim.supported).map((claim) => ({
+        start: claim.start,
+        end: claim.end,
+        className: 'unsupported-claim',
+        title: `Not found in the extracted data: ${claim.kind === 'term' ? `"${claim.term}"` : 'this value'}`,
+      })),
+      ...(lint?.issues || []).filter((issue) => issue.start !== null).map((issue) => ({
+        start: issue.start,
+        end: issue.end,
+        className: `lint-issue lint-${issue.severity}`,
+        title: issue.message,
+      })),
+    ];
+    const marks = [];
+    candidates.forEach((mark) => {
+      const overlaps = marks.some((other) => mark.start < other.end && other.start < mark.end);
+      if (!overlaps) marks.push(mark);
+    });
+    if (marks.length === 0) return markdownToHtml(narrative);
+    marks.sort((a, b) => a.start - b.start);
+
+    let marked = '';
+    let position = 0;
+    marks.forEach((mark, index) => {
+      marked += `${narrative.slice(position, mark.start)}${CLAIM_START}${index}${CLAIM_SPLIT}${narrative.slice(mark.start, mark.end)}${CLAIM_END}`;
+      position = mark.end;
+    });
+    marked += narrative.slice(position);
+
+    return markdownToHtml(marked)
+      .replace(new RegExp(`${CLAIM_START}(\\d+)${CLAIM_SPLIT}`, 'g'), (match, index) => {
+        const mark = marks[index];
+        return `<mark class="${mark.className}" title="${escapeHtml(mark.title)}">`;
+      })
+      .replaceAll(CLAIM_END, '</mark>');
+  }
+
+  function renderFactCheck(profile) {
+    const { factCheck } = profile.metadata;
+    if (!factCheck || factCheck.checked === 0) return '';
+    const revised = factCheck.revisions ? ` · revised ${factCheck.revisions}×` : '';
+
+    if (factCheck.unsupported === 0) {
+      return `<div class="fact-check" role="status">✓ All ${factCheck.checked} checked claims were found in the extracted data${revised}</div>`;
+    }
+    const canRevise = profile.metadata.aiPowered && generator.openaiService;
+    return `
+      <div class="fact-check has-issues" role="status">
+        <strong>⚠️ ${factCheck.unsupported} of ${factCheck.checked} claims not found in the extracted data</strong>${revised}
+        <span>Highlighted below; check them against the product page before publishing.</span>
+        ${canRevise ? '<button class="btn-copy" data-revise-narrative>↻ Regenerate without flagged claims</button>' : ''}
+      </div>
+    `;
+  }
+
+  const VOICE_RULES = {
+    'avoid-word': 'Avoided word',
+    'second-person': '"You" language',
+    exclamation: 'Exclamation mark',
+    trademark: 'Trademark',
+    'reading-level': 'Reading level',
+  };
+
+  /**
+   * Brand voice check for a narrative or format: a pass line, or the rules it breaks
+   */
+  function renderBrandVoice(check) {
+    if (!check) return '';
+    const grade = check.gradeLevel !== null ? ` · reading grade ${check.gradeLevel}` : '';
+    if (check.violations.length === 0) {
+      return `<div class="voice-check" role="status">✓ Matches the ${escapeHtml(check.label)} voice${grade}</div>`;
+    }
+    const count = check.violations.length;
+    return `
+      <div class="voice-check has-issues" role="status">
+        <strong>⚠️ ${count} ${escapeHtml(check.label)} voice issue${count === 1 ? '' : 's'}</strong>${grade}
+        <ul>
+          ${check.violations.map((violation) => `<li><strong>${VOICE_RULES[violation.rule] || escapeHtml(violation.rule)}:</strong> ${escapeHtml(violation.message)}${violation.sentence ? ` <q>${escapeHtml(violation.sentence)}</q>` : ''}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  const REVISION_KINDS = {
+    generated: 'Generated',
+    'fact-check': 'Without flagged claims',
+    refinement: 'Refined',
+    'lint-fix': 'Lint fix',
+  };
+
+  /**
+   * Copy-linter issues under the narrative, each with a one-click AI fix
+   */
+  function renderLint(profile) {
+    const { lint } = profile.metadata;
+    if (!lint) return '';
+    if (lint.issues.length === 0) {
+      return '<div class="copy-lint" role="status">✓ No copy-linter issues</div>';
+    }
+    const canFix = profile.metadata.aiPowered && generator.openaiService;
+    const summary = [
+      lint.errors ? `${lint.errors} error${lint.errors === 1 ? '' : 's'}` : '',
+      lint.warnings ? `${lint.warnings} warning${lint.warnings === 1 ? '' : 's'}` : '',
+    ].filter(Boolean).join(', ');
+    return `
+      <div class="copy-lint has-issues" role="status">
+        <strong>🧹 Copy linter: ${summary}</strong>
+        <ul>
+          ${lint.issues.map((issue, index) => `
+            <li class="lint-${issue.severity}">
+              <span><strong>${LINT_RULES[issue.rule] || escapeHtml(issue.rule)}:</strong> ${escapeHtml(issue.message)}</span>
+              ${canFix ? `<button class="btn-copy" data-lint-fix="${index}">✨ Fix with AI</button>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Revision stepper and the box for refinement instructions, under the narrative
+   */
+  function renderRefinement(profile) {
+    const revisions = profile.metadata.narrativeRevisions;
+    if (!revisions || !profile.metadata.aiPowered || !generator.openaiService) return '';
+    const { current, items } = revisions;
+    const revision = items[current];
+    const label = revision.instruction
+      ? `${REVISION_KINDS[revision.kind]}: “${escapeHtml(revision.instruction)}”`
+      : REVISION_KINDS[revision.kind];
+
+    return `
+      ${items.length > 1 ? `
+        <div class="narrative-revisions" role="group" aria-label="Narrative revisions">
+          <button class="btn-copy" data-revision-step="-1" aria-label="Previous revision" ${current === 0 ? 'disabled' : ''}>‹</button>
+          <span>Revision ${current + 1} of ${items.length} · ${label}</span>
+          <button class="btn-copy" data-revision-step="1" aria-label="Next revision" ${current === items.length - 1 ? 'disabled' : ''}>›</button>
+        </div>
+      ` : ''}
+      <form class="refine-form">
+        <label for="refineInstruction">Refine this narrative</label>
+        <div class="refine-row">
+          <input type="text" id="refineInstruction" class="url-input" maxlength="500" placeholder="e.g. shorter, mention the warranty, less salesy" />
+          <button type="submit" class="btn-copy">Refine</button>
+        </div>
+        <p class="help-text">Each refinement becomes a new revision; step back to any earlier one. The revision shown is the one copied and embedded.</p>
+      </form>
+    `;
+  }
+
+  function renderNarrativeProgress(text) {
+    const output = resultsDiv.querySelector('.narrative-output');
+    const wordCount = resultsDiv.querySelector('.word-count');
+    if (output) output.innerHTML = markdownToHtml(text);
+    if (wordCount) wordCount.textContent = `${countWords(text)} words`;
+  }
+
+  /**
+   * Length line for a narrative format: counts against its limits and any notes
+   */
+  function formatLength(details) {
+    const { rules } = details;
+    const parts = [
+      `${details.words}${rules.maxWords ? `/${rules.maxWords}` : ''} words`,
+      `${details.characters}${rules.maxChars ? `/${rules.maxChars}` : ''} characters`,
+      details.truncated ? 'shortened to fit' : '',
+      details.withinLimits ? '' : `under the ${rules.minWords}-word minimum`,
+      details.source === 'template' ? 'built from the extracted data' : '',
+      details.factCheck?.unsupported > 0 ? `⚠️ ${details.factCheck.unsupported} claim${details.factCheck.unsupported === 1 ? '' : 's'} not found in the extracted data` : '',
+    ];
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  function renderFormatPanels(profile) {
+    return Object.entries(profile.metadata.formats || {}).map(([id, details]) => `
+      <div class="subtab-content" id="narrative-${id}" role="tabpanel">
+        <p class="help-text">${narrativeFormat(id).description}</p>
+        <div class="narrative-output">${narrativeHtml(profile.narratives[id], details.factCheck)}</div>
+        <div class="word-count${details.withinLimits ? '' : ' outside-limits'}">${formatLength(details)}</div>
+        ${renderBrandVoice(details.brandVoice)}
+        <button class="btn-copy" data-copy-format="${id}">📋 Copy ${details.label}</button>
+      </div>
+    `).join('');
+  }
+
+  function renderFormatTabs(profile) {
+    const formats = Object.entries(profile.metadata.formats || {});
+    if (formats.length === 0) return '';
+    return `
+      <div class="subtabs" role="tablist" aria-label="Narrative formats">
+        <button class="subtab active" data-subtab="narrative-factual" role="tab" aria-selected="true">Conversational</button>
+        ${formats.map(([id, details]) => `<button class="subtab" data-subtab="narrative-${id}" role="tab" aria-selected="false">${details.label}</button>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * FAQ tab: the questions as they appear on the page, and the answers left out
+   * because the data doesn't back them; why the FAQ was omitted when it fell short
+   */
+  function renderFaq(profile) {
+    const { faq } = profile.metadata;
+    if (!faq) return '';
+    const items = profile.rawData.faq || [];
+    const source = faq.source === 'ai' ? 'AI-written, answers checked against the page data' : 'Built from the page data (AI unavailable)';
+    const added = faq.added > 0 ? ` (${faq.added} added from the page data)` : '';
+    const empty = faq.omitted
+      ? `No FAQ published: ${escapeHtml(faq.omitted)}.`
+      : 'No questions could be answered from the page data.';
+
+    return `
+      <p class="help-text">${source} · ${items.length} questions${added} in the FAQPage JSON-LD and the embed code</p>
+      ${items.length > 0 ? `<div class="faq-preview">${faqSectionHtml(items)}</div>` : `<p class="locale-stale" role="status">${empty}</p>`}
+      ${faq.dropped.length > 0 ? `
+        <details class="faq-dropped">
+          <summary>Left out: answers with claims not in the page data (${faq.dropped.length})</summary>
+          <ul>
+            ${faq.dropped.map((item) => `<li><strong>${escapeHtml(item.question)}</strong> ${escapeHtml(item.answer)} <small>(${escapeHtml(item.claims.join('; '))})</small></li>`).join('')}
+          </ul>
+        </details>
+      ` : ''}
+    `;
+  }
+
+  function localizationNotes(localization) {
+    const { price } = localization;
+    const { currency } = LOCALES[localization.locale];
+    const notes = [`${localization.units === 'metric' ? 'Metric' : 'Imperial'} units`];
+    if (price?.converted) notes.push(`price converted to ${currency}: ${escapeHtml(price.text)}`);
+    if (price && !price.converted && price.currency !== currency) {
+      notes.push(`price kept in ${price.currency || 'the page\'s currency'} (no ${currency} exchange rate configured)`);
+    }
+    return notes.join(' · ');
+  }
+
+  /**
+   * Locales tab: one sub-tab per localized locale with its narrative, the values that
+   * were converted, its JSON-LD and its own embed code
+   */
+  function renderLocalizations(profile) {
+    const localizations = Object.values(profile.localizations || {});
+    if (localizations.length === 0) return '';
+    const current = profile.metadata.narrativeRevisions?.current ?? 0;
+
+    return `
+      <div class="subtabs" role="tablist" aria-label="Locales">
+        ${localizations.map((localization, index) => `<button class="subtab${index === 0 ? ' active' : ''}" data-subtab="locale-${localization.locale}" role="tab" aria-selected="${index === 0}">${localization.label}</button>`).join('')}
+      </div>
+      ${localizations.map((localization, index) => {
+    const { locale } = localization;
+    const stale = localization.narrative && localization.sourceRevision !== current;
+    const conversions = Object.entries(localization.conversions);
+    return `
+        <div class="subtab-content${index === 0 ? ' active' : ''}" id="locale-${locale}" role="tabpanel">
+          <p class="help-text">${localization.language} (${locale}) · ${localizationNotes(localization)}</p>
+          ${stale ? '<p class="locale-stale" role="status">Translated from an earlier revision of the narrative.</p>' : ''}
+          ${localization.narrative
+    ? `<div class="narrative-output" lang="${locale}">${markdownToHtml(localization.narrative)}</div>
+          <div class="word-count">${countWords(localization.narrative)} words</div>`
+    : '<p class="locale-stale" role="status">No translated narrative: the AI translation was unavailable. The JSON-LD below still has converted units and price.</p>'}
+          <div class="locale-actions">
+            ${localization.narrative ? `<button class="btn-copy" data-copy-locale="${locale}">📋 Copy ${localization.label} Profile</button>` : ''}
+            <button class="btn-copy" data-copy-locale-embed="${locale}">📋 Copy ${localization.label} Embed Code</button>
+            ${stale || !localization.narrative ? `<button class="btn-copy" data-localize="${locale}">↻ Translate current revision</button>` : ''}
+          </div>
+          ${conversions.length > 0 ? `
+            <details class="locale-conversions">
+              <summary>Converted values (${conversions.length})</summary>
+              <ul>
+                ${conversions.map(([original, converted]) => `<li>${escapeHtml(original)} → ${escapeHtml(converted)}</li>`).join('')}
+              </ul>
+            </details>
+          ` : ''}
+          <pre class="json-output">${escapeHtml(JSON.stringify(localization.structuredData, null, 2))}</pre>
+        </div>
+      `;
+  }).join('')}
+    `;
+  }
+
   function displayError(error) {
     const errorMessage = error.message || 'Unknown error occurred';
     const lines = errorMessage.split('\n').filter((line) => line.trim());
@@ -336,41 +1152,66 @@ ${styleClose}`;
     `;
   }
 
-  function displayProfile(profile) {
-    const productName = profile.structuredData.name;
+  function displayProfile(profile, { streaming = false } = {}) {
+    const product = productNode(profile.structuredData);
+    const productName = product.name;
     const embedCodeHtml = escapeHtml(generateEmbedCode(profile));
-    window.currentNarrative = profile.narratives.factual;
+    const narrative = profile.narratives.factual;
+    // Keep the user's tab when the streamed view is replaced by the final one
+    const activeTab = resultsDiv.querySelector('.tab.active')?.dataset.tab;
+    const activeSubtabs = [...resultsDiv.querySelectorAll('.subtab.active')]
+      .map((subtab) => subtab.dataset.subtab);
+    window.currentNarrative = narrative;
+    currentProfile = profile;
 
     const html = `
       <div class="result-section">
-        <h2>${productName}${profile.metadata.aiPowered ? '<span class="ai-powered-badge">🤖 AI Powered</span>' : ''}</h2>
+        <h2>${escapeHtml(productName)}${profile.metadata.aiPowered ? '<span class="ai-powered-badge">🤖 AI Powered</span>' : ''}</h2>
         
+        ${renderUsage(profile.metadata.usage)}
+        ${renderAiFallbacks(profile.metadata)}
+        ${renderWarnings(profile.rawData.warnings)}
+
         <div class="tabs">
           <button class="tab active" data-tab="narrative">Product Profile</button>
           <button class="tab" data-tab="embed">📋 Embed Code</button>
           <button class="tab" data-tab="structured">Structured Data</button>
+          ${profile.comparisonMatrix ? '<button class="tab" data-tab="comparison">Comparison</button>' : ''}
+          ${profile.metadata.faq ? `<button class="tab" data-tab="faq">FAQ (${profile.metadata.faq.count})</button>` : ''}
+          ${profile.localizations ? `<button class="tab" data-tab="locales">Locales (${Object.keys(profile.localizations).length})</button>` : ''}
+          ${profile.rawData.variants?.length > 0 ? `<button class="tab" data-tab="variants">Variants (${profile.rawData.variants.length})</button>` : ''}
           <button class="tab" data-tab="raw">Raw Extracted Data</button>
         </div>
 
         <div class="tab-content active" id="narrative">
-          ${profile.structuredData.competitor_comparison && Object.keys(profile.structuredData.competitor_comparison).length > 0 ? `
+          ${product.competitor_comparison && Object.keys(product.competitor_comparison).length > 0 ? `
             <div class="competitive-edge-box">
               <h4>
                 <span>${profile.metadata.aiPowered ? '🤖' : '🔍'}</span> 
                 Competitive Edge ${profile.metadata.aiPowered ? '(AI-Detected)' : ''}
               </h4>
-              ${Object.entries(profile.structuredData.competitor_comparison).map(([comp, text]) => `
+              ${Object.entries(product.competitor_comparison).map(([comp, text]) => `
                 <div class="competitor-item">
-                  <strong>vs ${comp}</strong>
-                  <span>${text}</span>
+                  <strong>vs ${escapeHtml(comp)}</strong>
+                  <span>${escapeHtml(text)}</span>
                 </div>
               `).join('')}
             </div>
           ` : ''}
           
-          <div class="narrative-output">${markdownToHtml(profile.narratives.factual)}</div>
-          <div class="word-count">${profile.narratives.factual.split(/\s+/).length} words</div>
-          <button class="btn-copy" data-copy-narrative>📋 Copy Profile</button>
+          ${streaming ? '' : renderFormatTabs(profile)}
+          <div class="subtab-content active" id="narrative-factual" role="tabpanel">
+            ${streaming ? '' : renderFactCheck(profile)}
+            ${streaming ? '' : renderBrandVoice(profile.metadata.brandVoice)}
+            ${streaming ? '' : renderLint(profile)}
+            <div class="narrative-output${streaming ? ' streaming' : ''}" aria-live="polite" aria-busy="${streaming}">${streaming ? markdownToHtml(narrative) : narrativeHtml(narrative, profile.metadata.factCheck, profile.metadata.lint)}</div>
+            <div class="word-count">${countWords(narrative)} words${profile.metadata.narrativeStopped ? ' · stopped early' : ''}</div>
+            ${streaming
+    ? '<button class="btn-copy btn-stop" data-stop-narrative>■ Stop generating</button>'
+    : '<button class="btn-copy" data-copy-narrative>📋 Copy Profile</button>'}
+            ${streaming ? '' : renderRefinement(profile)}
+          </div>
+          ${streaming ? '' : renderFormatPanels(profile)}
         </div>
 
         <div class="tab-content" id="embed">
@@ -380,7 +1221,11 @@ ${styleClose}`;
             <ul>
               <li>✅ Schema.org JSON-LD in the &lt;head&gt; (for structured data)</li>
               <li>✅ AI-generated conversational narrative (LLM-readable)</li>
+              ${profile.narratives.metaDescription ? '<li>✅ Meta description for search results</li>' : ''}
               <li>✅ Competitor comparisons (unique GEO advantage)</li>
+              ${profile.comparisonMatrix ? '<li>✅ Side-by-side spec table, each value marked page-extracted or AI-sourced</li>' : ''}
+              ${profile.rawData.faq?.length > 0 ? '<li>✅ Buyer FAQ in accessible &lt;details&gt; elements, with a matching FAQPage in the JSON-LD</li>' : ''}
+              ${profile.metadata.hreflang?.length > 0 ? `<li>✅ hreflang links to the ${Object.keys(profile.localizations).length} localized versions (each has its own embed code in the Locales tab)</li>` : ''}
               <li>✅ Optimized for ChatGPT, Perplexity, Google AI, and other LLMs</li>
             </ul>
           </div>
@@ -392,7 +1237,24 @@ ${styleClose}`;
           <pre class="json-output">${JSON.stringify(profile.structuredData, null, 2)}</pre>
         </div>
 
+        <div class="tab-content" id="comparison">
+          ${profile.comparisonMatrix ? `<div class="comparison-matrix">${comparisonTableHtml(profile.comparisonMatrix)}</div>` : ''}
+        </div>
+
+        <div class="tab-content" id="faq">
+          ${renderFaq(profile)}
+        </div>
+
+        <div class="tab-content" id="locales">
+          ${renderLocalizations(profile)}
+        </div>
+
+        <div class="tab-content" id="variants">
+          ${renderVariants(profile.rawData)}
+        </div>
+
         <div class="tab-content" id="raw">
+          ${renderProvenance(profile.rawData)}
           <pre class="json-output">${JSON.stringify(profile.rawData, null, 2)}</pre>
         </div>
       </div>
@@ -400,10 +1262,390 @@ ${styleClose}`;
 
     resultsDiv.innerHTML = html;
     setupTabs(resultsDiv);
+    setupSubtabs(resultsDiv);
     setupCopyButtons(resultsDiv, profile);
+
+    if (activeTab && activeTab !== 'narrative') {
+      resultsDiv.querySelector(`.tab[data-tab="${activeTab}"]`)?.click();
+    }
+    activeSubtabs.forEach((id) => resultsDiv.querySelector(`.subtab[data-subtab="${id}"]`)?.click());
+  }
+
+  function formatAge(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    return `${Math.round(seconds / 3600)}h`;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  async function refreshCacheInspector() {
+    const cache = generator.openaiService?.cache;
+    const body = cacheInspector.querySelector('.cache-inspector-body');
+    if (!cache) {
+      cacheInspector.hidden = true;
+      return;
+    }
+    if (!cacheInspector.open) return;
+
+    const entries = await cache.list();
+    const bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const products = new Map();
+    entries.forEach((entry) => {
+      if (!products.has(entry.productId)) products.set(entry.productId, []);
+      products.get(entry.productId).push(entry);
+    });
+
+    body.innerHTML = `
+      <div class="cache-summary">
+        ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} · ${formatBytes(bytes)} of ${formatBytes(cache.options.maxBytes)}
+        ${entries.length > 0 ? '<button class="btn-copy btn-stop" data-cache-clear>Clear all</button>' : ''}
+      </div>
+      ${[...products.entries()].map(([productId, items]) => `
+        <div class="cache-product">
+          <div class="cache-product-header">
+            <strong>${escapeHtml(items[0].product || productId || 'Unknown product')}</strong>
+            <button class="btn-copy" data-cache-delete-product="${escapeHtml(productId)}">Invalidate product</button>
+          </div>
+          <table class="cache-table">
+            <thead>
+              <tr><th>Call</th><th>Model</th><th>Age</th><th>Size</th><th>Hits</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${items.map((entry) => `
+                <tr>
+                  <td>${escapeHtml(entry.kind)} <span class="cache-version">v${escapeHtml(entry.promptVersion)}</span></td>
+                  <td title="${escapeHtml(entry.key)}">${escapeHtml(`${entry.provider} · ${entry.model}`)}</td>
+                  <td>${formatAge(entry.age)}</td>
+                  <td>${formatBytes(entry.size)}</td>
+                  <td>${entry.hits}</td>
+                  <td><button class="btn-copy" data-cache-delete="${escapeHtml(entry.key)}">Invalidate</button></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  function renderRecorderStatus() {
+    const {
+      mode, fixture, recorded, misses, error,
+    } = recorder.summary();
+    recorderStatus.hidden = mode === 'live';
+    if (mode === 'record') {
+      recorderStatus.innerHTML = `
+        <span>⏺ Recording network calls · ${recorded} captured</span>
+        ${recorded > 0 ? `
+          <button class="btn-copy" data-recorder-save>💾 Save as ${escapeHtml(fixture)}.json</button>
+          <button class="btn-copy btn-stop" data-recorder-clear>Clear</button>
+        ` : ''}
+      `;
+    } else if (mode === 'replay' && error) {
+      recorderStatus.innerHTML = `<strong>⚠️ ${escapeHtml(error)}</strong>`;
+    } else if (mode === 'replay') {
+      recorderStatus.innerHTML = `
+        <span>▶ Replaying recording "${escapeHtml(fixture)}" · no network calls</span>
+        ${misses.length > 0 ? `<strong>${misses.length} request${misses.length === 1 ? '' : 's'} not in the recording</strong>` : ''}
+      `;
+    }
+  }
+
+  function saveRecording() {
+    const blob = new Blob([JSON.stringify(recorder.toFixture(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${recorder.fixture}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  function setPromptStatus(message, isError = false) {
+    const status = promptEditor.querySelector('.prompt-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  async function loadPromptEditor() {
+    const prompts = generator.openaiService?.prompts;
+    if (!prompts) {
+      promptEditor.hidden = true;
+      return;
+    }
+    if (!promptEditor.open) return;
+
+    const id = promptEditor.querySelector('.prompt-select').value;
+    try {
+      const template = await prompts.get(id);
+      promptEditor.querySelector('.prompt-version').textContent = `v${template.version} · ${template.source}`;
+      promptEditor.querySelector('#promptSystem').value = template.system;
+      promptEditor.querySelector('#promptUser').value = template.user;
+      promptEditor.querySelector('[data-prompt-reset]').hidden = template.source !== 'edited';
+      promptEditor.querySelector('.prompt-variables').innerHTML = `
+        <table class="cache-table">
+          <thead><tr><th>Variable</th><th>Type</th><th>Description</th></tr></thead>
+          <tbody>
+            ${Object.entries(template.variables).map(([name, spec]) => `
+              <tr>
+                <td><code>{{${escapeHtml(name)}}}</code>${spec.required ? ' *' : ''}</td>
+                <td>${escapeHtml(spec.type)}</td>
+                <td>${escapeHtml(spec.description || '')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+      promptEditor.querySelector('.prompt-preview').hidden = true;
+      setPromptStatus(template.description);
+    } catch (error) {
+      setPromptStatus(error.message, true);
+    }
+  }
+
+  async function previewPrompt() {
+    const preview = promptEditor.querySelector('.prompt-preview');
+    const data = generator.extractedData;
+    if (!data) {
+      preview.hidden = true;
+      setPromptStatus('Generate a profile first to preview prompts with its product data.', true);
+      return;
+    }
+
+    try {
+      const messages = await generator.openaiService.previewPrompt(
+        promptEditor.querySelector('.prompt-select').value,
+        data,
+        {
+          system: promptEditor.querySelector('#promptSystem').value,
+          user: promptEditor.querySelector('#promptUser').value,
+        },
+        {
+          claims: (currentProfile?.metadata.factCheck?.claims || [])
+            .filter((claim) => !claim.supported),
+          instruction: resultsDiv.querySelector('#refineInstruction')?.value.trim(),
+          // First chosen locale, as it would be localized now
+          localization: checkedLocales().length > 0
+            ? localizeData(data, checkedLocales()[0], generator.exchangeRates)
+            : undefined,
+          narrative: currentProfile?.narratives.factual,
+        },
+      );
+      preview.textContent = messages
+        .map((message) => `── ${message.role.toUpperCase()} ──\n${message.content}`)
+        .join('\n\n');
+      preview.hidden = false;
+      setPromptStatus(`Rendered for ${data.name || 'the current product'}`);
+    } catch (error) {
+      preview.hidden = true;
+      setPromptStatus(error.message, true);
+    }
   }
 
   // Event listeners
+  cacheInspector.addEventListener('toggle', refreshCacheInspector);
+
+  recorderStatus.addEventListener('click', (e) => {
+    if (e.target.closest('[data-recorder-save]')) {
+      saveRecording();
+    } else if (e.target.closest('[data-recorder-clear]')) {
+      recorder.clear();
+      renderRecorderStatus();
+    }
+  });
+  renderRecorderStatus();
+
+  promptEditor.addEventListener('toggle', loadPromptEditor);
+  promptEditor.querySelector('.prompt-select').addEventListener('change', loadPromptEditor);
+
+  promptEditor.addEventListener('click', async (e) => {
+    const prompts = generator.openaiService?.prompts;
+    const button = e.target.closest('button');
+    if (!prompts || !button) return;
+    const id = promptEditor.querySelector('.prompt-select').value;
+
+    if (button.hasAttribute('data-prompt-preview')) {
+      previewPrompt();
+    } else if (button.hasAttribute('data-prompt-save')) {
+      try {
+        const template = await prompts.saveOverride(id, {
+          system: promptEditor.querySelector('#promptSystem').value,
+          user: promptEditor.querySelector('#promptUser').value,
+        });
+        await loadPromptEditor();
+        setPromptStatus(`Saved as v${template.version}; the next generation uses it.`);
+      } catch (error) {
+        setPromptStatus(error.message, true);
+      }
+    } else if (button.hasAttribute('data-prompt-reset')) {
+      prompts.clearOverride(id);
+      await loadPromptEditor();
+    }
+  });
+
+  cacheInspector.addEventListener('click', async (e) => {
+    const cache = generator.openaiService?.cache;
+    const button = e.target.closest('button');
+    if (!cache || !button) return;
+
+    if (button.dataset.cacheDelete) {
+      await cache.delete(button.dataset.cacheDelete);
+    } else if (button.dataset.cacheDeleteProduct !== undefined) {
+      await cache.deleteProduct(button.dataset.cacheDeleteProduct);
+    } else if (button.hasAttribute('data-cache-clear')) {
+      await cache.clear();
+    } else {
+      return;
+    }
+    refreshCacheInspector();
+  });
+
+  resultsDiv.addEventListener('click', (e) => {
+    const step = e.target.closest('[data-revision-step]');
+    if (!step || !currentProfile) return;
+    const index = currentProfile.metadata.narrativeRevisions.current
+      + Number(step.dataset.revisionStep);
+    displayProfile(generator.selectRevision(currentProfile, index));
+  });
+
+  resultsDiv.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-lint-fix]');
+    if (!button || !currentProfile) return;
+
+    const fixButtons = resultsDiv.querySelectorAll('[data-lint-fix]');
+    fixButtons.forEach((other) => { other.disabled = true; });
+    button.textContent = 'Fixing…';
+    try {
+      displayProfile(await generator.fixLintIssue(currentProfile, Number(button.dataset.lintFix)));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error fixing lint issue:', error);
+      fixButtons.forEach((other) => { other.disabled = false; });
+      button.textContent = `✨ Fix failed (${error.message}), try again`;
+    } finally {
+      refreshCacheInspector();
+      renderRecorderStatus();
+    }
+  });
+
+  resultsDiv.addEventListener('submit', async (e) => {
+    const form = e.target.closest('.refine-form');
+    if (!form || !currentProfile) return;
+    e.preventDefault();
+
+    const input = form.querySelector('#refineInstruction');
+    const button = form.querySelector('button[type="submit"]');
+    if (!input.value.trim()) return;
+    input.disabled = true;
+    button.disabled = true;
+    button.textContent = 'Refining…';
+    try {
+      displayProfile(await generator.refineNarrative(currentProfile, input.value));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error refining narrative:', error);
+      input.disabled = false;
+      button.disabled = false;
+      button.textContent = 'Refine';
+      form.querySelector('.help-text').textContent = `Refinement failed (${error.message}); try again.`;
+    } finally {
+      refreshCacheInspector();
+      renderRecorderStatus();
+    }
+  });
+
+  resultsDiv.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-revise-narrative]');
+    if (!button || !currentProfile) return;
+
+    button.disabled = true;
+    button.textContent = 'Regenerating…';
+    try {
+      displayProfile(await generator.reviseNarrative(currentProfile));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error revising narrative:', error);
+      button.disabled = false;
+      button.textContent = `↻ Regeneration failed (${error.message}), try again`;
+    } finally {
+      refreshCacheInspector();
+      renderRecorderStatus();
+    }
+  });
+
+  formatOptions.addEventListener('change', () => {
+    const chosen = [...formatOptions.querySelectorAll('input:checked')].map((input) => input.value);
+    try {
+      localStorage.setItem(FORMATS_KEY, JSON.stringify(chosen));
+    } catch {
+      // localStorage unavailable; the choice lasts as long as the page
+    }
+  });
+
+  voiceSelect.addEventListener('change', () => {
+    const voice = brandVoice(voiceSelect.value, voices);
+    wantedVoice = voice.id;
+    generator.setBrandVoice(voice);
+    block.querySelector('.brand-voice-tone').textContent = voice.tone;
+    try {
+      localStorage.setItem(VOICE_KEY, voice.id);
+    } catch {
+      // localStorage unavailable; the choice lasts as long as the page
+    }
+  });
+
+  // Voices from the `Brand Voices` config row (see brand-voice.js) join the select once
+  // they load, so a slow file doesn't hold up the UI; the saved choice is picked then
+  if (config['brand-voices']) {
+    loadBrandVoices(config['brand-voices']).then((loaded) => {
+      voices = loaded;
+      const voice = brandVoice(wantedVoice, voices);
+      voiceSelect.innerHTML = voiceOptionsHtml(voices, voice.id);
+      block.querySelector('.brand-voice-tone').textContent = voice.tone;
+      generator.setBrandVoice(voice);
+    });
+  }
+
+  faqToggle.addEventListener('change', () => {
+    try {
+      localStorage.setItem(FAQ_KEY, String(faqToggle.checked));
+    } catch {
+      // localStorage unavailable; the choice lasts as long as the page
+    }
+  });
+
+  localeOptions.addEventListener('change', () => {
+    try {
+      localStorage.setItem(LOCALES_KEY, JSON.stringify(checkedLocales()));
+    } catch {
+      // localStorage unavailable; the choice lasts as long as the page
+    }
+  });
+
+  resultsDiv.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-localize]');
+    if (!button || !currentProfile) return;
+
+    button.disabled = true;
+    button.textContent = 'Translating…';
+    try {
+      displayProfile(await generator.localizeProfile(currentProfile, [button.dataset.localize]));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error localizing narrative:', error);
+      button.disabled = false;
+      button.textContent = `↻ Translation failed (${error.message}), try again`;
+    } finally {
+      refreshCacheInspector();
+      renderRecorderStatus();
+    }
+  });
+
   urlInput.addEventListener('input', (e) => {
     validateUrl(e.target);
   });
@@ -417,15 +1659,60 @@ ${styleClose}`;
       return;
     }
 
+    // Cancel before the narrative starts drops the run; Stop during the
+    // narrative stream keeps the text received so far
+    const controller = new AbortController();
+    generateBtn.disabled = true;
+
     resultsDiv.style.display = 'block';
-    resultsDiv.innerHTML = '<div class="loading"><div class="spinner"></div>Generating product profile with AI-powered competitor detection...</div>';
+    resultsDiv.innerHTML = `
+      <div class="loading">
+        <div class="spinner"></div>
+        Generating product profile with AI-powered competitor detection...
+        <div><button class="btn-copy btn-stop" data-cancel-generation>✕ Cancel</button></div>
+      </div>
+    `;
+    resultsDiv.querySelector('[data-cancel-generation]')
+      .addEventListener('click', () => controller.abort());
 
     try {
-      const profile = await generateProfile(url);
+      const profile = await generateProfile(url, {
+        signal: controller.signal,
+        onNarrativeStart: (partial) => {
+          displayProfile(partial, { streaming: true });
+          resultsDiv.querySelector('[data-stop-narrative]')
+            ?.addEventListener('click', () => controller.abort());
+        },
+        onNarrativeToken: (delta, text) => renderNarrativeProgress(text),
+        formats: [...formatOptions.querySelectorAll('input:checked')].map((input) => input.value),
+        onFormatsStart: (ids) => {
+          const wordCount = resultsDiv.querySelector('.word-count');
+          if (wordCount) wordCount.textContent += ` · generating ${ids.map((id) => narrativeFormat(id).label).join(', ')}…`;
+        },
+        faq: faqToggle.checked,
+        onFaqStart: () => {
+          const wordCount = resultsDiv.querySelector('.word-count');
+          if (wordCount) wordCount.textContent += ' · writing the buyer FAQ…';
+        },
+        locales: checkedLocales(),
+        onLocalesStart: (codes) => {
+          const wordCount = resultsDiv.querySelector('.word-count');
+          if (wordCount) wordCount.textContent += ` · translating for ${codes.join(', ')}…`;
+        },
+      });
+      if (recorder.mode !== 'live') profile.metadata.recorder = recorder.summary();
       displayProfile(profile);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        resultsDiv.innerHTML = '<div class="loading">Generation cancelled.</div>';
+        return;
+      }
       console.error('Error generating profile:', error);
       displayError(error);
+    } finally {
+      generateBtn.disabled = false;
+      refreshCacheInspector();
+      renderRecorderStatus();
     }
   });
 }
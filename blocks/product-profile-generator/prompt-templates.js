@@ -0,0 +1,338 @@
+/**
+ * Prompt Templates
+ * Versioned prompt templates with typed variables, loaded from the JSON files in
+ * prompts/ or from an EDS spreadsheet, plus per-browser edits from the prompt editor
+ *
+ * Template shape:
+ *   { id, version, description, system, user, source,
+ *     variables: { name: { type, required, description, separator } } }
+ *
+ * Syntax: {{name}} inserts a variable and {{name|text}} falls back to text when it is
+ * empty; {{#name}}...{{/name}} keeps a section only when the variable is set and
+ * {{^name}}...{{/name}} only when it is not (sections don't nest). Lists and maps
+ * render one "- " bullet per line, or joined with the variable's `separator`.
+ */
+
+/* eslint-disable class-methods-use-this, no-console */
+
+export const PROMPT_IDS = [
+  'competitors',
+  'competitor-specs',
+  'comparison',
+  'narrative',
+  'narrative-revision',
+  'narrative-refinement',
+  'narrative-localization',
+  'faq',
+  'snippet',
+  'buying-guide',
+  'spec-summary',
+  'meta-description',
+  'social-post',
+];
+
+export const VARIABLE_TYPES = ['string', 'number', 'boolean', 'list', 'map'];
+
+const DEFAULT_SOURCE = new URL('./prompts/', import.meta.url).href;
+const OVERRIDE_PREFIX = 'prompt_override_';
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)(?:\|([^}]*))?\}\}/g;
+const TAG_PATTERN = /\{\{[#^/]?(\w+)(?:\|[^}]*)?\}\}/g;
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '' || value === false) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'list': return Array.isArray(value);
+    case 'map': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return typeof value === 'string';
+  }
+}
+
+/**
+ * Render one variable value as prompt text
+ */
+function formatValue(value, spec = {}) {
+  if (isEmpty(value)) return '';
+  if (spec.type === 'list') {
+    return spec.separator !== undefined
+      ? value.join(spec.separator)
+      : value.map((item) => `- ${item}`).join('\n');
+  }
+  if (spec.type === 'map') {
+    const entries = Object.entries(value).map(([key, item]) => [key.replace(/_/g, ' '), item]);
+    return spec.separator !== undefined
+      ? entries.map(([key, item]) => `${key}: ${item}`).join(spec.separator)
+      : entries.map(([key, item]) => `- ${key}: ${item}`).join('\n');
+  }
+  if (spec.type === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+/**
+ * Variable names a template's text refers to
+ */
+export function referencedVariables(template) {
+  const text = `${template.system || ''}\n${template.user || ''}`;
+  return [...new Set([...text.matchAll(TAG_PATTERN)].map((match) => match[1]))];
+}
+
+/**
+ * Check a template's own structure: declared variable types, variables used
+ * but not declared, and sections left open
+ * @returns {Array<string>} Problems; empty when valid
+ */
+export function templateErrors(template) {
+  const errors = [];
+  const declared = template.variables || {};
+
+  Object.entries(declared).forEach(([name, spec]) => {
+    if (!VARIABLE_TYPES.includes(spec.type)) {
+      errors.push(`variable "${name}" has unknown type "${spec.type}" (use ${VARIABLE_TYPES.join(', ')})`);
+    }
+  });
+  referencedVariables(template)
+    .filter((name) => !declared[name])
+    .forEach((name) => errors.push(`{{${name}}} is not a declared variable`));
+
+  ['system', 'user'].forEach((role) => {
+    const unclosed = (template[role] || '').replace(SECTION_PATTERN, '').match(/\{\{[#^/]\w+\}\}/g);
+    if (unclosed) errors.push(`${role} prompt has an unmatched section tag ${unclosed[0]}`);
+  });
+
+  return errors;
+}
+
+/**
+ * Check values against a template's declared variables
+ * @returns {Array<{variable: string, message: string}>} Problems; empty when valid
+ */
+export function validateVariables(template, variables) {
+  const errors = [];
+  Object.entries(template.variables || {}).forEach(([name, spec]) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      if (spec.required) errors.push({ variable: name, message: 'is required' });
+    } else if (!matchesType(value, spec.type)) {
+      errors.push({ variable: name, message: `must be a ${spec.type}` });
+    } else if (spec.required && isEmpty(value)) {
+      errors.push({ variable: name, message: 'must not be empty' });
+    }
+  });
+  return errors;
+}
+
+function renderText(text, variables, declared) {
+  return text
+    .replace(SECTION_PATTERN, (match, kind, name, body) => {
+      const set = !isEmpty(variables[name]);
+      return (kind === '#') === set ? body : '';
+    })
+    .replace(VARIABLE_PATTERN, (match, name, fallback) => {
+      const rendered = formatValue(variables[name], declared[name]);
+      return rendered || fallback || '';
+    });
+}
+
+/**
+ * Render a template into chat messages
+ * Throws when the values don't match the declared variables (error.variableErrors)
+ * @param {Object} template - Prompt template
+ * @param {Object} variables - Values by variable name
+ * @returns {Array<{role: string, content: string}>} System (when present) and user messages
+ */
+export function renderPrompt(template, variables = {}) {
+  const errors = validateVariables(template, variables);
+  if (errors.length > 0) {
+    const error = new Error(`Prompt "${template.id}" v${template.version}: ${errors.map((e) => `${e.variable} ${e.message}`).join('; ')}`);
+    error.variableErrors = errors;
+    throw error;
+  }
+
+  const declared = template.variables || {};
+  const messages = [];
+  if (template.system) {
+    messages.push({ role: 'system', content: renderText(template.system, variables, declared) });
+  }
+  messages.push({ role: 'user', content: renderText(template.user || '', variables, declared) });
+  return messages;
+}
+
+/**
+ * Fill in defaults and parse a spreadsheet's JSON-in-a-cell variables column
+ */
+function normalizeTemplate(raw, source) {
+  const variables = typeof raw.variables === 'string'
+    ? JSON.parse(raw.variables || '{}')
+    : raw.variables || {};
+  const template = {
+    id: raw.id,
+    version: String(raw.version || '1'),
+    description: raw.description || '',
+    variables,
+    system: raw.system || '',
+    user: raw.user || '',
+    source,
+  };
+
+  const errors = templateErrors(template);
+  if (errors.length > 0) {
+    throw new Error(`Prompt template "${template.id}" is invalid: ${errors.join('; ')}`);
+  }
+  return template;
+}
+
+/**
+ * Read templates from EDS spreadsheet JSON
+ * Columns: id, version, description, system, user, variables (JSON); a multi-sheet
+ * workbook is read from its "prompts" sheet
+ * @param {Object} json - Spreadsheet JSON ({ data: [...] })
+ * @returns {Object} Templates by id
+ */
+export function parseSpreadsheetPrompts(json) {
+  const rows = json.data || json.prompts?.data || [];
+  return Object.fromEntries(rows
+    .filter((row) => row.id)
+    .map((row) => [row.id, normalizeTemplate(row, 'spreadsheet')]));
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load prompts from ${url}: ${response.status}`);
+  return response.json();
+}
+
+/**
+ * Short, stable hash of edited prompt text, used in the edited version label
+ */
+function textHash(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    // eslint-disable-next-line no-bitwise
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Local edit saved from the prompt editor ({ system, user }), or null
+ */
+function readOverride(id) {
+  try {
+    return JSON.parse(localStorage.getItem(`${OVERRIDE_PREFIX}${id}`));
+  } catch {
+    return null;
+  }
+}
+
+export class PromptLibrary {
+  /**
+   * @param {Object} options - { source }: a directory of <id>.json files (default:
+   *   prompts/ next to this module) or an EDS spreadsheet ending in .json
+   */
+  constructor(options = {}) {
+    this.source = options.source || DEFAULT_SOURCE;
+    this.loading = null;
+  }
+
+  /**
+   * Load the published templates once; ids missing from a spreadsheet
+   * come from the bundled files
+   * @returns {Promise<Object>} Templates by id
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.fetchTemplates().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async fetchTemplates() {
+    const templates = this.source.endsWith('.json')
+      ? parseSpreadsheetPrompts(await fetchJson(this.source))
+      : {};
+    const directory = this.source.endsWith('.json') ? DEFAULT_SOURCE : this.source.replace(/\/?$/, '/');
+
+    await Promise.all(PROMPT_IDS
+      .filter((id) => !templates[id])
+      .map(async (id) => {
+        templates[id] = normalizeTemplate(await fetchJson(`${directory}${id}.json`), 'file');
+      }));
+
+    console.log(`[Prompts] Loaded ${Object.values(templates).map((t) => `${t.id}@${t.version} (${t.source})`).join(', ')}`);
+    return templates;
+  }
+
+  /**
+   * Published template, ignoring local edits
+   */
+  async published(id) {
+    const template = (await this.load())[id];
+    if (!template) throw new Error(`Unknown prompt template "${id}"`);
+    return template;
+  }
+
+  /**
+   * Template to use: the local edit when there is one, otherwise the published one
+   */
+  async get(id) {
+    const template = await this.published(id);
+    const override = readOverride(id);
+    if (!override) return template;
+    return {
+      ...template,
+      system: override.system,
+      user: override.user,
+      version: `${template.version}+edited.${textHash(`${override.system}\n${override.user}`)}`,
+      baseVersion: template.version,
+      source: 'edited',
+    };
+  }
+
+  /**
+   * Save edited prompt text for this browser
+   * Throws when the text uses undeclared variables or leaves a section open
+   * (error.templateErrors)
+   * @param {string} id - Template id
+   * @param {Object} text - { system, user }
+   * @returns {Promise<Object>} The edited template
+   */
+  async saveOverride(id, { system, user }) {
+    const template = await this.published(id);
+    const errors = templateErrors({ ...template, system, user });
+    if (errors.length > 0) {
+      const error = new Error(`Prompt "${id}" not saved: ${errors.join('; ')}`);
+      error.templateErrors = errors;
+      throw error;
+    }
+
+    localStorage.setItem(`${OVERRIDE_PREFIX}${id}`, JSON.stringify({ system, user }));
+    console.log(`[Prompts] Saved local edit of ${id}`);
+    return this.get(id);
+  }
+
+  /**
+   * Drop the local edit and go back to the published template
+   */
+  clearOverride(id) {
+    try {
+      localStorage.removeItem(`${OVERRIDE_PREFIX}${id}`);
+    } catch {
+      // localStorage unavailable; there is no edit to drop
+    }
+    console.log(`[Prompts] Reset ${id} to the published template`);
+  }
+}
+
+export default PromptLibrary;
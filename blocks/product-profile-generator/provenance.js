@@ -0,0 +1,122 @@
+/**
+ * Field Provenance
+ * Records where each extracted value came from (strategy, selector or JSON path,
+ * source snippet) and how much we trust it
+ *
+ * Record shape:
+ *   { strategy, selector, path, snippet, confidence }
+ */
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Baseline confidence per extraction strategy (0-1)
+ * Markup the site publishes for machines beats layout guesses
+ */
+export const STRATEGY_CONFIDENCE = {
+  'json-ld': 0.95,
+  microdata: 0.9,
+  rdfa: 0.85,
+  adapter: 0.85,
+  'embedded-state': 0.8,
+  'url-matched-element': 0.85,
+  'product-selector': 0.75,
+  'spec-cards': 0.8,
+  'spec-table': 0.75,
+  'definition-list': 0.7,
+  'price-selector': 0.65,
+  meta: 0.7,
+  'woocommerce-variations': 0.8,
+  'option-table': 0.7,
+  'option-selectors': 0.5,
+  'first-product-name': 0.55,
+  breadcrumb: 0.65,
+  'og:title': 0.6,
+  title: 0.5,
+  'feature-list': 0.65,
+  'bullet-fallback': 0.35,
+  heading: 0.4,
+  hostname: 0.3,
+  'page-section': 0.4,
+  default: 0,
+  'not-found': 0,
+};
+
+/**
+ * Fields below this confidence are flagged for review
+ */
+export const WEAK_CONFIDENCE = 0.5;
+
+/**
+ * Shorten an element, string or value into a one-line source snippet
+ * @param {Element|string|*} source - Element (outerHTML is used), text or JSON value
+ * @returns {string} Snippet of at most SNIPPET_LENGTH characters
+ */
+export function snippetOf(source) {
+  if (source === undefined || source === null) return '';
+  let text;
+  if (typeof source === 'string') {
+    text = source;
+  } else if (source.outerHTML !== undefined) {
+    text = source.outerHTML;
+  } else {
+    text = JSON.stringify(source);
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Build a short CSS path for an element ("main > table.specs > tr:nth-of-type(3)")
+ * @param {Element} element - Element to describe
+ * @returns {string} Selector path of up to four levels
+ */
+export function selectorFor(element) {
+  const parts = [];
+  let node = element;
+  while (node && node.nodeType === 1 && parts.length < 4) {
+    const tag = node.tagName.toLowerCase();
+    if (node.id) {
+      parts.unshift(`${tag}#${node.id}`);
+      break;
+    }
+    const classes = Array.from(node.classList || []).slice(0, 2).map((name) => `.${name}`).join('');
+    const { tagName } = node;
+    const siblings = node.parentElement
+      ? Array.from(node.parentElement.children).filter((child) => child.tagName === tagName)
+      : [];
+    const position = siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(node) + 1})` : '';
+    parts.unshift(`${tag}${classes}${position}`);
+    node = node.parentElement;
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Create a provenance record
+ * @param {string} strategy - Strategy name (see STRATEGY_CONFIDENCE)
+ * @param {Object} details - { selector, path, snippet, confidence }
+ * @returns {Object} Provenance record
+ */
+export function createProvenance(strategy, details = {}) {
+  return {
+    strategy,
+    selector: details.selector || '',
+    path: details.path || '',
+    snippet: snippetOf(details.snippet),
+    confidence: details.confidence ?? STRATEGY_CONFIDENCE[strategy] ?? 0.5,
+  };
+}
+
+/**
+ * List the fields whose provenance falls below the review threshold
+ * @param {Object} provenance - Field name -> provenance record
+ * @returns {Array<string>} Weak field names
+ */
+export function findWeakFields(provenance = {}) {
+  return Object.entries(provenance)
+    .filter(([, record]) => record.confidence < WEAK_CONFIDENCE)
+    .map(([field]) => field);
+}
+
+export default createProvenance;
@@ -0,0 +1,383 @@
+/**
+ * Commerce Platform Adapters
+ * Per-platform extractors for Shopify, Magento, WooCommerce, BigCommerce
+ * and Salesforce Commerce Cloud. Each adapter knows its platform's product
+ * JSON and DOM conventions; the generic heuristics in generator-core.js
+ * remain the fallback for anything an adapter does not return.
+ *
+ * Adapter shape:
+ *   id       - stable identifier recorded in the extracted data
+ *   name     - display name
+ *   detect   - (doc) => boolean, page fingerprint check
+ *   extract  - (doc) => partial product data
+ */
+
+/* eslint-disable no-restricted-syntax, no-console */
+
+import { detectCurrency, parseAmount } from './price-extractor.js';
+import { readJsonAssignment } from './embedded-state.js';
+import { normalizeVariant } from './variant-extractor.js';
+
+/**
+ * Concatenate inline script contents for fingerprinting
+ */
+function inlineScripts(doc) {
+  return Array.from(doc.querySelectorAll('script:not([src])'))
+    .map((script) => script.textContent)
+    .join('\n');
+}
+
+/**
+ * Return the first non-empty trimmed text for a list of selectors
+ */
+function textOf(doc, selectors) {
+  for (const selector of [].concat(selectors)) {
+    const text = doc.querySelector(selector)?.textContent.replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Parse a JSON script tag, returning null when missing or malformed
+ */
+function readJsonScript(doc, selector) {
+  const script = doc.querySelector(selector);
+  if (!script) return null;
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.warn(`[Adapters] Could not parse JSON in ${selector}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read label/value rows into a specs object
+ */
+function readSpecRows(doc, rowSelector, labelSelector, valueSelector) {
+  const specs = {};
+  doc.querySelectorAll(rowSelector).forEach((row) => {
+    const label = row.querySelector(labelSelector)?.textContent.replace(/\s+/g, ' ').trim().replace(/:$/, '');
+    const value = row.querySelector(valueSelector)?.textContent.replace(/\s+/g, ' ').trim();
+    if (label && value && label !== value) {
+      specs[label.toLowerCase().replace(/[\s[\]]/g, '_').replace(/_+/g, '_')] = value;
+    }
+  });
+  return specs;
+}
+
+/**
+ * Collect list items from the first selector that yields any
+ */
+function readListItems(doc, selectors) {
+  for (const selector of selectors) {
+    const items = Array.from(doc.querySelectorAll(selector))
+      .map((item) => item.textContent.replace(/\s+/g, ' ').trim())
+      .filter((text) => text.length > 10 && text.length < 500);
+    if (items.length > 0) return [...new Set(items)].slice(0, 10);
+  }
+  return [];
+}
+
+/**
+ * Read image URLs from a set of elements
+ */
+function readImages(doc, selector, attributes = ['data-zoom-image', 'href', 'data-src', 'src']) {
+  const urls = Array.from(doc.querySelectorAll(selector))
+    .map((el) => attributes.map((attr) => el.getAttribute(attr)).find(Boolean))
+    .filter(Boolean);
+  return [...new Set(urls)];
+}
+
+/**
+ * Strip HTML from a product description string
+ */
+function stripHtml(doc, html) {
+  if (!html) return '';
+  const div = doc.createElement('div');
+  div.innerHTML = html;
+  return div.textContent.replace(/\s+/g, ' ').trim();
+}
+
+export const shopifyAdapter = {
+  id: 'shopify',
+  name: 'Shopify',
+
+  detect(doc) {
+    return /Shopify\.(theme|shop)\b/.test(inlineScripts(doc))
+      || !!doc.querySelector('link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"], meta[name="shopify-digital-wallet"]');
+  },
+
+  extract(doc) {
+    const product = readJsonScript(doc, 'script[type="application/json"][data-product-json]')
+      || readJsonScript(doc, 'script[id^="ProductJson"]')
+      || readJsonScript(doc, 'script[type="application/json"][id*="product-json"]');
+
+    const currency = doc.querySelector('meta[property="og:price:currency"]')?.getAttribute('content') || '';
+    const result = {
+      name: textOf(doc, ['.product__title h1', '.product-single__title', 'h1.product__title', '.product_title']),
+      features: readListItems(doc, ['.product__description li', '.product-single__description li', '.rte li']),
+      specs: readSpecRows(doc, '.product__description tr, .product-single__description tr', 'td:first-child, th', 'td:last-child'),
+    };
+
+    if (product) {
+      // Storefront product JSON uses cents; the /products/*.json endpoint uses decimal strings
+      const toPrice = (value) => (typeof value === 'number' ? (value / 100).toFixed(2) : value);
+      const variants = product.variants || [];
+      const variant = variants.find((v) => v.available) || variants[0];
+
+      result.name = product.title || result.name;
+      result.brand = product.vendor || '';
+      result.category = product.type || product.product_type || '';
+      result.tagline = stripHtml(doc, product.description || product.body_html).slice(0, 300);
+      result.images = (product.images || [])
+        .map((img) => (typeof img === 'string' ? img : img.src))
+        .filter(Boolean)
+        .map((src) => (src.startsWith('//') ? `https:${src}` : src));
+      result.image = result.images[0] || null;
+      result.variants = variants
+        .map((v) => normalizeVariant(v, {
+          optionNames: product.options,
+          centPrices: typeof v.price === 'number',
+          currency,
+        }))
+        .filter(Boolean);
+      result.sku = variant?.sku || '';
+      result.gtin = variant?.barcode || '';
+      if (variant) {
+        result.offers = [{
+          type: 'Offer',
+          source: 'shopify',
+          price: toPrice(variant.price),
+          priceCurrency: currency,
+          listPrice: variant.compare_at_price ? toPrice(variant.compare_at_price) : '',
+          availability: variant.available === false ? 'OutOfStock' : 'InStock',
+        }];
+      }
+    }
+
+    return result;
+  },
+};
+
+export const magentoAdapter = {
+  id: 'magento',
+  name: 'Magento',
+
+  detect(doc) {
+    return /Mage\.Cookies|mage\/cookies/.test(inlineScripts(doc))
+      || !!doc.querySelector('script[type="text/x-magento-init"], [data-mage-init]')
+      || !!doc.body?.classList.contains('catalog-product-view');
+  },
+
+  extract(doc) {
+    const finalPrice = doc.querySelector('[data-price-type="finalPrice"]');
+    const oldPrice = doc.querySelector('[data-price-type="oldPrice"]');
+
+    let images = [];
+    doc.querySelectorAll('script[type="text/x-magento-init"]').forEach((script) => {
+      try {
+        const config = JSON.parse(script.textContent);
+        Object.values(config).forEach((widgets) => {
+          const gallery = widgets && widgets['mage/gallery/gallery'];
+          if (gallery && Array.isArray(gallery.data)) {
+            images = gallery.data.map((img) => img.full || img.img).filter(Boolean);
+          }
+        });
+      } catch (error) {
+        // Malformed widget config - ignore and keep looking
+      }
+    });
+
+    const result = {
+      name: textOf(doc, ['.page-title .base', 'h1.page-title', '.product-name h1']),
+      sku: textOf(doc, ['.product.attribute.sku .value', '.product-sku .value']),
+      tagline: textOf(doc, ['.product.attribute.overview .value', '.short-description .std']),
+      specs: readSpecRows(doc, '#product-attribute-specs-table tr, .additional-attributes tr', 'th', 'td'),
+      features: readListItems(doc, ['.product.attribute.description .value li', '.product.attribute.overview li', '.box-description li']),
+      images,
+      image: images[0] || null,
+    };
+
+    if (finalPrice?.getAttribute('data-price-amount')) {
+      result.offers = [{
+        type: 'Offer',
+        source: 'magento',
+        price: finalPrice.getAttribute('data-price-amount'),
+        priceCurrency: doc.querySelector('meta[property="product:price:currency"]')?.getAttribute('content')
+          || detectCurrency(finalPrice.textContent),
+        listPrice: oldPrice?.getAttribute('data-price-amount') || '',
+        availability: textOf(doc, ['.product-info-stock-sku .stock', '.availability']),
+      }];
+    }
+
+    return result;
+  },
+};
+
+export const wooCommerceAdapter = {
+  id: 'woocommerce',
+  name: 'WooCommerce',
+
+  detect(doc) {
+    return !!doc.body?.classList.contains('woocommerce')
+      || !!doc.body?.classList.contains('woocommerce-page')
+      || /wc_add_to_cart_params|woocommerce_params/.test(inlineScripts(doc))
+      || !!doc.querySelector('.woocommerce-product-gallery');
+  },
+
+  extract(doc) {
+    const currentPrice = doc.querySelector('.summary .price ins .woocommerce-Price-amount')
+      || doc.querySelector('.summary .price > .woocommerce-Price-amount, .summary .price .woocommerce-Price-amount');
+    const category = Array.from(doc.querySelectorAll('.product_meta .posted_in a'))
+      .map((a) => a.textContent.trim())
+      .join(' > ');
+
+    const result = {
+      name: textOf(doc, ['.product_title', '.summary h1']),
+      sku: textOf(doc, ['.product_meta .sku']),
+      category,
+      tagline: textOf(doc, ['.woocommerce-product-details__short-description p']),
+      specs: readSpecRows(
+        doc,
+        'table.woocommerce-product-attributes tr, table.shop_attributes tr',
+        'th',
+        'td',
+      ),
+      features: readListItems(doc, ['.woocommerce-product-details__short-description li', '#tab-description li', '.woocommerce-Tabs-panel--description li']),
+      images: readImages(doc, '.woocommerce-product-gallery__image a', ['href']),
+    };
+    result.image = result.images[0] || null;
+
+    if (currentPrice) {
+      const regularPrice = doc.querySelector('.summary .price del .woocommerce-Price-amount');
+      result.offers = [{
+        type: 'Offer',
+        source: 'woocommerce',
+        price: String(parseAmount(currentPrice.textContent.replace(/[^0-9.,'\s]/g, '').trim()) ?? ''),
+        priceCurrency: detectCurrency(currentPrice.textContent),
+        listPrice: regularPrice
+          ? String(parseAmount(regularPrice.textContent.replace(/[^0-9.,'\s]/g, '').trim()) ?? '')
+          : '',
+        availability: textOf(doc, ['.summary .stock']),
+      }];
+    }
+
+    return result;
+  },
+};
+
+export const bigCommerceAdapter = {
+  id: 'bigcommerce',
+  name: 'BigCommerce',
+
+  detect(doc) {
+    return /\bBCData\b|stencilUtils/.test(inlineScripts(doc))
+      || !!doc.querySelector('[src*="bigcommerce.com/s-"], [href*="bigcommerce.com/s-"]');
+  },
+
+  extract(doc) {
+    const bcData = readJsonAssignment(doc, 'BCData');
+    const attributes = bcData?.product_attributes || {};
+    const price = attributes.price?.with_tax || attributes.price?.without_tax;
+
+    const result = {
+      name: textOf(doc, ['.productView-title', 'h1.productView-title']),
+      brand: textOf(doc, ['.productView-brand a', '.productView-brand']),
+      sku: attributes.sku || textOf(doc, ['[data-product-sku]']),
+      mpn: attributes.mpn || '',
+      gtin: attributes.gtin || attributes.upc || '',
+      specs: {},
+      features: readListItems(doc, ['#tab-description li', '.productView-description li']),
+      images: readImages(doc, '.productView-thumbnail-link', ['data-image-gallery-zoom-image-url', 'href']),
+    };
+
+    // Stencil renders specs as sibling dt/dd pairs inside one container
+    doc.querySelectorAll('.productView-info-name').forEach((dt) => {
+      const dd = dt.nextElementSibling;
+      const label = dt.textContent.trim().replace(/:$/, '');
+      if (dd && label) {
+        result.specs[label.toLowerCase().replace(/\s+/g, '_')] = dd.textContent.trim();
+      }
+    });
+    result.image = result.images[0] || null;
+
+    if (price?.value !== undefined) {
+      result.offers = [{
+        type: 'Offer',
+        source: 'bigcommerce',
+        price: String(price.value),
+        priceCurrency: price.currency || '',
+        availability: attributes.instock === false || attributes.purchasable === false ? 'OutOfStock' : 'InStock',
+      }];
+    }
+
+    return result;
+  },
+};
+
+export const salesforceCommerceAdapter = {
+  id: 'salesforce-commerce',
+  name: 'Salesforce Commerce Cloud',
+
+  detect(doc) {
+    return !!doc.querySelector('[src*="demandware.static"], [href*="demandware.static"], [action*="demandware.store"]')
+      || /\bdw\.ac\b|demandware/.test(inlineScripts(doc));
+  },
+
+  extract(doc) {
+    const detail = doc.querySelector('.product-detail[data-pid], [data-pid]');
+    const sales = doc.querySelector('.prices .sales .value');
+    const list = doc.querySelector('.prices .strike-through .value, .prices .list .value');
+
+    const specs = readSpecRows(doc, '.product-attributes .attribute, .attribute-row', '.attribute-name, .label', '.attribute-value, .value');
+    doc.querySelectorAll('.product-attributes li, .specifications li').forEach((item) => {
+      const [label, ...rest] = item.textContent.split(':');
+      const value = rest.join(':').trim();
+      if (label && value) specs[label.trim().toLowerCase().replace(/\s+/g, '_')] = value;
+    });
+
+    const result = {
+      name: textOf(doc, ['h1.product-name', '.product-detail .product-name', '.product-name']),
+      brand: textOf(doc, ['.product-brand', '.brand-name']),
+      sku: detail?.getAttribute('data-pid') || '',
+      tagline: textOf(doc, ['.short-description', '.product-description .content']),
+      specs,
+      features: readListItems(doc, ['.description-and-detail .content li', '.product-details li', '.product-features li']),
+      images: readImages(doc, '.primary-images img', ['data-src', 'src']),
+    };
+    result.image = result.images[0] || null;
+
+    // SFRA puts the raw decimal amount in the content attribute
+    const amountOf = (el) => el.getAttribute('content')
+      || String(parseAmount(el.textContent.replace(/[^0-9.,'\s]/g, '').trim()) ?? '');
+
+    if (sales) {
+      result.offers = [{
+        type: 'Offer',
+        source: 'salesforce-commerce',
+        price: amountOf(sales),
+        priceCurrency: doc.querySelector('[itemprop="priceCurrency"]')?.getAttribute('content')
+          || detectCurrency(sales.textContent),
+        listPrice: list ? amountOf(list) : '',
+        availability: textOf(doc, ['.availability-msg', '.availability .availability-msg']),
+      }];
+    }
+
+    return result;
+  },
+};
+
+/**
+ * Default adapter registry, checked in order
+ */
+export const SITE_ADAPTERS = [
+  shopifyAdapter,
+  magentoAdapter,
+  wooCommerceAdapter,
+  bigCommerceAdapter,
+  salesforceCommerceAdapter,
+];
+
+export default SITE_ADAPTERS;
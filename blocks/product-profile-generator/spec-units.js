@@ -0,0 +1,311 @@
+/**
+ * Spec Unit Parser
+ * Parses spec values ("650 in-lbs", "18V", "2.5 kg", "12 x 8 x 3 in") into
+ * numbers with normalized units and UN/CEFACT unit codes for schema.org QuantitativeValue
+ *
+ * Quantity shape:
+ *   { value, minValue?, maxValue?, unitCode, unitText, dimension }
+ *   { values: [l, w, h], unitCode, unitText, dimension: 'length' } for "L x W x H"
+ */
+
+/* eslint-disable no-restricted-syntax */
+
+/**
+ * Known units: UN/CEFACT code, display text, physical dimension, factor to the
+ * dimension's base unit and the spellings found on product pages
+ */
+export const UNITS = [
+  {
+    code: 'KGM', text: 'kg', dimension: 'mass', factor: 1, aliases: ['kg', 'kgs', 'kilogram', 'kilograms'],
+  },
+  {
+    code: 'GRM', text: 'g', dimension: 'mass', factor: 0.001, aliases: ['g', 'gr', 'gram', 'grams'],
+  },
+  {
+    code: 'LBR', text: 'lb', dimension: 'mass', factor: 0.45359237, aliases: ['lb', 'lbs', 'pound', 'pounds'],
+  },
+  {
+    code: 'ONZ', text: 'oz', dimension: 'mass', factor: 0.028349523125, aliases: ['oz', 'ounce', 'ounces'],
+  },
+  {
+    code: 'MTR', text: 'm', dimension: 'length', factor: 1, aliases: ['m', 'meter', 'meters', 'metre', 'metres'],
+  },
+  {
+    code: 'CMT', text: 'cm', dimension: 'length', factor: 0.01, aliases: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+  },
+  {
+    code: 'MMT', text: 'mm', dimension: 'length', factor: 0.001, aliases: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+  },
+  {
+    code: 'INH', text: 'in', dimension: 'length', factor: 0.0254, aliases: ['in', 'in.', 'inch', 'inches', '"', '”'],
+  },
+  {
+    code: 'FOT', text: 'ft', dimension: 'length', factor: 0.3048, aliases: ['ft', 'ft.', 'foot', 'feet', "'"],
+  },
+  {
+    code: 'VLT', text: 'V', dimension: 'voltage', factor: 1, aliases: ['v', 'volt', 'volts', 'vdc', 'vac'],
+  },
+  {
+    code: 'WTT', text: 'W', dimension: 'power', factor: 1, aliases: ['w', 'watt', 'watts'],
+  },
+  {
+    code: 'KWT', text: 'kW', dimension: 'power', factor: 1000, aliases: ['kw', 'kilowatt', 'kilowatts'],
+  },
+  {
+    code: 'AMP', text: 'A', dimension: 'current', factor: 1, aliases: ['a', 'amp', 'amps', 'ampere', 'amperes'],
+  },
+  {
+    code: 'AMH', text: 'Ah', dimension: 'charge', factor: 1, aliases: ['ah', 'amp-hour', 'amp-hours', 'amp hour', 'amp hours'],
+  },
+  {
+    code: 'E09', text: 'mAh', dimension: 'charge', factor: 0.001, aliases: ['mah'],
+  },
+  {
+    code: 'HUR', text: 'h', dimension: 'time', factor: 3600, aliases: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  },
+  {
+    code: 'MIN', text: 'min', dimension: 'time', factor: 60, aliases: ['min', 'mins', 'minute', 'minutes'],
+  },
+  {
+    code: 'SEC', text: 's', dimension: 'time', factor: 1, aliases: ['s', 'sec', 'secs', 'second', 'seconds'],
+  },
+  {
+    code: 'NU', text: 'N·m', dimension: 'torque', factor: 1, aliases: ['nm', 'n·m', 'n-m', 'n.m', 'newton meter', 'newton meters', 'newton-meters'],
+  },
+  {
+    code: 'F21', text: 'in-lbf', dimension: 'torque', factor: 0.112984829, aliases: ['in-lbs', 'in-lb', 'in lbs', 'in lb', 'in.-lbs', 'in.-lb', 'inch-pounds', 'inch pounds', 'inch-lbs', 'lbf·in', 'lbf-in', 'in-lbf'],
+  },
+  {
+    code: 'M92', text: 'ft-lbf', dimension: 'torque', factor: 1.35581795, aliases: ['ft-lbs', 'ft-lb', 'ft lbs', 'ft lb', 'ft.-lbs', 'foot-pounds', 'foot pounds', 'lbf·ft', 'lbf-ft', 'ft-lbf'],
+  },
+  {
+    code: 'RPM', text: 'rpm', dimension: 'rotational speed', factor: 1, aliases: ['rpm', 'r/min'],
+  },
+  {
+    code: 'LTR', text: 'L', dimension: 'volume', factor: 1, aliases: ['l', 'liter', 'liters', 'litre', 'litres'],
+  },
+  {
+    code: 'MLT', text: 'mL', dimension: 'volume', factor: 0.001, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  },
+  {
+    code: 'OZA', text: 'fl oz', dimension: 'volume', factor: 0.0295735296, aliases: ['fl oz', 'fl. oz', 'fl.oz', 'fluid ounce', 'fluid ounces'],
+  },
+  {
+    code: 'CEL', text: '°C', dimension: 'temperature', factor: 1, aliases: ['°c', 'ºc', 'degrees c', 'celsius'],
+  },
+  {
+    code: 'FAH', text: '°F', dimension: 'temperature', factor: 1, aliases: ['°f', 'ºf', 'degrees f', 'fahrenheit'],
+  },
+  {
+    code: 'HTZ', text: 'Hz', dimension: 'frequency', factor: 1, aliases: ['hz', 'hertz'],
+  },
+  {
+    code: 'P1', text: '%', dimension: 'ratio', factor: 1, aliases: ['%', 'percent'],
+  },
+];
+
+// Longest spelling first so "in-lbs" wins over "in" and "mah" over "ah"
+const ALIASES = UNITS
+  .flatMap((unit) => unit.aliases.map((alias) => [alias, unit]))
+  .sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Text with RegExp special characters escaped, for building patterns from words
+ */
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const UNIT_PATTERN = `(${ALIASES.map(([alias]) => escapeRegExp(alias)).join('|')})(?![a-z])`;
+const DIGITS = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d*\\.?\\d+';
+// Chuck and drive sizes: "3/8", and mixed numbers "1-1/2" / "1 1/2"
+const FRACTION = '\\d+[-\\s]\\d+/\\d+|\\d+/\\d+';
+const NUMBER_PATTERN = `(${FRACTION}|${DIGITS})`;
+const SIGNED_NUMBER_PATTERN = `([-−]?(?:${FRACTION}|${DIGITS}))`;
+
+const QUANTITY_REGEX = new RegExp(`^(?:up\\s+to\\s+|max\\.?\\s+|approx\\.?\\s+|~)?${SIGNED_NUMBER_PATTERN}\\s*(?:(?:-|–|to)\\s*${NUMBER_PATTERN}\\s*)?${UNIT_PATTERN}`, 'i');
+const DIMENSIONS_REGEX = new RegExp(`^${NUMBER_PATTERN}\\s*(?:${UNIT_PATTERN}\\s*)?(?:x|×|by)\\s*${NUMBER_PATTERN}\\s*(?:${UNIT_PATTERN}\\s*)?(?:(?:x|×|by)\\s*${NUMBER_PATTERN}\\s*)?${UNIT_PATTERN}`, 'i');
+// Bare fractions ("24/7") are not amounts without a unit
+const BARE_NUMBER_REGEX = new RegExp(`^(${DIGITS})$`);
+
+/**
+ * Look up a unit by any of its spellings or by UN/CEFACT code
+ * @param {string} text - e.g. "lbs", "In-Lbs", "KGM"
+ * @returns {Object|null} Unit definition
+ */
+export function findUnit(text) {
+  const clean = String(text || '').trim().toLowerCase();
+  if (!clean) return null;
+  const byCode = UNITS.find((unit) => unit.code.toLowerCase() === clean);
+  if (byCode) return byCode;
+  const match = ALIASES.find(([alias]) => alias === clean);
+  return match ? match[1] : null;
+}
+
+function toNumber(text) {
+  const clean = String(text).replace(/,/g, '').replace('−', '-');
+  const fraction = clean.match(/^(-?)(?:(\d+)[-\s])?(\d+)\/(\d+)$/);
+  if (!fraction) return parseFloat(clean);
+  const [, sign, whole, numerator, denominator] = fraction;
+  if (Number(denominator) === 0) return NaN;
+  const value = Number(whole || 0) + Number(numerator) / Number(denominator);
+  return sign ? -value : value;
+}
+
+// Spec labels where "oz" means fluid ounces rather than weight
+const VOLUME_KEY = /capacity|volume|fluid/i;
+
+/**
+ * Parse a spec value into a quantity
+ * @param {string} text - Spec value such as "650 in-lbs", "18V", "0-2,000 RPM", "1-1/2 in"
+ *   or "12 x 8 x 3 in"
+ * @param {string} key - Spec key, used to tell fluid ounces from weight ounces
+ * @returns {Object|null} Quantity, or null when the value is not a number with a known unit
+ */
+export function parseQuantity(text, key = '') {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return null;
+
+  const dimensions = clean.match(DIMENSIONS_REGEX);
+  if (dimensions) {
+    const unit = findUnit(dimensions[6]);
+    if (unit && unit.dimension === 'length') {
+      const values = [dimensions[1], dimensions[3], dimensions[5]].filter(Boolean).map(toNumber);
+      if (!values.every(Number.isFinite)) return null;
+      return {
+        values,
+        unitCode: unit.code,
+        unitText: unit.text,
+        dimension: 'length',
+      };
+    }
+  }
+
+  const match = clean.match(QUANTITY_REGEX);
+  if (match) {
+    let unit = findUnit(match[3]);
+    if (unit.code === 'ONZ' && VOLUME_KEY.test(key)) unit = findUnit('OZA');
+    const low = toNumber(match[1]);
+    const high = match[2] ? toNumber(match[2]) : null;
+    if (!Number.isFinite(low) || (high !== null && !Number.isFinite(high))) return null;
+    const quantity = {
+      value: high ?? low,
+      unitCode: unit.code,
+      unitText: unit.text,
+      dimension: unit.dimension,
+    };
+    if (high !== null && high > low) {
+      quantity.minValue = low;
+      quantity.maxValue = high;
+    }
+    return quantity;
+  }
+
+  // Unitless numbers ("820") still compare, but carry no unit code;
+  // zero-padded or long digit strings are codes (UPC, model numbers), not amounts
+  if (BARE_NUMBER_REGEX.test(clean) && !/^0\d|^\d{8,}$/.test(clean)) {
+    return {
+      value: toNumber(clean),
+      unitCode: '',
+      unitText: '',
+      dimension: '',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Convert a quantity into another unit of the same dimension
+ * Temperatures are converted between °C and °F; everything else scales linearly
+ * @param {Object} quantity - Parsed quantity
+ * @param {string} unitCode - Target UN/CEFACT code
+ * @returns {number|null} Converted value, or null if the units are incompatible
+ */
+export function convertQuantity(quantity, unitCode) {
+  if (!quantity || typeof quantity.value !== 'number') return null;
+  if (!quantity.unitCode || quantity.unitCode === unitCode) return quantity.value;
+
+  const from = findUnit(quantity.unitCode);
+  const to = findUnit(unitCode);
+  if (!from || !to || from.dimension !== to.dimension) return null;
+
+  if (from.dimension === 'temperature') {
+    return from.code === 'CEL' ? (quantity.value * 9) / 5 + 32 : ((quantity.value - 32) * 5) / 9;
+  }
+  return (quantity.value * from.factor) / to.factor;
+}
+
+/**
+ * Parse every spec value that looks like a quantity
+ * @param {Object} specs - Spec key -> raw value
+ * @returns {Object} Spec key -> quantity (unparseable specs are left out)
+ */
+export function parseSpecQuantities(specs = {}) {
+  const quantities = {};
+  Object.entries(specs).forEach(([key, value]) => {
+    const quantity = parseQuantity(value, key);
+    if (quantity) quantities[key] = quantity;
+  });
+  return quantities;
+}
+
+/**
+ * Build a schema.org QuantitativeValue node
+ */
+export function toQuantitativeValue(quantity) {
+  return {
+    '@type': 'QuantitativeValue',
+    value: quantity.value,
+    minValue: quantity.minValue,
+    maxValue: quantity.maxValue,
+    unitCode: quantity.unitCode || undefined,
+    unitText: quantity.unitText || undefined,
+  };
+}
+
+/**
+ * Spec keys that describe the product's physical size
+ */
+const WEIGHT_KEY = /^(weight|product_weight|item_weight|net_weight|tool_weight|weight_\(.*\)|unit_weight)$/;
+const DIMENSIONS_KEY = /(^|_)(dimensions|size_\(l_x_w_x_h\)|product_size|assembled_size)$/;
+const AXIS_KEYS = {
+  depth: /^(depth|length|product_depth|product_length|overall_length|overall_depth)$/,
+  width: /^(width|product_width|overall_width)$/,
+  height: /^(height|product_height|overall_height)$/,
+};
+
+/**
+ * Work out schema.org weight, depth, width and height from the spec quantities
+ * "L x W x H" dimensions fill depth, width and height in that order
+ * @param {Object} quantities - Spec key -> quantity
+ * @returns {Object} { weight?, depth?, width?, height? } as quantities
+ */
+export function extractPhysicalDimensions(quantities = {}) {
+  const result = {};
+
+  for (const [key, quantity] of Object.entries(quantities)) {
+    if (WEIGHT_KEY.test(key) && quantity.dimension === 'mass' && !result.weight) {
+      result.weight = quantity;
+    }
+    if (DIMENSIONS_KEY.test(key) && quantity.values) {
+      ['depth', 'width', 'height'].forEach((axis, index) => {
+        if (quantity.values[index] !== undefined && !result[axis]) {
+          result[axis] = {
+            value: quantity.values[index],
+            unitCode: quantity.unitCode,
+            unitText: quantity.unitText,
+            dimension: 'length',
+          };
+        }
+      });
+    }
+    Object.entries(AXIS_KEYS).forEach(([axis, pattern]) => {
+      if (pattern.test(key) && quantity.dimension === 'length' && quantity.value !== undefined) {
+        result[axis] = quantity;
+      }
+    });
+  }
+
+  return result;
+}
+
+export default parseQuantity;
@@ -0,0 +1,254 @@
+/**
+ * Spec Vocabulary
+ * Maps raw spec labels ("Torque (max)", "Maximum Torque [in-lbs]") onto canonical
+ * attribute keys per product category, keeping the original label
+ */
+
+/* eslint-disable no-restricted-syntax */
+
+import { findUnit } from './spec-units.js';
+
+/**
+ * Canonical attributes per vocabulary: key -> { label, synonyms }
+ * `common` applies to every category; category vocabularies are checked first
+ */
+export const SPEC_VOCABULARY = {
+  common: {
+    weight: {
+      label: 'Weight',
+      synonyms: ['weight', 'item weight', 'product weight', 'net weight', 'unit weight', 'tool weight', 'weight tool only', 'tool only weight', 'shipping weight'],
+    },
+    dimensions: {
+      label: 'Dimensions',
+      synonyms: ['dimensions', 'product dimensions', 'item dimensions', 'overall dimensions', 'assembled dimensions', 'size l x w x h', 'l x w x h'],
+    },
+    length: { label: 'Length', synonyms: ['length', 'overall length', 'product length'] },
+    width: { label: 'Width', synonyms: ['width', 'overall width', 'product width'] },
+    height: { label: 'Height', synonyms: ['height', 'overall height', 'product height'] },
+    depth: { label: 'Depth', synonyms: ['depth', 'overall depth', 'product depth'] },
+    material: { label: 'Material', synonyms: ['material', 'materials', 'construction', 'made of'] },
+    color: { label: 'Color', synonyms: ['color', 'colour', 'colors', 'colour name', 'color name'] },
+    warranty: {
+      label: 'Warranty',
+      synonyms: ['warranty', 'warranty length', 'manufacturer warranty', 'limited warranty', 'guarantee'],
+    },
+    model_number: {
+      label: 'Model Number',
+      synonyms: ['model', 'model number', 'model no', 'mfr part number', 'manufacturer part number', 'part number', 'mpn', 'manufacturer model number'],
+    },
+    upc: { label: 'UPC', synonyms: ['upc', 'upc code', 'ean', 'ean code', 'gtin', 'barcode'] },
+    sku: { label: 'SKU', synonyms: ['sku', 'item number', 'item no', 'article number', 'product code'] },
+    country_of_origin: {
+      label: 'Country of Origin',
+      synonyms: ['country of origin', 'made in', 'origin', 'manufactured in'],
+    },
+    power_source: { label: 'Power Source', synonyms: ['power source', 'power type'] },
+  },
+  'power-tools': {
+    max_torque: {
+      label: 'Max Torque',
+      synonyms: ['torque', 'max torque', 'peak torque', 'fastening torque', 'max fastening torque', 'ultimate torque', 'hard joint torque'],
+    },
+    voltage: {
+      label: 'Voltage',
+      synonyms: ['voltage', 'volts', 'battery voltage', 'system voltage', 'platform', 'battery platform'],
+    },
+    battery_capacity: {
+      label: 'Battery Capacity',
+      synonyms: ['battery capacity', 'amp hours', 'amp hour', 'battery amp hours', 'battery ah', 'battery size'],
+    },
+    battery_type: { label: 'Battery Type', synonyms: ['battery type', 'battery chemistry', 'chemistry'] },
+    no_load_speed: {
+      label: 'No-Load Speed',
+      synonyms: ['no load speed', 'speed', 'max speed', 'rpm', 'no load rpm', 'speed rpm'],
+    },
+    impact_rate: {
+      label: 'Impact Rate',
+      synonyms: ['impact rate', 'bpm', 'blows per minute', 'ipm', 'impacts per minute'],
+    },
+    chuck_size: {
+      label: 'Chuck Size',
+      synonyms: ['chuck size', 'chuck', 'chuck capacity', 'keyless chuck size', 'chuck type'],
+    },
+    motor_type: { label: 'Motor', synonyms: ['motor', 'motor type'] },
+    clutch_settings: {
+      label: 'Clutch Settings',
+      synonyms: ['clutch settings', 'clutch positions', 'torque settings', 'clutch'],
+    },
+    speed_settings: {
+      label: 'Speed Settings',
+      synonyms: ['speed settings', 'speeds', 'number of speeds', 'gears', 'transmission'],
+    },
+  },
+  footwear: {
+    heel_to_toe_drop: {
+      label: 'Heel-to-Toe Drop',
+      synonyms: ['heel to toe drop', 'drop', 'offset', 'heel drop', 'heel to toe offset'],
+    },
+    stack_height: { label: 'Stack Height', synonyms: ['stack height', 'heel stack', 'stack'] },
+    upper_material: { label: 'Upper Material', synonyms: ['upper', 'upper material'] },
+    outsole: { label: 'Outsole', synonyms: ['outsole', 'sole', 'outsole material'] },
+    closure: { label: 'Closure', synonyms: ['closure', 'closure type', 'lacing'] },
+  },
+  apparel: {
+    fabric: { label: 'Fabric', synonyms: ['fabric', 'shell', 'shell fabric', 'shell material'] },
+    fill_weight: { label: 'Fill Weight', synonyms: ['fill weight', 'fill', 'insulation weight'] },
+    fill_power: { label: 'Fill Power', synonyms: ['fill power', 'down fill power'] },
+    temperature_rating: {
+      label: 'Temperature Rating',
+      synonyms: ['temperature rating', 'temp rating', 'comfort rating', 'warmth rating'],
+    },
+    fit: { label: 'Fit', synonyms: ['fit', 'cut'] },
+    care: { label: 'Care', synonyms: ['care', 'care instructions', 'washing instructions'] },
+  },
+  drinkware: {
+    capacity: { label: 'Capacity', synonyms: ['capacity', 'volume', 'size'] },
+    insulation: { label: 'Insulation', synonyms: ['insulation', 'insulation type'] },
+    dishwasher_safe: { label: 'Dishwasher Safe', synonyms: ['dishwasher safe', 'dishwasher'] },
+    lid_type: { label: 'Lid', synonyms: ['lid', 'lid type'] },
+  },
+  electronics: {
+    screen_size: { label: 'Screen Size', synonyms: ['screen size', 'display size', 'screen', 'display'] },
+    resolution: { label: 'Resolution', synonyms: ['resolution', 'display resolution'] },
+    battery_life: { label: 'Battery Life', synonyms: ['battery life', 'battery runtime', 'playback time', 'runtime'] },
+    storage: { label: 'Storage', synonyms: ['storage', 'storage capacity', 'capacity', 'hard drive'] },
+    memory: { label: 'Memory', synonyms: ['memory', 'ram', 'system memory'] },
+    processor: { label: 'Processor', synonyms: ['processor', 'cpu', 'chip', 'chipset'] },
+    connectivity: { label: 'Connectivity', synonyms: ['connectivity', 'wireless', 'bluetooth', 'ports'] },
+  },
+};
+
+/**
+ * Keywords in the category path or product name that select a vocabulary
+ */
+const CATEGORY_KEYWORDS = {
+  'power-tools': ['drill', 'drills', 'driver', 'drivers', 'saw', 'saws', 'grinder', 'sander', 'impact', 'power tools', 'tools', 'rotary hammer', 'multi-tool'],
+  footwear: ['shoe', 'shoes', 'sneaker', 'sneakers', 'boot', 'boots', 'footwear', 'sandal', 'sandals', 'trainers'],
+  apparel: ['jacket', 'jackets', 'parka', 'coat', 'coats', 'shirt', 'pants', 'hoodie', 'apparel', 'clothing', 'vest', 'outerwear'],
+  drinkware: ['bottle', 'bottles', 'tumbler', 'mug', 'flask', 'drinkware', 'cup', 'thermos'],
+  electronics: ['laptop', 'phone', 'tablet', 'headphones', 'earbuds', 'speaker', 'monitor', 'tv', 'camera', 'electronics'],
+};
+
+const WORD_REPLACEMENTS = [
+  [/\bmaximum\b/g, 'max'],
+  [/\bminimum\b/g, 'min'],
+  [/\bno\.(?=\s|$)/g, 'number'],
+  [/#/g, ' number '],
+  [/\bnum\b/g, 'number'],
+  [/\bmfr\.?\b|\bmanufacturer'?s\b/g, 'mfr'],
+];
+
+/**
+ * Pick the vocabulary for a product from its category path and name
+ * @param {string} category - e.g. "Tools > Power Tools > Drills"
+ * @param {string} name - Product name
+ * @returns {string} Vocabulary id, or 'common'
+ */
+export function detectVocabulary(category = '', name = '') {
+  const haystacks = [category, name].map((text) => ` ${String(text).toLowerCase().replace(/[^a-z0-9-]+/g, ' ')} `);
+  for (const haystack of haystacks) {
+    const match = Object.entries(CATEGORY_KEYWORDS)
+      .find(([, keywords]) => keywords.some((keyword) => haystack.includes(` ${keyword} `)));
+    if (match) return match[0];
+  }
+  return 'common';
+}
+
+/**
+ * Split a raw label into its words and any unit in brackets
+ * "Maximum Torque [in-lbs]" -> { words: ['max', 'torque'], unit: 'in-lbs' }
+ * "Torque (max)" -> { words: ['torque', 'max'], unit: '' }
+ */
+export function parseSpecLabel(label) {
+  let unit = '';
+  let text = String(label || '').toLowerCase().replace(/_/g, ' ');
+
+  text = text.replace(/[([]([^)\]]*)[)\]]/g, (match, inner) => {
+    if (!unit && findUnit(inner)) {
+      unit = inner.trim();
+      return ' ';
+    }
+    return ` ${inner} `;
+  });
+
+  WORD_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+
+  const words = text.replace(/[^a-z0-9%]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  return { words, unit };
+}
+
+const tokenKey = (words) => [...words].sort().join(' ');
+
+/**
+ * Build a synonym lookup (sorted words -> canonical key) for a vocabulary
+ */
+function buildLookup(vocabularyId) {
+  const lookup = new Map();
+  const sections = vocabularyId === 'common'
+    ? [SPEC_VOCABULARY.common]
+    : [SPEC_VOCABULARY[vocabularyId] || {}, SPEC_VOCABULARY.common];
+
+  sections.forEach((section) => {
+    Object.entries(section).forEach(([key, { label, synonyms }]) => {
+      [key.replace(/_/g, ' '), label, ...synonyms].forEach((synonym) => {
+        const words = tokenKey(parseSpecLabel(synonym).words);
+        if (!lookup.has(words)) lookup.set(words, key);
+      });
+    });
+  });
+
+  return lookup;
+}
+
+/**
+ * Look up the display label for a canonical key
+ * @param {string} key - Canonical key
+ * @param {string} vocabularyId - Vocabulary id
+ * @returns {string} Label, or '' when the key is not in the vocabulary
+ */
+export function canonicalLabel(key, vocabularyId = 'common') {
+  const entry = SPEC_VOCABULARY[vocabularyId]?.[key] || SPEC_VOCABULARY.common[key];
+  return entry ? entry.label : '';
+}
+
+/**
+ * Map raw spec keys onto canonical keys
+ * A unit in the label ("Torque [in-lbs]") is moved onto bare numeric values so
+ * spec-units can parse them; unmatched labels keep a cleaned-up key
+ * @param {Object} specs - Raw key -> value
+ * @param {Object} options - { vocabulary, labels: raw key -> original label }
+ * @returns {{specs: Object, labels: Object, keyMap: Object, matched: Array<string>}}
+ */
+export function canonicalizeSpecs(specs = {}, { vocabulary = 'common', labels = {} } = {}) {
+  const lookup = buildLookup(vocabulary);
+  const result = {
+    specs: {},
+    labels: {},
+    keyMap: {},
+    matched: [],
+  };
+
+  Object.entries(specs).forEach(([rawKey, rawValue]) => {
+    const label = labels[rawKey] || rawKey.replace(/_/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase());
+    const { words, unit } = parseSpecLabel(labels[rawKey] || rawKey);
+    const canonical = lookup.get(tokenKey(words));
+
+    // Two labels for the same attribute keep both values; the later one gets a suffix
+    let key = canonical && !(canonical in result.specs) ? canonical : (words.join('_') || rawKey);
+    for (let n = 2; key in result.specs; n += 1) key = `${canonical || words.join('_')}_${n}`;
+
+    let value = rawValue;
+    if (unit && /^\s*[\d.,]+\s*$/.test(String(value))) value = `${String(value).trim()} ${unit}`;
+
+    result.specs[key] = value;
+    result.labels[key] = label;
+    result.keyMap[rawKey] = key;
+    if (key === canonical) result.matched.push(key);
+  });
+
+  return result;
+}
+
+export default canonicalizeSpecs;
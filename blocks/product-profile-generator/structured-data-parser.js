@@ -0,0 +1,364 @@
+/**
+ * Structured Data Parser
+ * Reads JSON-LD, Microdata and RDFa product markup that pages already ship
+ */
+
+/* eslint-disable no-console */
+
+import { normalizeCurrency } from './price-extractor.js';
+
+const PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'SomeProducts'];
+
+const GTIN_PROPERTIES = ['gtin', 'gtin13', 'gtin12', 'gtin14', 'gtin8'];
+
+/**
+ * Strip vocabulary prefixes so "schema:Product" and "http://schema.org/Product" match "Product"
+ */
+function localName(value) {
+  return String(value || '')
+    .replace(/^https?:\/\/schema\.org\//, '')
+    .replace(/^schema:/, '')
+    .trim();
+}
+
+/**
+ * Check whether a node declares one of the given schema.org types
+ */
+function hasType(node, types) {
+  if (!node || typeof node !== 'object') return false;
+  const declared = [].concat(node['@type'] || []);
+  return declared.some((type) => types.includes(localName(type)));
+}
+
+/**
+ * Return the first value of a possibly repeated property
+ */
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Read a plain string out of a property that may be text, an object or an array
+ */
+function asText(value) {
+  const single = first(value);
+  if (single === undefined || single === null) return '';
+  if (typeof single === 'object') {
+    return asText(single.name || single['@value'] || single.value || '');
+  }
+  return String(single).trim();
+}
+
+/**
+ * Decode HTML entities that some sites double-encode inside JSON-LD strings
+ */
+function decodeEntities(doc, text) {
+  if (!text || !text.includes('&')) return text;
+  const textarea = doc.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+}
+
+/**
+ * Walk a parsed JSON-LD value and collect every object node
+ */
+function collectNodes(value, out) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectNodes(item, out));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  out.push(value);
+  if (value['@graph']) collectNodes(value['@graph'], out);
+  if (value.mainEntity) collectNodes(value.mainEntity, out);
+  if (value.itemListElement) collectNodes(value.itemListElement, out);
+}
+
+/**
+ * Replace { "@id": "..." } references with the node they point at
+ */
+function resolveRefs(value, index, depth = 0) {
+  if (depth > 5 || !value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map((item) => resolveRefs(item, index, depth + 1));
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && value['@id'] && index[value['@id']]) {
+    return resolveRefs(index[value['@id']], index, depth + 1);
+  }
+
+  const resolved = {};
+  keys.forEach((key) => {
+    resolved[key] = key === '@graph' ? value[key] : resolveRefs(value[key], index, depth + 1);
+  });
+  return resolved;
+}
+
+/**
+ * Parse every JSON-LD script block and return the product nodes it declares
+ * @param {Document} doc - The HTML document to parse
+ * @returns {Array<Object>} Product nodes with @id references resolved
+ */
+export function parseJsonLd(doc) {
+  const nodes = [];
+
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+    const text = (script.textContent || '')
+      .replace(/^\s*<!--/, '')
+      .replace(/-->\s*$/, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[/, '')
+      .replace(/\/\/\s*\]\]>\s*$/, '')
+      .trim();
+    if (!text) return;
+
+    try {
+      collectNodes(JSON.parse(text), nodes);
+    } catch (error) {
+      console.warn('[StructuredData] Skipping malformed JSON-LD block:', error.message);
+    }
+  });
+
+  const index = {};
+  nodes.forEach((node) => {
+    if (node['@id'] && Object.keys(node).length > 1) index[node['@id']] = node;
+  });
+
+  return nodes
+    .filter((node) => hasType(node, PRODUCT_TYPES))
+    .map((node) => resolveRefs(node, index));
+}
+
+/**
+ * Read the value of a single Microdata/RDFa property element
+ */
+function readPropertyValue(element) {
+  if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+
+  const tag = element.tagName;
+  if (tag === 'A' || tag === 'LINK' || tag === 'AREA') return element.getAttribute('href') || '';
+  if (['IMG', 'SOURCE', 'VIDEO', 'AUDIO', 'IFRAME', 'EMBED'].includes(tag)) return element.getAttribute('src') || '';
+  if (tag === 'TIME' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+  if ((tag === 'DATA' || tag === 'METER') && element.hasAttribute('value')) return element.getAttribute('value');
+  if (element.hasAttribute('resource')) return element.getAttribute('resource');
+
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read an item scope into a JSON-LD shaped object
+ * Shared by Microdata (itemscope/itemprop) and RDFa (typeof/property)
+ */
+function readItem(scope, syntax, depth = 0) {
+  const item = { '@type': localName(scope.getAttribute(syntax.typeAttr)).split(/\s+/).map(localName) };
+  if (item['@type'].length === 1) [item['@type']] = item['@type'];
+  if (depth > 5) return item;
+
+  scope.querySelectorAll(`[${syntax.propAttr}]`).forEach((element) => {
+    // Only direct properties: the nearest enclosing scope must be this one
+    const owner = element.parentElement?.closest(syntax.scopeSelector);
+    if (owner !== scope) return;
+
+    const value = element.matches(syntax.scopeSelector)
+      ? readItem(element, syntax, depth + 1)
+      : readPropertyValue(element);
+
+    element.getAttribute(syntax.propAttr).split(/\s+/).filter(Boolean).forEach((rawName) => {
+      const name = localName(rawName);
+      if (item[name] === undefined) {
+        item[name] = value;
+      } else {
+        item[name] = [].concat(item[name], value);
+      }
+    });
+  });
+
+  return item;
+}
+
+const MICRODATA = {
+  scopeSelector: '[itemscope]',
+  propAttr: 'itemprop',
+  typeAttr: 'itemtype',
+};
+
+const RDFA = {
+  scopeSelector: '[typeof]',
+  propAttr: 'property',
+  typeAttr: 'typeof',
+};
+
+/**
+ * Parse top-level Microdata product items
+ * @param {Document} doc - The HTML document to parse
+ * @returns {Array<Object>} Product items in JSON-LD shape
+ */
+export function parseMicrodata(doc) {
+  return Array.from(doc.querySelectorAll('[itemscope][itemtype]'))
+    .filter((element) => !element.hasAttribute('itemprop'))
+    .map((element) => readItem(element, MICRODATA))
+    .filter((item) => hasType(item, PRODUCT_TYPES));
+}
+
+/**
+ * Parse top-level RDFa product resources
+ * @param {Document} doc - The HTML document to parse
+ * @returns {Array<Object>} Product items in JSON-LD shape
+ */
+export function parseRdfa(doc) {
+  return Array.from(doc.querySelectorAll('[typeof]'))
+    .filter((element) => !element.hasAttribute('property'))
+    .map((element) => readItem(element, RDFA))
+    .filter((item) => hasType(item, PRODUCT_TYPES));
+}
+
+/**
+ * Normalize offers into a flat list of plain objects
+ */
+function normalizeOffers(offers) {
+  return [].concat(offers || [])
+    .filter((offer) => offer && typeof offer === 'object')
+    .flatMap((offer) => {
+      const normalized = {
+        type: localName(first(offer['@type'])) || 'Offer',
+        price: asText(offer.price) || asText(offer.priceSpecification?.price),
+        priceCurrency: normalizeCurrency(asText(offer.priceCurrency)
+          || asText(offer.priceSpecification?.priceCurrency)),
+        lowPrice: asText(offer.lowPrice),
+        highPrice: asText(offer.highPrice),
+        offerCount: asText(offer.offerCount),
+        availability: localName(asText(offer.availability)),
+        url: asText(offer.url),
+        sku: asText(offer.sku),
+      };
+      // AggregateOffers often nest the individual offers
+      const nested = offer.offers ? normalizeOffers(offer.offers) : [];
+      return [normalized, ...nested];
+    });
+}
+
+/**
+ * Collect image URLs from text, ImageObject or arrays of either
+ */
+function normalizeImages(image) {
+  return [].concat(image || [])
+    .map((img) => (typeof img === 'object' ? asText(img.url || img.contentUrl) : String(img).trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Map ProductGroup.hasVariant nodes onto the variant shape
+ */
+function normalizeVariants(hasVariant) {
+  return [].concat(hasVariant || [])
+    .filter((variant) => variant && typeof variant === 'object')
+    .map((variant) => {
+      const offer = normalizeOffers(variant.offers)[0] || {};
+      const options = {};
+      ['color', 'size', 'material', 'pattern', 'suggestedAge', 'suggestedGender'].forEach((axis) => {
+        const value = asText(variant[axis]);
+        if (value) options[axis] = value;
+      });
+      const price = parseFloat(offer.price);
+      return {
+        sku: asText(variant.sku),
+        gtin: asText(GTIN_PROPERTIES.map((prop) => variant[prop]).find(Boolean)),
+        name: asText(variant.name),
+        options,
+        price: Number.isFinite(price) ? price : null,
+        currency: offer.priceCurrency || '',
+        image: normalizeImages(variant.image)[0] || '',
+        availability: offer.availability || '',
+      };
+    });
+}
+
+/**
+ * Map a schema.org Product node onto the generator's data shape
+ * @param {Object} node - Product node from any of the parsers
+ * @param {Document} doc - Document used to decode entities
+ * @returns {Object} Partial product data
+ */
+export function mapSchemaProduct(node, doc) {
+  const rating = first(node.aggregateRating);
+  const images = normalizeImages(node.image);
+  const offers = normalizeOffers(node.offers);
+  const gtinProperty = GTIN_PROPERTIES.find((prop) => asText(node[prop]));
+  const category = [].concat(node.category || []).map(asText).filter(Boolean).join(' > ');
+
+  return {
+    name: decodeEntities(doc, asText(node.name)),
+    brand: decodeEntities(doc, asText(node.brand) || asText(node.manufacturer)),
+    tagline: decodeEntities(doc, asText(node.description)),
+    category: decodeEntities(doc, category),
+    image: images[0] || null,
+    images,
+    rating: rating && asText(rating.ratingValue) ? {
+      score: parseFloat(asText(rating.ratingValue)),
+      maxScore: parseInt(asText(rating.bestRating) || '5', 10),
+      reviewCount: parseInt((asText(rating.reviewCount) || asText(rating.ratingCount) || '0').replace(/,/g, ''), 10),
+    } : null,
+    gtin: gtinProperty ? asText(node[gtinProperty]) : '',
+    sku: asText(node.sku),
+    mpn: asText(node.mpn),
+    offers,
+    variants: normalizeVariants(node.hasVariant),
+    variesBy: [].concat(node.variesBy || []).map((axis) => localName(asText(axis))),
+  };
+}
+
+/**
+ * Fill empty fields of target from source
+ */
+function fillMissing(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    const current = target[key];
+    const isEmpty = current === undefined || current === null || current === ''
+      || (Array.isArray(current) && current.length === 0);
+    if (isEmpty) target[key] = value;
+  });
+  return target;
+}
+
+/**
+ * Extract product fields from all structured data on the page
+ * JSON-LD wins, Microdata and RDFa fill the gaps
+ * @param {Document} doc - The HTML document to parse
+ * @returns {Object|null} Partial product data with a `sources` list and the parser
+ *   that supplied each field in `fieldSources`, or null if none found
+ */
+export function extractStructuredProduct(doc) {
+  const parsers = [
+    ['json-ld', parseJsonLd],
+    ['microdata', parseMicrodata],
+    ['rdfa', parseRdfa],
+  ];
+
+  const result = {};
+  const sources = [];
+  const fieldSources = {};
+
+  parsers.forEach(([source, parse]) => {
+    const products = parse(doc);
+    if (products.length === 0) return;
+
+    // Prefer the node that looks like the main product (named, with offers)
+    const main = products.find((p) => p.name && p.offers)
+      || products.find((p) => p.name)
+      || products[0];
+    const before = { ...result };
+    fillMissing(result, mapSchemaProduct(main, doc));
+    Object.keys(result).forEach((key) => {
+      if (result[key] !== before[key]) fieldSources[key] = source;
+    });
+    sources.push(source);
+  });
+
+  if (sources.length === 0) return null;
+
+  console.log(`[StructuredData] Found product markup via ${sources.join(', ')}`);
+  result.sources = sources;
+  result.fieldSources = fieldSources;
+  return result;
+}
+
+export default extractStructuredProduct;
@@ -0,0 +1,302 @@
+/**
+ * Variant Extractor
+ * Detects product variants (size, color, ...) from variant JSON, option
+ * tables, swatches and size selectors
+ *
+ * Variant shape:
+ *   { sku, gtin, name, options: { color, size, ... }, price, currency, image, availability }
+ */
+
+/* eslint-disable no-restricted-syntax, no-console */
+
+import { normalizeAvailability, parseAmount, detectCurrency } from './price-extractor.js';
+
+const MAX_INFERRED_VARIANTS = 50;
+
+/**
+ * Option labels mapped onto canonical axis names
+ */
+const AXIS_SYNONYMS = {
+  color: ['color', 'colour', 'colors', 'colours', 'farbe', 'couleur', 'shade'],
+  size: ['size', 'sizes', 'talla', 'taille', 'größe', 'groesse', 'fit size'],
+  material: ['material', 'fabric'],
+  pattern: ['pattern', 'print'],
+  style: ['style'],
+  length: ['length', 'inseam'],
+  width: ['width'],
+  capacity: ['capacity', 'storage', 'memory'],
+};
+
+/**
+ * Map an option label ("Colour", "attribute_pa_color", "option-size") onto an axis name
+ * @param {string} label - Raw option label
+ * @returns {string} Canonical axis name
+ */
+export function normalizeAxis(label) {
+  const clean = String(label || '')
+    .toLowerCase()
+    .replace(/^attribute_(pa_)?/, '')
+    .replace(/^options?[-_\s]?/, '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/[:*]/g, '')
+    .trim();
+
+  const axis = Object.entries(AXIS_SYNONYMS).find(([, synonyms]) => synonyms.includes(clean));
+  return axis ? axis[0] : clean.replace(/\s+/g, '_');
+}
+
+/**
+ * Normalize one variant record from platform or hydration JSON
+ * Handles Shopify (option1..3), Storefront API (selectedOptions),
+ * WooCommerce (attributes) and plain { color, size } shapes
+ * @param {Object} raw - Variant object
+ * @param {Object} options - { optionNames, centPrices, currency }
+ * @returns {Object|null} Normalized variant
+ */
+export function normalizeVariant(raw, options = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+  const variantOptions = {};
+
+  if (Array.isArray(raw.selectedOptions)) {
+    raw.selectedOptions.forEach(({ name, value }) => {
+      if (name && value) variantOptions[normalizeAxis(name)] = String(value);
+    });
+  }
+
+  ['option1', 'option2', 'option3'].forEach((key, index) => {
+    if (raw[key]) {
+      const name = (options.optionNames || [])[index];
+      const optionName = typeof name === 'object' ? name.name : name;
+      variantOptions[normalizeAxis(optionName || `option ${index + 1}`)] = String(raw[key]);
+    }
+  });
+
+  if (raw.attributes && typeof raw.attributes === 'object' && !Array.isArray(raw.attributes)) {
+    Object.entries(raw.attributes).forEach(([name, value]) => {
+      if (value) variantOptions[normalizeAxis(name)] = String(value);
+    });
+  }
+
+  Object.keys(AXIS_SYNONYMS).forEach((axis) => {
+    if (!variantOptions[axis] && typeof raw[axis] === 'string' && raw[axis]) {
+      variantOptions[axis] = raw[axis];
+    }
+  });
+
+  let price = raw.display_price ?? raw.price?.amount ?? raw.price;
+  if (typeof price === 'string') price = parseAmount(price);
+  if (typeof price === 'number' && options.centPrices && Number.isInteger(price)) price /= 100;
+
+  const image = raw.image?.src || raw.image?.url || raw.featured_image?.src
+    || (typeof raw.image === 'string' ? raw.image : '');
+
+  let availability = '';
+  if (raw.available === false || raw.availableForSale === false || raw.is_in_stock === false) {
+    availability = 'OutOfStock';
+  } else if (raw.available || raw.availableForSale || raw.is_in_stock) {
+    availability = 'InStock';
+  } else if (raw.availability) {
+    availability = normalizeAvailability(raw.availability);
+  }
+
+  return {
+    sku: String(raw.sku || '').trim(),
+    gtin: String(raw.barcode || raw.gtin || '').trim(),
+    name: String(raw.title || raw.name || Object.values(variantOptions).join(' / ')).trim(),
+    options: variantOptions,
+    price: typeof price === 'number' && Number.isFinite(price) ? price : null,
+    currency: raw.price?.currencyCode || options.currency || '',
+    image: image && image.startsWith('//') ? `https:${image}` : image,
+    availability,
+  };
+}
+
+/**
+ * Read WooCommerce variation JSON from the add-to-cart form
+ */
+export function readWooVariations(doc) {
+  const form = doc.querySelector('form.variations_form[data-product_variations]');
+  if (!form) return [];
+  try {
+    const variations = JSON.parse(form.getAttribute('data-product_variations'));
+    if (!Array.isArray(variations)) return [];
+
+    // Attribute values are slugs; swap in the option labels shown to shoppers
+    return variations.map((variation) => {
+      const attributes = {};
+      Object.entries(variation.attributes || {}).forEach(([name, value]) => {
+        const option = Array.from(form.querySelectorAll(`select[data-attribute_name="${name}"] option, select[name="${name}"] option`))
+          .find((opt) => opt.value === value);
+        attributes[name] = option ? option.textContent.trim() : value;
+      });
+      return { ...variation, attributes };
+    });
+  } catch (error) {
+    console.warn('[Variants] Could not parse WooCommerce variations:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Read variants from an option table (a table with a SKU column plus option columns)
+ */
+export function readOptionTable(doc) {
+  for (const table of doc.querySelectorAll('table')) {
+    const headerCells = Array.from(table.querySelectorAll('thead th, tr:first-child th'));
+    const headers = headerCells.map((th) => th.textContent.trim());
+    const skuIndex = headers.findIndex((h) => /^(sku|item\s*#|part\s*#|model)$/i.test(h));
+
+    if (skuIndex > -1 && headers.length >= 2) {
+      const rows = Array.from(table.querySelectorAll('tbody tr, tr'))
+        .filter((row) => row.querySelectorAll('td').length === headers.length);
+
+      const variants = rows.map((row) => {
+        const cells = Array.from(row.querySelectorAll('td')).map((td) => td.textContent.trim());
+        const variant = {
+          sku: cells[skuIndex],
+          gtin: '',
+          name: '',
+          options: {},
+          price: null,
+          currency: '',
+          image: '',
+          availability: '',
+        };
+        headers.forEach((header, index) => {
+          if (index === skuIndex) return;
+          if (/price/i.test(header)) {
+            variant.price = parseAmount((cells[index].match(/[\d.,'\s]+/) || [''])[0].trim());
+            variant.currency = detectCurrency(cells[index]);
+          } else if (/stock|availability/i.test(header)) {
+            variant.availability = normalizeAvailability(cells[index]);
+          } else if (cells[index]) {
+            variant.options[normalizeAxis(header)] = cells[index];
+          }
+        });
+        variant.name = Object.values(variant.options).join(' / ');
+        return variant;
+      });
+
+      if (variants.length > 1) return variants;
+    }
+  }
+  return [];
+}
+
+/**
+ * Read option axes from size selectors, swatches and option radio groups
+ * @returns {Object} Axis name -> list of values
+ */
+export function readOptionSelectors(doc) {
+  const axes = {};
+  const addValue = (axisLabel, value) => {
+    const text = String(value || '').replace(/\s+/g, ' ').trim();
+    if (!text || /^(select|choose|pick)\b/i.test(text) || text.length > 40) return;
+    const axis = normalizeAxis(axisLabel);
+    if (!axis) return;
+    axes[axis] = axes[axis] || [];
+    if (!axes[axis].includes(text)) axes[axis].push(text);
+  };
+
+  doc.querySelectorAll('select').forEach((select) => {
+    const label = select.getAttribute('data-option-name')
+      || select.getAttribute('data-attribute_name')
+      || select.getAttribute('name')
+      || select.id
+      || '';
+    if (!Object.keys(AXIS_SYNONYMS).includes(normalizeAxis(label))) return;
+    select.querySelectorAll('option').forEach((option) => {
+      if (option.value) addValue(label, option.textContent);
+    });
+  });
+
+  const swatches = doc.querySelectorAll('[data-option-name] [data-value], [class*="swatch"][data-value], [class*="swatch"] [data-value]');
+  swatches.forEach((swatch) => {
+    const group = swatch.closest('[data-option-name], [data-attribute], [data-option]');
+    const label = group?.getAttribute('data-option-name')
+      || group?.getAttribute('data-attribute')
+      || group?.getAttribute('data-option')
+      || 'color';
+    addValue(
+      label,
+      swatch.getAttribute('data-value') || swatch.getAttribute('title') || swatch.textContent,
+    );
+  });
+
+  doc.querySelectorAll('fieldset input[type="radio"]').forEach((input) => {
+    const legend = input.closest('fieldset')?.querySelector('legend')?.textContent || input.name;
+    if (!Object.keys(AXIS_SYNONYMS).includes(normalizeAxis(legend))) return;
+    const label = input.id ? input.ownerDocument.querySelector(`label[for="${input.id}"]`) : null;
+    addValue(legend, input.value || label?.textContent);
+  });
+
+  return axes;
+}
+
+/**
+ * Build every combination of the option axes (capped)
+ */
+function combineAxes(axes) {
+  return Object.entries(axes).reduce((combos, [axis, values]) => combos
+    .flatMap((combo) => values.map((value) => ({ ...combo, [axis]: value })))
+    .slice(0, MAX_INFERRED_VARIANTS), [{}]);
+}
+
+/**
+ * Work out which axes actually vary across variants
+ */
+export function variesByAxes(variants) {
+  const axes = new Set();
+  variants.forEach((variant) => {
+    Object.keys(variant.options || {}).forEach((axis) => axes.add(axis));
+  });
+  return [...axes].filter((axis) => new Set(variants.map((v) => v.options?.[axis])).size > 1);
+}
+
+/**
+ * Extract variants for the page
+ * Variant JSON already found by structured data, adapters or embedded state wins;
+ * then WooCommerce variation JSON, option tables and finally swatches/selectors
+ * @param {Document} doc - The HTML document to parse
+ * @param {Array} knownVariants - Variants from earlier extraction stages
+ * @returns {{variants: Array, variesBy: Array<string>, source: string}}
+ */
+export function extractVariants(doc, knownVariants = []) {
+  let variants = knownVariants.filter(Boolean);
+  let source = variants.length > 0 ? 'product-json' : '';
+
+  if (variants.length === 0) {
+    variants = readWooVariations(doc).map((raw) => normalizeVariant(raw)).filter(Boolean);
+    source = variants.length > 0 ? 'woocommerce-variations' : '';
+  }
+
+  if (variants.length === 0) {
+    variants = readOptionTable(doc);
+    source = variants.length > 0 ? 'option-table' : '';
+  }
+
+  if (variants.length === 0) {
+    const axes = readOptionSelectors(doc);
+    if (Object.values(axes).some((values) => values.length > 1)) {
+      variants = combineAxes(axes).map((combo) => ({
+        sku: '',
+        gtin: '',
+        name: Object.values(combo).join(' / '),
+        options: combo,
+        price: null,
+        currency: '',
+        image: '',
+        availability: '',
+        inferred: true,
+      }));
+      source = 'option-selectors';
+    }
+  }
+
+  if (variants.length < 2) return { variants: [], variesBy: [], source: '' };
+
+  console.log(`[Variants] Found ${variants.length} variants via ${source}`);
+  return { variants, variesBy: variesByAxes(variants), source };
+}
+
+export default extractVariants;